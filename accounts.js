@@ -0,0 +1,212 @@
+const { createBroker } = require("./brokers");
+
+// ===============================
+// Broker Accounts
+// ===============================
+// Each account (the `accounts` store) carries its own OAuth tokens, refresh
+// cycle and broker adapter, plus a quantity multiplier. A live signal fans
+// out to every enabled account with a token, or only to the ones it names in
+// `account` / `accounts`. The primary account (or, without one, the first
+// logged-in account) also feeds market data and LTP lookups.
+
+const TOKEN_TTL_MS = 23 * 60 * 60 * 1000;
+const REFRESH_MARGIN_MS = 60 * 1000;
+const LEGACY_ACCOUNT = "default";
+
+function validateAccount(input, { partial = false } = {}) {
+  const fields = {};
+  if (!partial || input.id !== undefined) {
+    if (!/^[\w.-]+$/.test(input.id || "")) throw new Error("id is required (letters, digits, _ . -)");
+    fields.id = input.id;
+  }
+  if (input.name !== undefined) fields.name = input.name;
+  if (input.enabled !== undefined) fields.enabled = input.enabled !== false;
+  if (input.primary !== undefined) fields.primary = input.primary === true;
+  if (input.quantity_multiplier !== undefined) {
+    const multiplier = parseFloat(input.quantity_multiplier);
+    if (!(multiplier > 0)) throw new Error("quantity_multiplier must be a positive number");
+    fields.quantity_multiplier = multiplier;
+  }
+  return fields;
+}
+
+// Tokens never leave the server
+function publicAccount(account) {
+  const { access_token, refresh_token, ...rest } = account;
+  return { ...rest, logged_in: Boolean(access_token) };
+}
+
+// Which accounts a payload asks for: `accounts` (array or comma list) or `account`
+function requestedAccounts(data) {
+  const raw = data.accounts ?? data.account;
+  if (raw === undefined || raw === null || raw === "") return null;
+  return (Array.isArray(raw) ? raw : String(raw).split(",")).map(id => String(id).trim()).filter(Boolean);
+}
+
+function createAccountManager({ store, legacyTokens, brokerName = process.env.BROKER || "upstox", onPrimaryToken = () => {}, onTokenError = () => {} }) {
+  let accounts = [];
+  let primaryId = null;
+  const brokers = new Map(); // account id -> adapter
+
+  function find(id) {
+    return accounts.find(a => a.id === id) || null;
+  }
+
+  function brokerFor(account) {
+    if (!brokers.has(account.id)) {
+      const broker = createBroker(brokerName, { getAccessToken: () => find(account.id)?.access_token || null });
+      broker.accountId = account.id;
+      brokers.set(account.id, broker);
+    }
+    return brokers.get(account.id);
+  }
+
+  function primary() {
+    const loggedIn = accounts.filter(a => a.enabled !== false && a.access_token);
+    return loggedIn.find(a => a.primary) || loggedIn[0] || null;
+  }
+
+  // Market data follows the primary account: report a new one, or its new token
+  function notifyPrimary(tokenChangedFor = null) {
+    const next = primary();
+    if ((next?.id || null) === primaryId && tokenChangedFor !== primaryId) return;
+    primaryId = next?.id || null;
+    onPrimaryToken(next);
+  }
+
+  // The single-account auth_tokens row becomes the "default" account
+  async function migrateLegacyTokens() {
+    const legacy = await legacyTokens.load();
+    if (!legacy?.access_token) return;
+    await store.insert({
+      id: LEGACY_ACCOUNT,
+      name: "Default",
+      enabled: true,
+      primary: true,
+      quantity_multiplier: 1,
+      access_token: legacy.access_token,
+      refresh_token: legacy.refresh_token,
+      token_expires_at: new Date((Date.parse(legacy.updated_at) || Date.now()) + TOKEN_TTL_MS).toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    console.log(`🌱 Migrated the saved Upstox token to account "${LEGACY_ACCOUNT}"`);
+  }
+
+  async function load() {
+    try {
+      accounts = await store.list();
+      if (accounts.length === 0 && legacyTokens) {
+        await migrateLegacyTokens();
+        accounts = await store.list();
+      }
+      const loggedIn = accounts.filter(a => a.access_token).length;
+      console.log(`👥 Loaded ${accounts.length} broker accounts (${loggedIn} logged in)`);
+      notifyPrimary();
+    } catch (err) {
+      console.error("❌ Accounts load error:", err.message);
+    }
+    return accounts;
+  }
+
+  async function saveTokens(id, { access_token, refresh_token }) {
+    const updated = await store.update(id, {
+      access_token,
+      refresh_token,
+      token_expires_at: new Date(Date.now() + TOKEN_TTL_MS).toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    accounts = accounts.map(a => a.id === id ? updated : a);
+    console.log(`✅ Tokens saved for account ${id}`);
+    notifyPrimary(id);
+    return updated;
+  }
+
+  // Refreshes shortly before expiry; false when the account cannot trade
+  async function ensureToken(account) {
+    const current = find(account.id);
+    if (!current?.access_token) return false;
+    const expiresAt = Date.parse(current.token_expires_at) || 0;
+    if (Date.now() < expiresAt - REFRESH_MARGIN_MS) return true;
+
+    console.log(`🔄 Refreshing token for account ${current.id}...`);
+    try {
+      const tokens = await brokerFor(current).refreshAccessToken(current.refresh_token);
+      await saveTokens(current.id, tokens);
+      return true;
+    } catch (err) {
+      console.error(`❌ Token refresh failed for account ${current.id}:`, err.response?.data || err.message);
+      onTokenError(current, err.response?.data?.errors?.[0]?.message || err.message);
+      return false;
+    }
+  }
+
+  async function refreshAll() {
+    for (const account of accounts.filter(a => a.enabled !== false && a.refresh_token)) {
+      await ensureToken(account);
+    }
+  }
+
+  // Enabled, logged-in accounts a signal should reach
+  function targetsFor(data) {
+    const requested = requestedAccounts(data);
+    return accounts.filter(a =>
+      a.enabled !== false &&
+      a.access_token &&
+      (!requested || requested.includes(a.id))
+    );
+  }
+
+  function loggedInBrokers() {
+    return accounts.filter(a => a.enabled !== false && a.access_token).map(brokerFor);
+  }
+
+  // ---- Account management (admin) ----
+  // Only one account can be primary
+  async function demoteOthers(id) {
+    for (const other of accounts.filter(a => a.primary && a.id !== id)) {
+      await store.update(other.id, { primary: false, updated_at: new Date().toISOString() });
+    }
+  }
+
+  function listAccounts() {
+    return accounts.map(publicAccount);
+  }
+
+  async function createAccount(input) {
+    const fields = validateAccount(input);
+    const created = await store.insert({
+      name: fields.id,
+      enabled: true,
+      primary: false,
+      quantity_multiplier: 1,
+      ...fields,
+      updated_at: new Date().toISOString()
+    });
+    if (created.primary) await demoteOthers(created.id);
+    await load();
+    return publicAccount(created);
+  }
+
+  async function updateAccount(id, input) {
+    if (!find(id)) return null;
+    const { id: _ignored, ...rest } = input;
+    const fields = validateAccount(rest, { partial: true });
+    const updated = await store.update(id, { ...fields, updated_at: new Date().toISOString() });
+    if (fields.primary) await demoteOthers(id);
+    await load();
+    return publicAccount(updated);
+  }
+
+  async function deleteAccount(id) {
+    await store.remove(id);
+    brokers.delete(id);
+    await load();
+  }
+
+  return {
+    load, find, primary, brokerFor, saveTokens, ensureToken, refreshAll, targetsFor, loggedInBrokers,
+    listAccounts, createAccount, updateAccount, deleteAccount
+  };
+}
+
+module.exports = { createAccountManager, requestedAccounts, LEGACY_ACCOUNT };
@@ -0,0 +1,318 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// ===============================
+// Dashboard Authentication
+// ===============================
+// Users (the `users` store) log in with a PIN, hashed with scrypt. A
+// successful login returns an HMAC-signed session token that the dashboard
+// sends as `Authorization: Bearer <token>`. Roles are ordered
+// viewer < trader < admin; repeated failures lock the username (or, for
+// PIN-only logins, the client IP) out for a while.
+//
+// A token carries the user's updated_at and is checked against the stored
+// user on every request, so deleting a user or changing their role or PIN
+// ends their sessions. While any user can still log in with the default
+// PIN, or until the users could be checked, defaultPinInUse() is true and
+// the server refuses live signals.
+
+const ROLES = ["viewer", "trader", "admin"];
+const AUTH_SESSION_TTL_MS = parseFloat(process.env.AUTH_SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+const AUTH_MAX_ATTEMPTS = parseInt(process.env.AUTH_MAX_ATTEMPTS || 5);
+const AUTH_LOCKOUT_MS = parseInt(process.env.AUTH_LOCKOUT_MINUTES || 15) * 60 * 1000;
+const MIN_PIN_LENGTH = 4;
+const DEFAULT_PIN = "123456";
+
+async function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(String(pin), salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPin(pin, stored) {
+  const [scheme, salt, hex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+  const expected = Buffer.from(hex, "hex");
+  const actual = await scrypt(String(pin), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePin(pin) {
+  if (!pin || String(pin).length < MIN_PIN_LENGTH) throw new Error(`PIN must be at least ${MIN_PIN_LENGTH} characters`);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role} (expected ${ROLES.join(", ")})`);
+}
+
+// Without the hash, for API responses
+function publicUser(user) {
+  return { username: user.username, role: user.role, created_at: user.created_at, updated_at: user.updated_at || null };
+}
+
+function createAuth({ store, secret = process.env.AUTH_SECRET }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    console.log("⚠️ AUTH_SECRET not set, sessions will not survive a restart");
+  }
+  const failures = new Map(); // lockout key -> { count, locked_until }
+  const defaultPinUsers = new Set(); // usernames whose PIN is still DEFAULT_PIN
+  let defaultPinChecked = false; // false until every user has been checked once
+  let defaultPinCheck = null; // in-flight check, shared by concurrent callers
+
+  // ---- Session tokens: base64url(payload).base64url(hmac) ----
+  function sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+    const mac = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+    return `${body}.${mac}`;
+  }
+
+  function verifyToken(token) {
+    const [body, mac] = (token || "").split(".");
+    if (!body || !mac) return null;
+    const expected = crypto.createHmac("sha256", secret).update(body).digest();
+    const given = Buffer.from(mac, "base64url");
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+      return payload.exp > Date.now() ? payload : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // A token is only as good as the user row behind it: gone, or updated
+  // since it was issued (role or PIN change), means the session has ended.
+  // -> { username, role } or null
+  async function authenticate(token) {
+    const session = verifyToken(token);
+    if (!session) return null;
+    const user = await store.find(session.sub);
+    if (!user || (user.updated_at || null) !== (session.ver ?? null)) return null;
+    return { username: user.username, role: user.role };
+  }
+
+  function issueSession(user) {
+    const expiresAt = Date.now() + AUTH_SESSION_TTL_MS;
+    return {
+      token: sign({ sub: user.username, role: user.role, ver: user.updated_at || null, iat: Date.now(), exp: expiresAt }),
+      username: user.username,
+      role: user.role,
+      expires_at: new Date(expiresAt).toISOString()
+    };
+  }
+
+  function trackDefaultPin(username, pin) {
+    if (String(pin) === DEFAULT_PIN) defaultPinUsers.add(username);
+    else defaultPinUsers.delete(username);
+  }
+
+  async function checkDefaultPins() {
+    const found = new Set();
+    for (const user of await store.list()) {
+      if (await verifyPin(DEFAULT_PIN, user.pin_hash)) found.add(user.username);
+    }
+    defaultPinUsers.clear();
+    for (const username of found) defaultPinUsers.add(username);
+    defaultPinChecked = true;
+    if (found.size > 0) {
+      console.log(`⚠️ ${[...found].join(", ")} still on the default PIN; live signals are refused until it is changed via /api/change-pin`);
+    }
+  }
+
+  // Fails closed: until a check has succeeded (e.g. the store was down at
+  // startup) the answer is "in use", and each call retries the check
+  async function defaultPinInUse() {
+    if (!defaultPinChecked) {
+      defaultPinCheck = defaultPinCheck || checkDefaultPins().finally(() => { defaultPinCheck = null; });
+      try {
+        await defaultPinCheck;
+      } catch (err) {
+        console.error("❌ Default PIN check failed:", err.message);
+        return true;
+      }
+    }
+    return defaultPinUsers.size > 0;
+  }
+
+  // ---- Lockout ----
+  function lockedFor(key) {
+    const entry = failures.get(key);
+    if (!entry?.locked_until) return 0;
+    const remaining = entry.locked_until - Date.now();
+    if (remaining <= 0) failures.delete(key);
+    return Math.max(0, remaining);
+  }
+
+  function recordFailure(key) {
+    const entry = failures.get(key) || { count: 0, locked_until: null };
+    entry.count++;
+    if (entry.count >= AUTH_MAX_ATTEMPTS) {
+      entry.locked_until = Date.now() + AUTH_LOCKOUT_MS;
+      console.log(`🔒 Login locked for ${key} after ${entry.count} failed attempts`);
+    }
+    failures.set(key, entry);
+  }
+
+  // First start: create an admin so the dashboard is reachable. Existing
+  // users are checked for the default PIN so an old install is caught too.
+  async function bootstrap() {
+    try {
+      const users = await store.list();
+      if (users.length === 0) {
+        const pin = process.env.ADMIN_PIN || DEFAULT_PIN;
+        validatePin(pin);
+        await store.insert({ username: "admin", role: "admin", pin_hash: await hashPin(pin), updated_at: new Date().toISOString() });
+        console.log(process.env.ADMIN_PIN ? "🌱 Created admin user from ADMIN_PIN" : `🌱 Created admin user with the default PIN ${DEFAULT_PIN}`);
+      }
+      await checkDefaultPins();
+    } catch (err) {
+      console.error("❌ Auth bootstrap error:", err.message);
+    }
+  }
+
+  // Returns { token, username, role, expires_at }; throws with .status on failure
+  async function login({ username, pin }, ip) {
+    const key = username ? `user:${username}` : `ip:${ip}`;
+    const wait = lockedFor(key);
+    if (wait > 0) {
+      const err = new Error("Too many failed attempts, try again later");
+      err.status = 429;
+      err.retry_after = Math.ceil(wait / 1000);
+      throw err;
+    }
+
+    const candidates = username ? [await store.find(username)].filter(Boolean) : await store.list();
+    let user = null;
+    for (const candidate of candidates) {
+      if (await verifyPin(pin, candidate.pin_hash)) {
+        user = candidate;
+        break;
+      }
+    }
+
+    if (!user) {
+      recordFailure(key);
+      const err = new Error("Invalid PIN");
+      err.status = 401;
+      throw err;
+    }
+
+    failures.delete(key);
+    return issueSession(user);
+  }
+
+  // Ends every session of the user, the caller's included; returns a fresh one
+  async function changePin(username, currentPin, newPin) {
+    const user = await store.find(username);
+    if (!user || !(await verifyPin(currentPin, user.pin_hash))) {
+      const err = new Error("Incorrect current PIN");
+      err.status = 401;
+      throw err;
+    }
+    validatePin(newPin);
+    const updated = await store.update(username, { pin_hash: await hashPin(newPin), updated_at: new Date().toISOString() });
+    trackDefaultPin(username, newPin);
+    return issueSession(updated);
+  }
+
+  // ---- User management (admin) ----
+  async function listUsers() {
+    return (await store.list()).map(publicUser);
+  }
+
+  async function createUser({ username, pin, role = "viewer" }) {
+    if (!username) throw new Error("username is required");
+    validatePin(pin);
+    validateRole(role);
+    const user = await store.insert({ username, role, pin_hash: await hashPin(pin), updated_at: new Date().toISOString() });
+    trackDefaultPin(username, pin);
+    return publicUser(user);
+  }
+
+  async function updateUser(username, { pin, role }) {
+    if (!(await store.find(username))) return null;
+    const fields = { updated_at: new Date().toISOString() };
+    if (role !== undefined) {
+      validateRole(role);
+      fields.role = role;
+    }
+    if (pin !== undefined) {
+      validatePin(pin);
+      fields.pin_hash = await hashPin(pin);
+    }
+    const user = await store.update(username, fields);
+    if (pin !== undefined) trackDefaultPin(username, pin);
+    return publicUser(user);
+  }
+
+  async function deleteUser(username) {
+    await store.remove(username);
+    defaultPinUsers.delete(username);
+  }
+
+  // ---- Middleware ----
+  // Authenticates every request under the mount path except `publicPaths`.
+  // GETs need viewer, anything else trader unless `minRoles` names the path
+  // (authenticated, but open to a lower role); routes can demand more with requireRole.
+  function protect({ publicPaths = [], minRoles = {} } = {}) {
+    return async (req, res, next) => {
+      const path = req.baseUrl + req.path;
+      if (publicPaths.includes(path)) return next();
+
+      const header = req.headers.authorization || "";
+      let user;
+      try {
+        user = await authenticate(header.startsWith("Bearer ") ? header.slice(7) : null);
+      } catch (err) {
+        console.error("❌ Session check failed:", err.message);
+        return res.status(503).json({ error: "User store unavailable" });
+      }
+      if (!user) return res.status(401).json({ error: "Authentication required" });
+
+      req.user = user;
+      const needed = minRoles[path] || (req.method === "GET" ? "viewer" : "trader");
+      if (ROLES.indexOf(user.role) < ROLES.indexOf(needed)) {
+        return res.status(403).json({ error: `${needed} role required` });
+      }
+      next();
+    };
+  }
+
+  // socket.io handshake: the client passes the session token as
+  // io({ auth: { token } }) (or an Authorization header) and needs `role`
+  function protectSocket(role = "viewer") {
+    return async (socket, next) => {
+      const header = socket.handshake.headers.authorization || "";
+      const token = socket.handshake.auth?.token || (header.startsWith("Bearer ") ? header.slice(7) : null);
+      let user;
+      try {
+        user = await authenticate(token);
+      } catch (err) {
+        console.error("❌ Session check failed:", err.message);
+        return next(new Error("User store unavailable"));
+      }
+      if (!user) return next(new Error("Authentication required"));
+      if (ROLES.indexOf(user.role) < ROLES.indexOf(role)) return next(new Error(`${role} role required`));
+      socket.data.user = user;
+      next();
+    };
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) return res.status(401).json({ error: "Authentication required" });
+      if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) return res.status(403).json({ error: `${role} role required` });
+      next();
+    };
+  }
+
+  return {
+    bootstrap, login, changePin, listUsers, createUser, updateUser, deleteUser,
+    protect, protectSocket, requireRole, verifyToken, authenticate, defaultPinInUse
+  };
+}
+
+module.exports = { createAuth, hashPin, verifyPin, ROLES };
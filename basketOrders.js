@@ -0,0 +1,204 @@
+const { placeSliced } = require("./orderSlicer");
+const { isTerminalStatus } = require("./orderTracker");
+
+// ===============================
+// Multi-Leg Baskets
+// ===============================
+// An alert with a `legs` array trades several instruments as one structure
+// (spreads, straddles, iron condors). Each leg names its instrument by
+// `instrument_token`, `symbol`, or a `strike` relative to the alert's
+// `underlying` (22000, ATM, ATM+1, OTM2, ITM1, with `option_type` CE/PE and
+// an optional `expiry`), plus a `side` and a `ratio` (lots per basket lot,
+// default 1). The alert's `quantity` is the number of basket lots.
+//
+// Legs go out one at a time, buys (the hedges) before sells, and each has to
+// fill completely before the next is placed. When a leg is rejected,
+// cancelled or not filled within BASKET_LEG_TIMEOUT_MS, its open orders are
+// cancelled and every filled leg is flattened with MARKET orders, newest
+// first. Each leg is logged with the basket's `group_id` and a summary row
+// (`leg` = "basket") records the execution as a whole.
+
+const BASKET_MAX_LEGS = parseInt(process.env.BASKET_MAX_LEGS || 8);
+const BASKET_LEG_TIMEOUT_MS = parseInt(process.env.BASKET_LEG_TIMEOUT_MS || 15000);
+const BASKET_POLL_INTERVAL_MS = 500;
+
+function errorMessage(err) {
+  return err?.response?.data?.errors?.[0]?.message || err?.message || String(err);
+}
+
+// Validates up front so bad payloads get a 400 -> normalised legs
+function parseLegs(data) {
+  if (!Array.isArray(data.legs) || data.legs.length < 2) throw new Error("legs must be an array of at least 2 legs");
+  if (data.legs.length > BASKET_MAX_LEGS) throw new Error(`a basket can have at most ${BASKET_MAX_LEGS} legs`);
+  if (data.quantity !== undefined && !(parseInt(data.quantity) > 0)) throw new Error("quantity (basket lots) must be a positive integer");
+
+  return data.legs.map((raw, i) => {
+    const name = `leg${i + 1}`;
+    const side = String(raw.side || raw.action || "").toUpperCase();
+    if (side !== "BUY" && side !== "SELL") throw new Error(`${name}: side must be BUY or SELL`);
+    const ratio = raw.ratio === undefined ? 1 : parseInt(raw.ratio);
+    if (!(ratio > 0)) throw new Error(`${name}: ratio must be a positive integer`);
+
+    const leg = { name, side, ratio, price: parseFloat(raw.price) || null };
+    if (raw.instrument_token) return { ...leg, instrument_token: raw.instrument_token };
+    if (raw.symbol) return { ...leg, symbol: raw.symbol, expiry: raw.expiry };
+
+    const underlying = raw.underlying || data.underlying;
+    const optionType = String(raw.option_type || "").toUpperCase();
+    if (raw.strike === undefined || !underlying) throw new Error(`${name}: needs instrument_token, symbol, or strike with an underlying`);
+    if (optionType !== "CE" && optionType !== "PE") throw new Error(`${name}: option_type must be CE or PE`);
+    return { ...leg, symbol: `${underlying} ${String(raw.strike).toUpperCase()} ${optionType}`, expiry: raw.expiry || data.expiry };
+  });
+}
+
+// Hedges first: every BUY leg before any SELL leg, otherwise as sent
+function placementOrder(legs) {
+  return [...legs.filter(l => l.side === "BUY"), ...legs.filter(l => l.side === "SELL")];
+}
+
+function createBasketManager({ log, follow, legTimeoutMs = BASKET_LEG_TIMEOUT_MS, pollIntervalMs = BASKET_POLL_INTERVAL_MS }) {
+  function legData(data, leg) {
+    const { legs, ...rest } = data;
+    return { ...rest, symbol: leg.tradingSymbol, instrument_token: leg.instrumentKey, action: leg.side, quantity: leg.lots, price: leg.price || 0 };
+  }
+
+  function orderBody(leg, side, quantity, tag) {
+    return {
+      quantity,
+      product: leg.product,
+      validity: "DAY",
+      price: leg.price || 0,
+      tag,
+      instrument_token: leg.instrumentKey,
+      order_type: "MARKET",
+      transaction_type: side,
+      disclosed_quantity: 0,
+      trigger_price: 0,
+      is_amo: false,
+      trading_symbol: leg.tradingSymbol
+    };
+  }
+
+  // Polls until every child order is terminal or the leg times out
+  async function waitForFill(broker, orderIds) {
+    const deadline = Date.now() + legTimeoutMs;
+    let orders = [];
+    for (;;) {
+      orders = [];
+      for (const id of orderIds) {
+        try {
+          orders.push({ order_id: id, ...(await broker.getOrderDetails(id)) });
+        } catch (err) {
+          orders.push({ order_id: id, status: "unknown", filled_quantity: 0 });
+        }
+      }
+      if (orders.every(o => isTerminalStatus(o.status)) || Date.now() >= deadline) break;
+      await new Promise(r => setTimeout(r, pollIntervalMs));
+    }
+    return {
+      filled: orders.reduce((sum, o) => sum + (parseInt(o.filled_quantity) || 0), 0),
+      open: orders.filter(o => !isTerminalStatus(o.status)).map(o => o.order_id),
+      rejection: orders.find(o => o.status === "rejected")?.status_message || null
+    };
+  }
+
+  async function placeLeg(broker, data, groupId, leg, tag) {
+    const { orderIds, slices, error } = await placeSliced(broker, orderBody(leg, leg.side, leg.quantity, tag), {
+      freezeQuantity: leg.freezeQuantity,
+      lotSize: leg.lotSize
+    });
+    const logId = orderIds.length
+      ? await log(legData(data, leg), "success", error ? `placed ${orderIds.length}/${slices.length} slices: ${errorMessage(error)}` : null, orderIds[0], {
+          instrument_key: leg.instrumentKey,
+          trading_symbol: leg.tradingSymbol,
+          segment: leg.segment,
+          order_side: leg.side,
+          order_quantity: leg.quantity,
+          group_id: groupId,
+          leg: leg.name,
+          ...(slices.length > 1 ? { child_order_ids: orderIds } : {})
+        })
+      : await log(legData(data, leg), "failed", errorMessage(error), null, { group_id: groupId, leg: leg.name, order_side: leg.side });
+    if (orderIds.length) follow(broker, orderIds, logId, leg.side, leg.price);
+    if (orderIds.length === 0) return { filled: 0, reason: errorMessage(error), placedAny: false, error };
+
+    const result = await waitForFill(broker, orderIds);
+    for (const id of result.open) {
+      try {
+        await broker.cancelOrder(id);
+      } catch (err) {
+        console.error(`❌ Could not cancel ${leg.name} order ${id}:`, errorMessage(err));
+      }
+    }
+    let reason = null;
+    if (error) reason = `only ${orderIds.length}/${slices.length} slices placed: ${errorMessage(error)}`;
+    else if (result.rejection) reason = `rejected: ${result.rejection}`;
+    else if (result.open.length) reason = `not filled within ${legTimeoutMs}ms`;
+    else if (result.filled < leg.quantity) reason = `filled ${result.filled}/${leg.quantity}`;
+    return { filled: result.filled, reason, placedAny: true };
+  }
+
+  // Closes whatever each filled leg holds, newest leg first
+  async function flatten(broker, data, groupId, filledLegs, tag) {
+    const failures = [];
+    for (const { leg, filled } of [...filledLegs].reverse()) {
+      const side = leg.side === "BUY" ? "SELL" : "BUY";
+      const { orderIds, error } = await placeSliced(broker, orderBody(leg, side, filled, `${tag}-rb`), {
+        freezeQuantity: leg.freezeQuantity,
+        lotSize: leg.lotSize
+      });
+      const name = `${leg.name}_rollback`;
+      if (error) {
+        failures.push(`${leg.name}: ${errorMessage(error)}`);
+        console.error(`❌ Basket ${groupId} rollback of ${leg.name} failed, position left open:`, errorMessage(error));
+      }
+      if (orderIds.length === 0) {
+        await log({ ...legData(data, leg), action: side }, "failed", `rollback failed: ${errorMessage(error)}`, null, { group_id: groupId, leg: name, order_side: side });
+        continue;
+      }
+      const logId = await log({ ...legData(data, leg), action: side }, "success", error ? `rollback partly placed: ${errorMessage(error)}` : "rollback", orderIds[0], {
+        instrument_key: leg.instrumentKey,
+        trading_symbol: leg.tradingSymbol,
+        segment: leg.segment,
+        order_side: side,
+        order_quantity: filled,
+        group_id: groupId,
+        leg: name,
+        ...(orderIds.length > 1 ? { child_order_ids: orderIds } : {})
+      });
+      follow(broker, orderIds, logId, side, leg.price);
+    }
+    return failures;
+  }
+
+  // legs: resolved and sized, in placement order:
+  //   { name, side, lots, quantity, instrumentKey, tradingSymbol, segment, product, price, lotSize, freezeQuantity }
+  // -> { status: "filled" | "rolled_back" | "rollback_failed" | "failed", reason, placedAny, error }
+  // `error` is the placement error when the first leg never got an order id,
+  // so the caller can decide on a retry; `tag` prefixes every order's tag
+  async function execute({ broker, data, legs, groupId, label = "", tag = "tv-basket" }) {
+    const filledLegs = [];
+    for (const leg of legs) {
+      console.log(`📤 ${label}Basket ${groupId} ${leg.name}: ${leg.side} ${leg.quantity} ${leg.tradingSymbol}`);
+      const result = await placeLeg(broker, data, groupId, leg, `${tag}-b`);
+      if (result.filled > 0) filledLegs.push({ leg, filled: result.filled });
+      if (!result.reason) continue;
+
+      const reason = `${leg.name} ${result.reason}`;
+      console.error(`❌ ${label}Basket ${groupId} failed at ${reason}`);
+      if (filledLegs.length === 0) return { status: "failed", reason, placedAny: result.placedAny, error: result.error || null };
+
+      console.log(`↩️ ${label}Basket ${groupId}: flattening ${filledLegs.length} filled legs`);
+      const failures = await flatten(broker, data, groupId, filledLegs, tag);
+      return failures.length
+        ? { status: "rollback_failed", reason: `${reason}; rollback failed for ${failures.join(", ")}`, placedAny: true }
+        : { status: "rolled_back", reason, placedAny: true };
+    }
+    console.log(`✅ ${label}Basket ${groupId} filled (${legs.length} legs)`);
+    return { status: "filled", reason: null, placedAny: true };
+  }
+
+  return { execute };
+}
+
+module.exports = { createBasketManager, parseLegs, placementOrder };
@@ -0,0 +1,543 @@
+// ===============================
+// Bracket Orders (SL / Target / Trailing SL)
+// ===============================
+// Once an entry fills (fully, or partly before it was cancelled or expired),
+// places a stop-loss (SL-M) and/or target (LIMIT) exit leg for the filled
+// quantity and tracks them as one group. Every fill on one leg shrinks the
+// other to what is still held, and the leg that closes the position cancels
+// the other (OCO). A trailing stop ratchets the SL trigger behind the best
+// LTP seen since entry. Each leg gets its own log row, which `follow` keeps
+// updated with fills/cancellations.
+//
+// Groups are saved to the `bracketGroups` store on every change, so the
+// pairing survives a shutdown, crash or self-restart: load() watches the
+// open ones again on the next start.
+
+const DEFAULT_TICK_SIZE = 0.05;
+const TRAILING_SL_INTERVAL_MS = parseInt(process.env.TRAILING_SL_INTERVAL_MS || 5000);
+const FINISHED_GROUP_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Accepts 105.5, "105.5", "2%" or { value: 2, type: "percent" | "absolute" }
+function parseLevel(raw, field) {
+  if (raw === undefined || raw === null || raw === "") return null;
+
+  let num;
+  let percent;
+  if (typeof raw === "object") {
+    num = parseFloat(raw.value);
+    percent = raw.type === "percent";
+  } else {
+    const text = String(raw).trim();
+    percent = text.endsWith("%");
+    num = parseFloat(percent ? text.slice(0, -1) : text);
+  }
+
+  if (!Number.isFinite(num) || num <= 0) throw new Error(`Invalid ${field}`);
+  return percent ? { percent: num } : { value: num };
+}
+
+// Returns null when the alert carries no exit instructions
+function parseBracket(data) {
+  const bracket = {
+    stopLoss: parseLevel(data.stop_loss, "stop_loss"),
+    target: parseLevel(data.target, "target"),
+    trailingSl: parseLevel(data.trailing_sl, "trailing_sl")
+  };
+  if (!bracket.stopLoss && !bracket.target && !bracket.trailingSl) return null;
+  return bracket;
+}
+
+function roundToTick(price, tickSize) {
+  return Number((Math.round(price / tickSize) * tickSize).toFixed(4));
+}
+
+// Absolute levels are prices; percent levels are measured from the entry price
+function levelPrice(level, entryPrice, sign) {
+  if (level.value !== undefined) return level.value;
+  return entryPrice * (1 + sign * level.percent / 100);
+}
+
+// Trailing distance in price points
+function trailDistance(level, price) {
+  return level.value !== undefined ? level.value : price * level.percent / 100;
+}
+
+// What the store keeps; the broker is kept as its mode and account
+function toRow(group) {
+  return {
+    id: group.id,
+    group_id: group.groupId,
+    mode: group.mode,
+    account_id: group.accountId,
+    status: group.status,
+    data: group.data,
+    entry: group.entry,
+    bracket: group.bracket,
+    tick_size: group.tickSize,
+    quantity: group.quantity ?? null,
+    entry_price: group.entryPrice ?? null,
+    extreme_price: group.extremePrice ?? null,
+    legs: group.legs,
+    created_at: new Date(group.createdAt).toISOString(),
+    finished_at: group.finishedAt ? new Date(group.finishedAt).toISOString() : null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+function fromRow(row, broker) {
+  const entry = row.entry || {};
+  return {
+    id: row.id,
+    groupId: row.group_id,
+    broker,
+    mode: row.mode,
+    accountId: row.account_id || null,
+    data: row.data || {},
+    entry,
+    bracket: row.bracket,
+    tickSize: parseFloat(row.tick_size) || DEFAULT_TICK_SIZE,
+    sign: entry.transaction_type === "BUY" ? 1 : -1,
+    exitSide: entry.transaction_type === "BUY" ? "SELL" : "BUY",
+    status: row.status,
+    legs: row.legs || {},
+    quantity: row.quantity ?? undefined,
+    entryPrice: row.entry_price === null ? undefined : parseFloat(row.entry_price),
+    extremePrice: row.extreme_price === null ? undefined : parseFloat(row.extreme_price),
+    createdAt: Date.parse(row.created_at) || Date.now(),
+    finishedAt: null
+  };
+}
+
+// getBroker(accountId) -> the live account's adapter, or null once it is gone
+function createBracketManager({ store, tracker, log, follow, getBroker, track = promise => promise }) {
+  const groups = new Map(); // entry order_id -> group
+  let trailTimer = null;
+
+  async function persist(group) {
+    try {
+      await track(store.save(toRow(group)));
+    } catch (err) {
+      console.error(`❌ Bracket group ${group.id} save error:`, err.message);
+    }
+  }
+
+  function legData(group) {
+    return { ...group.data, action: group.exitSide };
+  }
+
+  function logLeg(group, legName, status, reason, orderId) {
+    return log(legData(group), status, reason, orderId, { group_id: group.groupId, leg: legName });
+  }
+
+  function pruneFinished() {
+    const now = Date.now();
+    for (const [id, g] of groups.entries()) {
+      if (g.finishedAt && now - g.finishedAt > FINISHED_GROUP_TTL_MS) groups.delete(id);
+    }
+  }
+
+  // groupId ties several entries (e.g. sliced children) to one logical order
+  async function start({ broker, data, entryOrderId, groupId = entryOrderId, entry, bracket, tickSize }) {
+    pruneFinished();
+    const group = {
+      id: entryOrderId,
+      groupId,
+      broker,
+      mode: broker.name === "paper" ? "paper" : "live",
+      accountId: broker.accountId || null,
+      data,
+      entry,
+      bracket,
+      tickSize: tickSize || DEFAULT_TICK_SIZE,
+      sign: entry.transaction_type === "BUY" ? 1 : -1,
+      exitSide: entry.transaction_type === "BUY" ? "SELL" : "BUY",
+      status: "awaiting_entry",
+      legs: {},
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    groups.set(group.id, group);
+    await persist(group);
+    tracker.track(broker, entryOrderId, { onTerminal: order => onEntryDone(group, order) });
+    return group;
+  }
+
+  async function finish(group, status) {
+    group.status = status;
+    group.finishedAt = Date.now();
+    stopTrailingIfIdle();
+    await persist(group);
+  }
+
+  async function placeLeg(group, legName, { orderType, price, triggerPrice, quantity }) {
+    const body = {
+      quantity,
+      product: group.entry.product,
+      validity: "DAY",
+      price: price || 0,
+      tag: legName === "stop_loss" ? "tv-sl" : "tv-target",
+      instrument_token: group.entry.instrument_token,
+      order_type: orderType,
+      transaction_type: group.exitSide,
+      disclosed_quantity: 0,
+      trigger_price: triggerPrice || 0,
+      is_amo: false,
+      trading_symbol: group.entry.trading_symbol
+    };
+
+    try {
+      const placed = await group.broker.placeOrder(body);
+      group.legs[legName] = {
+        orderId: placed.order_id,
+        orderType,
+        quantity,
+        price: body.price,
+        triggerPrice: body.trigger_price,
+        status: "open",
+        filled: 0
+      };
+      console.log(`🎯 ${legName} leg placed for ${group.id}:`, placed.order_id);
+      await persist(group);
+      const logId = await logLeg(group, legName, "success", `${legName} @ ${triggerPrice || price}`, placed.order_id);
+      follow(group.broker, placed.order_id, logId, group.exitSide, triggerPrice || price);
+      watchLeg(group, legName);
+    } catch (err) {
+      const reason = err.response?.data?.errors?.[0]?.message || err.message;
+      console.error(`❌ ${legName} leg failed for ${group.id}:`, reason);
+      await logLeg(group, legName, "failed", reason, null);
+    }
+  }
+
+  function watchLeg(group, legName) {
+    tracker.track(group.broker, group.legs[legName].orderId, {
+      onUpdate: order => onLegUpdate(group, legName, order),
+      onTerminal: order => onLegDone(group, legName, order)
+    });
+  }
+
+  // A partly filled entry that was then cancelled or expired still leaves a
+  // position: the exits cover whatever filled
+  async function onEntryDone(group, order) {
+    if (group.finishedAt) return;
+    const filled = parseInt(order.filled_quantity) || 0;
+    if (filled === 0) {
+      console.warn(`⚠️ Entry ${group.id} ${order.status}, exits not placed`);
+      await finish(group, `entry_${order.status}`);
+      return;
+    }
+    if (order.status !== "complete") {
+      console.warn(`⚠️ Entry ${group.id} ${order.status} after filling ${filled}/${group.entry.quantity}, exits cover the filled quantity`);
+    }
+    group.quantity = filled;
+
+    const entryPrice = parseFloat(order.average_price) || parseFloat(group.data.price) || 0;
+    const { stopLoss, target, trailingSl } = group.bracket;
+    group.entryPrice = entryPrice;
+    group.extremePrice = entryPrice;
+    group.status = "active";
+    await persist(group);
+
+    let slPrice = null;
+    if (stopLoss) slPrice = levelPrice(stopLoss, entryPrice, -group.sign);
+    else if (trailingSl) slPrice = entryPrice - group.sign * trailDistance(trailingSl, entryPrice);
+    if (slPrice !== null) {
+      slPrice = roundToTick(slPrice, group.tickSize);
+      if ((slPrice - entryPrice) * group.sign >= 0) {
+        await logLeg(group, "stop_loss", "failed", `stop loss ${slPrice} is not beyond entry ${entryPrice}`, null);
+      } else {
+        await placeLeg(group, "stop_loss", { orderType: "SL-M", triggerPrice: slPrice, quantity: filled });
+      }
+    }
+
+    if (target) {
+      const targetPrice = roundToTick(levelPrice(target, entryPrice, group.sign), group.tickSize);
+      if ((targetPrice - entryPrice) * group.sign <= 0) {
+        await logLeg(group, "target", "failed", `target ${targetPrice} is not beyond entry ${entryPrice}`, null);
+      } else {
+        await placeLeg(group, "target", { orderType: "LIMIT", price: targetPrice, quantity: filled });
+      }
+    }
+
+    if (Object.keys(group.legs).length === 0) await finish(group, "no_exits");
+    else if (trailingSl && group.legs.stop_loss) ensureTrailing();
+  }
+
+  // Units the exits still have to close: the entry's fill less both legs' fills
+  function remaining(group) {
+    return group.quantity - Object.values(group.legs).reduce((sum, l) => sum + (l.filled || 0), 0);
+  }
+
+  async function cancelLeg(group, legName, why) {
+    const leg = group.legs[legName];
+    leg.cancelRequested = true;
+    try {
+      await group.broker.cancelOrder(leg.orderId);
+      leg.status = "cancelled";
+      console.log(`🚫 ${why}: cancelled ${legName} leg ${leg.orderId}`);
+    } catch (err) {
+      const reason = err.response?.data?.errors?.[0]?.message || err.message;
+      console.error(`❌ ${why} cancel failed for ${leg.orderId}:`, reason);
+      await logLeg(group, legName, "failed", `${why} cancel failed: ${reason}`, leg.orderId);
+    }
+  }
+
+  // `quantity` is the order's new total, its own earlier fills included
+  async function resizeLeg(group, legName, quantity, why) {
+    const leg = group.legs[legName];
+    if (quantity === leg.quantity) return;
+    try {
+      await group.broker.modifyOrder(leg.orderId, {
+        quantity,
+        validity: "DAY",
+        price: leg.price || 0,
+        order_type: leg.orderType,
+        disclosed_quantity: 0,
+        trigger_price: leg.triggerPrice || 0
+      });
+      console.log(`📉 ${why}: ${legName} leg ${leg.orderId} ${leg.quantity} → ${quantity}`);
+      leg.quantity = quantity;
+    } catch (err) {
+      const reason = err.response?.data?.errors?.[0]?.message || err.message;
+      console.error(`❌ ${why} resize failed for ${leg.orderId}:`, reason);
+      await logLeg(group, legName, "failed", `${why} resize to ${quantity} failed: ${reason}`, leg.orderId);
+    }
+  }
+
+  // A fill on one leg shrinks the other to what is still held (cancels it
+  // once nothing is), so SL and target together never sell more than the entry bought
+  async function onLegUpdate(group, legName, order) {
+    const leg = group.legs[legName];
+    const filled = parseInt(order.filled_quantity) || 0;
+    if (filled <= leg.filled) return;
+    leg.filled = filled;
+    if (group.finishedAt) return persist(group);
+
+    const left = remaining(group);
+    for (const [otherName, other] of Object.entries(group.legs)) {
+      if (otherName === legName || other.status !== "open") continue;
+      if (left <= 0) await cancelLeg(group, otherName, "OCO");
+      else await resizeLeg(group, otherName, other.filled + left, `${legName} filled ${filled}`);
+    }
+    await persist(group);
+  }
+
+  async function onLegDone(group, legName, order) {
+    const leg = group.legs[legName];
+    leg.status = order.status;
+    if (group.finishedAt) {
+      // Closed by a signal while this leg was resting and the cancel lost the race
+      if (order.status === "complete") console.warn(`⚠️ ${legName} leg of closed bracket ${group.id} filled, check the position`);
+      await persist(group);
+      return;
+    }
+
+    if (order.status === "complete") {
+      console.log(`✅ ${legName} leg filled for ${group.id} @ ${order.average_price}`);
+      for (const [otherName, other] of Object.entries(group.legs)) {
+        if (otherName !== legName && other.status === "open") await cancelLeg(group, otherName, "OCO");
+      }
+      await finish(group, `closed_by_${legName}`);
+      return;
+    }
+
+    if (!leg.cancelRequested) console.warn(`⚠️ ${legName} leg ${order.status} (${group.id})`);
+    if (Object.values(group.legs).every(l => l.status !== "open")) {
+      const left = remaining(group);
+      if (left > 0) console.warn(`⚠️ Bracket ${group.id}: no exit legs left with ${left} units still held`);
+      await finish(group, "closed");
+      return;
+    }
+    await persist(group);
+  }
+
+  // ---- Positions closed or shrunk by a signal ----
+  // Groups whose exits are resting for this instrument on this account
+  // (null for paper), oldest first
+  function activeFor(instrumentKey, accountId) {
+    return [...groups.values()].filter(g =>
+      g.status === "active" && !g.finishedAt &&
+      g.entry.instrument_token === instrumentKey && (g.accountId || null) === (accountId || null)
+    );
+  }
+
+  // Before a signal squares the position off: a resting SL or target filling
+  // afterwards would open a new position the other way
+  async function cancelFor(instrumentKey, accountId) {
+    const active = activeFor(instrumentKey, accountId);
+    for (const group of active) {
+      for (const [name, leg] of Object.entries(group.legs)) {
+        if (leg.status === "open") await cancelLeg(group, name, "Exit signal");
+      }
+      await finish(group, "closed_by_signal");
+    }
+    return active.length;
+  }
+
+  // Before a partial close: shrinks the exits to `quantity`, the units the
+  // position keeps, taking from the oldest groups first
+  async function resizeFor(instrumentKey, accountId, quantity) {
+    const active = activeFor(instrumentKey, accountId);
+    let excess = active.reduce((sum, g) => sum + remaining(g), 0) - quantity;
+    for (const group of active) {
+      if (excess <= 0) break;
+      const left = remaining(group);
+      const take = Math.min(excess, left);
+      excess -= take;
+      if (take === left) {
+        for (const [name, leg] of Object.entries(group.legs)) {
+          if (leg.status === "open") await cancelLeg(group, name, "Partial exit");
+        }
+        await finish(group, "closed_by_signal");
+        continue;
+      }
+      group.quantity -= take;
+      for (const [name, leg] of Object.entries(group.legs)) {
+        if (leg.status === "open") await resizeLeg(group, name, leg.filled + remaining(group), "Partial exit");
+      }
+      await persist(group);
+    }
+  }
+
+  // ---- Trailing stop ----
+  function trailingGroups() {
+    return [...groups.values()].filter(
+      g => g.status === "active" && g.bracket.trailingSl && g.legs.stop_loss?.status === "open"
+    );
+  }
+
+  function ensureTrailing() {
+    if (!trailTimer) trailTimer = setInterval(updateTrailingStops, TRAILING_SL_INTERVAL_MS);
+  }
+
+  function stopTrailingIfIdle() {
+    if (trailTimer && trailingGroups().length === 0) {
+      clearInterval(trailTimer);
+      trailTimer = null;
+    }
+  }
+
+  async function trail(group, ltp) {
+    const leg = group.legs.stop_loss;
+    group.extremePrice = group.sign > 0 ? Math.max(group.extremePrice, ltp) : Math.min(group.extremePrice, ltp);
+    const distance = trailDistance(group.bracket.trailingSl, group.extremePrice);
+    const trigger = roundToTick(group.extremePrice - group.sign * distance, group.tickSize);
+    if ((trigger - leg.triggerPrice) * group.sign < group.tickSize / 2) return;
+
+    try {
+      await group.broker.modifyOrder(leg.orderId, {
+        quantity: leg.quantity,
+        validity: "DAY",
+        price: 0,
+        order_type: leg.orderType,
+        disclosed_quantity: 0,
+        trigger_price: trigger
+      });
+      console.log(`📈 Trailing SL for ${group.id}: ${leg.triggerPrice} → ${trigger}`);
+      leg.triggerPrice = trigger;
+      await persist(group);
+    } catch (err) {
+      console.error(`❌ Trailing SL modify failed for ${leg.orderId}:`, err.response?.data || err.message);
+    }
+  }
+
+  async function updateTrailingStops() {
+    const active = trailingGroups();
+    if (active.length === 0) return stopTrailingIfIdle();
+
+    const byBroker = new Map();
+    for (const g of active) {
+      if (!byBroker.has(g.broker)) byBroker.set(g.broker, []);
+      byBroker.get(g.broker).push(g);
+    }
+
+    for (const [broker, list] of byBroker.entries()) {
+      let ltps;
+      try {
+        ltps = await broker.getLtp([...new Set(list.map(g => g.entry.instrument_token))]);
+      } catch (err) {
+        console.error("❌ LTP fetch for trailing SL failed:", err.response?.data || err.message);
+        continue;
+      }
+      for (const g of list) {
+        const ltp = ltps[g.entry.instrument_token];
+        if (ltp > 0) await trail(g, ltp);
+      }
+    }
+  }
+
+  function list() {
+    return [...groups.values()].map(g => ({
+      group_id: g.groupId,
+      entry_order_id: g.id,
+      broker: g.broker?.name || g.mode,
+      account_id: g.accountId,
+      symbol: g.entry.trading_symbol,
+      instrument_token: g.entry.instrument_token,
+      side: g.entry.transaction_type,
+      status: g.status,
+      entry_price: g.entryPrice ?? null,
+      quantity: g.quantity ?? null,
+      legs: Object.fromEntries(Object.entries(g.legs).map(([name, l]) => [name, {
+        order_id: l.orderId,
+        status: l.status,
+        quantity: l.quantity,
+        filled_quantity: l.filled,
+        price: l.price,
+        trigger_price: l.triggerPrice
+      }])),
+      created_at: new Date(g.createdAt).toISOString()
+    }));
+  }
+
+  // Start: watch the groups a shutdown or crash left open. Simulator orders do
+  // not survive a restart and a removed account cannot be polled, so those
+  // groups are closed as abandoned, with a warning
+  async function load() {
+    let open;
+    try {
+      open = await store.listOpen();
+    } catch (err) {
+      console.error("❌ Bracket groups load error:", err.message);
+      return;
+    }
+
+    let resumed = 0;
+    for (const row of open) {
+      const broker = row.mode === "paper" ? null : getBroker(row.account_id);
+      const group = fromRow(row, broker);
+      groups.set(group.id, group);
+      if (!broker) {
+        console.warn(`⚠️ Bracket ${group.id} (${row.mode}${row.account_id ? ` ${row.account_id}` : ""}) cannot be resumed, its exit legs are no longer managed`);
+        await finish(group, "abandoned");
+        continue;
+      }
+
+      const openLegs = Object.keys(group.legs).filter(name => group.legs[name].status === "open");
+      if (group.status === "awaiting_entry") {
+        tracker.track(broker, group.id, { onTerminal: order => onEntryDone(group, order) });
+      } else if (openLegs.length === 0) {
+        await finish(group, "closed");
+        continue;
+      } else {
+        for (const name of openLegs) watchLeg(group, name);
+      }
+      resumed++;
+    }
+    if (trailingGroups().length > 0) ensureTrailing();
+    if (open.length > 0) console.log(`🎯 Resumed ${resumed} of ${open.length} open bracket groups`);
+  }
+
+  // Shutdown: trailing stops and every open group is saved as it stands;
+  // its exit legs stay at the broker until load() picks it up again
+  async function stop() {
+    clearInterval(trailTimer);
+    trailTimer = null;
+    const open = [...groups.values()].filter(g => !g.finishedAt);
+    for (const group of open) await persist(group);
+    if (open.length > 0) console.warn(`⚠️ ${open.length} open bracket groups saved for the next start`);
+  }
+
+  return { load, start, cancelFor, resizeFor, list, stop };
+}
+
+module.exports = { createBracketManager, parseBracket, levelPrice };
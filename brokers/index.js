@@ -0,0 +1,41 @@
+const { createUpstoxBroker } = require("./upstox");
+const { createPaperBroker } = require("./paper");
+
+// ===============================
+// Broker Adapters
+// ===============================
+// Every adapter exposes the same surface so the webhook, risk checks and
+// OAuth routes never talk to a broker API directly. Callers await every
+// method, so an adapter may return plain values or promises:
+//
+//   name
+//   placeOrder(order)               -> { order_id }   (Upstox order/place body)
+//   modifyOrder(orderId, changes)   -> { order_id }
+//   cancelOrder(orderId)            -> { order_id }
+//   getOrderDetails(orderId)        -> order          (Upstox order/details shape)
+//   getOrderBook()                  -> [order]        (today's orders)
+//   getTradeBook()                  -> [trade]        (today's fills, get-trades-for-day shape)
+//   getPositions()                  -> [position]     (short-term-positions shape)
+//   getHoldings()                   -> [holding]      (long-term-holdings shape)
+//   getFunds()                      -> funds          (get-funds-and-margin shape)
+//   getBasketMargin(instruments)    -> { required_margin, final_margin }  (charges/margin)
+//   getLtp(instrumentKeys)          -> { [instrument_key]: last_price }
+//   getQuotes(instrumentKeys)       -> { [instrument_key]: { last_price, oi, volume } }
+//   getLoginUrl(redirectUri, state) -> url
+//   exchangeAuthCode(code, redirectUri) -> { access_token, refresh_token }
+//   refreshAccessToken(refreshToken)    -> { access_token, refresh_token }
+//
+// Failures are thrown; callers decide whether to fall back or log.
+
+const adapters = {
+  upstox: createUpstoxBroker,
+  paper: createPaperBroker
+};
+
+function createBroker(name, options) {
+  const factory = adapters[name];
+  if (!factory) throw new Error(`Unknown broker: ${name}`);
+  return factory(options);
+}
+
+module.exports = { createBroker, createUpstoxBroker, createPaperBroker };
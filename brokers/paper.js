@@ -0,0 +1,295 @@
+// ===============================
+// Paper Trading Broker Adapter
+// ===============================
+// In-memory stand-in for the Upstox order, positions and funds endpoints.
+// MARKET orders fill immediately at the price they carry (or the last marked
+// price); LIMIT, SL and SL-M orders rest until markPrice() crosses them.
+// Positions/funds are returned in the same shape as the live API so the
+// webhook risk checks run unchanged against virtual state. Implements the
+// interface in brokers/index.js.
+
+const PAPER_STARTING_CAPITAL = parseFloat(process.env.PAPER_STARTING_CAPITAL || 1000000);
+
+function createPaperBroker({ startingCapital = PAPER_STARTING_CAPITAL } = {}) {
+  let state;
+
+  function reset() {
+    state = {
+      realised: 0,
+      positions: new Map(), // instrument_token -> position
+      lastPrices: new Map(), // instrument_token -> last marked price
+      orders: [],
+      seq: 0
+    };
+  }
+
+  function usedMargin() {
+    let used = 0;
+    for (const p of state.positions.values()) used += Math.abs(p.quantity) * p.average_price;
+    return used;
+  }
+
+  function toUpstoxPosition(p) {
+    const lastPrice = state.lastPrices.get(p.instrument_token) || p.average_price;
+    const unrealised = p.quantity * (lastPrice - p.average_price);
+    return {
+      trading_symbol: p.trading_symbol,
+      instrument_token: p.instrument_token,
+      product: p.product,
+      quantity: p.quantity,
+      average_price: p.average_price,
+      last_price: lastPrice,
+      realised: p.realised,
+      unrealised,
+      pnl: p.realised + unrealised
+    };
+  }
+
+  function applyFill(p, side, qty, price) {
+    const sign = side === "BUY" ? 1 : -1;
+    if (p.quantity === 0 || Math.sign(p.quantity) === sign) {
+      const held = Math.abs(p.quantity);
+      p.average_price = (held * p.average_price + qty * price) / (held + qty);
+      p.quantity += sign * qty;
+    } else {
+      const closing = Math.min(qty, Math.abs(p.quantity));
+      const pnl = closing * (price - p.average_price) * Math.sign(p.quantity);
+      p.realised += pnl;
+      state.realised += pnl;
+      p.quantity += sign * qty;
+      if (p.quantity === 0) p.average_price = 0;
+      else if (qty > closing) p.average_price = price; // flipped through zero
+    }
+  }
+
+  function fillOrder(order, price) {
+    const key = order.instrument_token;
+    let position = state.positions.get(key);
+    if (!position) {
+      position = {
+        trading_symbol: order.trading_symbol,
+        instrument_token: key,
+        product: order.product,
+        quantity: 0,
+        average_price: 0,
+        realised: 0
+      };
+      state.positions.set(key, position);
+    }
+    applyFill(position, order.transaction_type, order.quantity, price);
+    order.status = "complete";
+    order.average_price = price;
+    order.filled_quantity = order.quantity;
+    order.pending_quantity = 0;
+  }
+
+  // Whether a resting order would execute at the given market price
+  function crosses(order, price) {
+    const buy = order.transaction_type === "BUY";
+    if (order.order_type === "LIMIT") return buy ? price <= order.price : price >= order.price;
+    return buy ? price >= order.trigger_price : price <= order.trigger_price;
+  }
+
+  function tryExecute(order, price) {
+    if (!crosses(order, price)) return;
+    fillOrder(order, order.order_type === "LIMIT" || order.order_type === "SL" ? order.price : price);
+  }
+
+  // Accepts the same body as POST /v2/order/place (plus trading_symbol)
+  function placeOrder(body) {
+    const quantity = parseInt(body.quantity);
+    const orderType = body.order_type || "MARKET";
+    if (!(quantity > 0)) throw new Error("paper order quantity must be positive");
+    if (body.transaction_type !== "BUY" && body.transaction_type !== "SELL")
+      throw new Error(`unsupported transaction type: ${body.transaction_type}`);
+    if (!["MARKET", "LIMIT", "SL", "SL-M"].includes(orderType))
+      throw new Error(`unsupported order type: ${orderType}`);
+
+    const key = body.instrument_token;
+    const price = parseFloat(body.price) || 0;
+    const triggerPrice = parseFloat(body.trigger_price) || 0;
+    const lastPrice = state.lastPrices.get(key);
+
+    if (orderType === "MARKET" && !(price > 0) && !lastPrice)
+      throw new Error("paper fill requires a price in the alert");
+    if ((orderType === "LIMIT" || orderType === "SL") && !(price > 0))
+      throw new Error(`${orderType} order requires a price`);
+    if (orderType.startsWith("SL") && !(triggerPrice > 0))
+      throw new Error(`${orderType} order requires a trigger_price`);
+
+    const order = {
+      order_id: `PAPER-${Date.now()}-${++state.seq}`,
+      instrument_token: key,
+      trading_symbol: body.trading_symbol || key,
+      transaction_type: body.transaction_type,
+      order_type: orderType,
+      product: body.product,
+      quantity,
+      price,
+      trigger_price: triggerPrice,
+      average_price: 0,
+      filled_quantity: 0,
+      pending_quantity: quantity,
+      status: orderType.startsWith("SL") ? "trigger pending" : "open",
+      status_message: null,
+      tag: body.tag,
+      order_timestamp: new Date().toISOString()
+    };
+    state.orders.push(order);
+
+    if (orderType === "MARKET") {
+      fillOrder(order, price || lastPrice);
+      if (price > 0) state.lastPrices.set(key, price);
+    } else if (orderType === "LIMIT" && !lastPrice) {
+      fillOrder(order, price); // no market to rest against: assume marketable
+    } else if (lastPrice) {
+      tryExecute(order, lastPrice);
+    }
+    return { order_id: order.order_id };
+  }
+
+  // Moves the simulated market: updates P&L and executes any resting orders
+  // the new price crosses.
+  function markPrice(instrumentToken, price) {
+    if (!(price > 0)) return;
+    state.lastPrices.set(instrumentToken, price);
+    for (const order of state.orders) {
+      if (order.instrument_token !== instrumentToken) continue;
+      if (order.status === "open" || order.status === "trigger pending") tryExecute(order, price);
+    }
+  }
+
+  // No open interest or volume in the simulator
+  function getQuotes(instrumentKeys) {
+    const result = {};
+    for (const key of instrumentKeys) {
+      if (state.lastPrices.has(key)) result[key] = { last_price: state.lastPrices.get(key), oi: null, volume: null };
+    }
+    return result;
+  }
+
+  function getLtp(instrumentKeys) {
+    const result = {};
+    for (const key of instrumentKeys) {
+      if (state.lastPrices.has(key)) result[key] = state.lastPrices.get(key);
+    }
+    return result;
+  }
+
+  function getPositions() {
+    return [...state.positions.values()].map(toUpstoxPosition);
+  }
+
+  // Nothing settles into a demat account; delivery trades stay positions
+  function getHoldings() {
+    return [];
+  }
+
+  function getFunds() {
+    const used = usedMargin();
+    return {
+      equity: {
+        used_margin: used,
+        available_margin: startingCapital + state.realised - used
+      }
+    };
+  }
+
+  // Same notional model as usedMargin(): every leg blocks quantity x price,
+  // with no hedge benefit
+  function getBasketMargin(instruments) {
+    let required = 0;
+    for (const i of instruments) {
+      const price = parseFloat(i.price) || state.lastPrices.get(i.instrument_key) || 0;
+      required += (parseInt(i.quantity) || 0) * price;
+    }
+    return { required_margin: required, final_margin: required };
+  }
+
+  function getOrders() {
+    return state.orders.map(o => ({ ...o }));
+  }
+
+  // One trade per filled order, in the get-trades-for-day shape
+  function getTradeBook() {
+    return state.orders
+      .filter(o => o.filled_quantity > 0)
+      .map(o => ({
+        trade_id: `${o.order_id}-T`,
+        order_id: o.order_id,
+        instrument_token: o.instrument_token,
+        trading_symbol: o.trading_symbol,
+        transaction_type: o.transaction_type,
+        product: o.product,
+        quantity: o.filled_quantity,
+        average_price: o.average_price,
+        order_timestamp: o.order_timestamp
+      }));
+  }
+
+  function findOrder(orderId) {
+    const order = state.orders.find(o => o.order_id === orderId);
+    if (!order) throw new Error(`paper order not found: ${orderId}`);
+    return order;
+  }
+
+  function findOpenOrder(orderId) {
+    const order = findOrder(orderId);
+    if (order.status !== "open" && order.status !== "trigger pending")
+      throw new Error(`paper order ${orderId} is already ${order.status}`);
+    return order;
+  }
+
+  function getOrderDetails(orderId) {
+    return { ...findOrder(orderId) };
+  }
+
+  function modifyOrder(orderId, changes) {
+    const order = findOpenOrder(orderId);
+    for (const field of ["quantity", "price", "trigger_price"]) {
+      if (changes[field] !== undefined) order[field] = parseFloat(changes[field]) || 0;
+    }
+    if (changes.order_type) order.order_type = changes.order_type;
+    order.pending_quantity = order.quantity;
+    const lastPrice = state.lastPrices.get(order.instrument_token);
+    if (lastPrice) tryExecute(order, lastPrice);
+    return { order_id: orderId };
+  }
+
+  function cancelOrder(orderId) {
+    const order = findOpenOrder(orderId);
+    order.status = "cancelled";
+    order.pending_quantity = 0;
+    return { order_id: orderId };
+  }
+
+  function noLogin() {
+    throw new Error("paper broker does not use a login");
+  }
+
+  reset();
+  return {
+    name: "paper",
+    placeOrder,
+    modifyOrder,
+    cancelOrder,
+    getOrderDetails,
+    getOrderBook: getOrders,
+    getTradeBook,
+    getPositions,
+    getHoldings,
+    getFunds,
+    getBasketMargin,
+    getLtp,
+    getQuotes,
+    getLoginUrl: noLogin,
+    exchangeAuthCode: noLogin,
+    refreshAccessToken: noLogin,
+    // Paper-only helpers
+    markPrice,
+    getOrders,
+    reset
+  };
+}
+
+module.exports = { createPaperBroker };
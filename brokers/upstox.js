@@ -0,0 +1,130 @@
+const axios = require("axios");
+
+// ===============================
+// Upstox Broker Adapter
+// ===============================
+// Wraps the Upstox v2 REST API behind the adapter interface described in
+// brokers/index.js. Calls throw the underlying axios error so callers can
+// still read err.response?.data for the Upstox error payload.
+
+const UPSTOX_API_BASE = process.env.UPSTOX_API_BASE || "https://api.upstox.com/v2";
+
+function createUpstoxBroker({
+  getAccessToken,
+  clientId = process.env.UPSTOX_CLIENT_ID,
+  clientSecret = process.env.UPSTOX_CLIENT_SECRET,
+  baseUrl = UPSTOX_API_BASE
+} = {}) {
+  function authHeaders() {
+    return { headers: { Authorization: `Bearer ${getAccessToken()}`, Accept: "application/json" } };
+  }
+
+  async function requestToken(params) {
+    const res = await axios.post(
+      `${baseUrl}/login/authorization/token`,
+      new URLSearchParams({ ...params, client_id: clientId, client_secret: clientSecret }),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+    return { access_token: res.data.access_token, refresh_token: res.data.refresh_token };
+  }
+
+  return {
+    name: "upstox",
+
+    // ---- Orders ----
+    async placeOrder(order) {
+      const res = await axios.post(`${baseUrl}/order/place`, order, authHeaders());
+      return { order_id: res.data.data.order_id };
+    },
+
+    async modifyOrder(orderId, changes) {
+      const res = await axios.put(`${baseUrl}/order/modify`, { ...changes, order_id: orderId }, authHeaders());
+      return { order_id: res.data.data.order_id };
+    },
+
+    async cancelOrder(orderId) {
+      const res = await axios.delete(`${baseUrl}/order/cancel`, { ...authHeaders(), params: { order_id: orderId } });
+      return { order_id: res.data.data.order_id };
+    },
+
+    async getOrderBook() {
+      const res = await axios.get(`${baseUrl}/order/retrieve-all`, authHeaders());
+      return res.data.data || [];
+    },
+
+    async getOrderDetails(orderId) {
+      const res = await axios.get(`${baseUrl}/order/details`, { ...authHeaders(), params: { order_id: orderId } });
+      return res.data.data;
+    },
+
+    async getTradeBook() {
+      const res = await axios.get(`${baseUrl}/order/trades/get-trades-for-day`, authHeaders());
+      return res.data.data || [];
+    },
+
+    // ---- Portfolio ----
+    async getPositions() {
+      const res = await axios.get(`${baseUrl}/portfolio/short-term-positions`, authHeaders());
+      return res.data.data || [];
+    },
+
+    async getHoldings() {
+      const res = await axios.get(`${baseUrl}/portfolio/long-term-holdings`, authHeaders());
+      return res.data.data || [];
+    },
+
+    async getFunds() {
+      const res = await axios.get(`${baseUrl}/user/get-funds-and-margin`, authHeaders());
+      return res.data.data || null;
+    },
+
+    // instruments: [{ instrument_key, quantity, transaction_type, product, price }];
+    // final_margin includes the hedge benefit of the whole basket
+    async getBasketMargin(instruments) {
+      const res = await axios.post(`${baseUrl}/charges/margin`, { instruments }, authHeaders());
+      return res.data.data;
+    },
+
+    // ---- Market Data ----
+    // Upstox keys the response by "EXCHANGE:SYMBOL"; re-key it by instrument_key
+    async getLtp(instrumentKeys) {
+      const res = await axios.get(`${baseUrl}/market-quote/ltp`, {
+        ...authHeaders(),
+        params: { instrument_key: instrumentKeys.join(",") }
+      });
+      const result = {};
+      for (const quote of Object.values(res.data.data || {})) {
+        result[quote.instrument_token] = quote.last_price;
+      }
+      return result;
+    },
+
+    // Full quotes, re-keyed the same way; the API takes up to 500 keys per call
+    async getQuotes(instrumentKeys) {
+      const res = await axios.get(`${baseUrl}/market-quote/quotes`, {
+        ...authHeaders(),
+        params: { instrument_key: instrumentKeys.join(",") }
+      });
+      const result = {};
+      for (const quote of Object.values(res.data.data || {})) {
+        result[quote.instrument_token] = { last_price: quote.last_price, oi: quote.oi ?? null, volume: quote.volume ?? null };
+      }
+      return result;
+    },
+
+    // ---- Auth ----
+    getLoginUrl(redirectUri, state) {
+      return `${baseUrl}/login/authorization/dialog?response_type=code&client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${encodeURIComponent(state)}`;
+    },
+
+    async exchangeAuthCode(code, redirectUri) {
+      return requestToken({ grant_type: "authorization_code", code, redirect_uri: redirectUri });
+    },
+
+    async refreshAccessToken(refreshToken) {
+      return requestToken({ grant_type: "refresh_token", refresh_token: refreshToken });
+    }
+  };
+}
+
+module.exports = { createUpstoxBroker };
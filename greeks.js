@@ -0,0 +1,87 @@
+// ===============================
+// Black-Scholes Pricing & Greeks
+// ===============================
+// Generalised Black-Scholes with a cost of carry `carry`: carry = rate prices
+// options on a spot underlying (index, equity), carry = 0 is Black-76 for
+// options on a future (commodities, or an index priced off its future).
+// `years` is the time to expiry, `vol` the annualised volatility (0.2 = 20%).
+//
+// greeks() returns delta, gamma, theta per calendar day and vega per
+// volatility point (1%).
+
+const IV_MIN = 0.0001;
+const IV_MAX = 5;
+const IV_TOLERANCE = 1e-6;
+
+// Abramowitz & Stegun 7.1.26 (error below 1.5e-7)
+function normCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function normPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+function terms({ spot, strike, years, rate, carry, vol }) {
+  const sqrtT = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (carry + vol * vol / 2) * years) / (vol * sqrtT);
+  return {
+    d1,
+    d2: d1 - vol * sqrtT,
+    sqrtT,
+    carryDiscount: Math.exp((carry - rate) * years),
+    discount: Math.exp(-rate * years)
+  };
+}
+
+function price({ type, spot, strike, years, rate, carry = rate, vol }) {
+  const { d1, d2, carryDiscount, discount } = terms({ spot, strike, years, rate, carry, vol });
+  if (type === "CE") return spot * carryDiscount * normCdf(d1) - strike * discount * normCdf(d2);
+  return strike * discount * normCdf(-d2) - spot * carryDiscount * normCdf(-d1);
+}
+
+function greeks({ type, spot, strike, years, rate, carry = rate, vol }) {
+  const { d1, d2, sqrtT, carryDiscount, discount } = terms({ spot, strike, years, rate, carry, vol });
+  const decay = -spot * carryDiscount * normPdf(d1) * vol / (2 * sqrtT);
+  const theta = type === "CE"
+    ? decay - (carry - rate) * spot * carryDiscount * normCdf(d1) - rate * strike * discount * normCdf(d2)
+    : decay + (carry - rate) * spot * carryDiscount * normCdf(-d1) + rate * strike * discount * normCdf(-d2);
+  return {
+    delta: type === "CE" ? carryDiscount * normCdf(d1) : carryDiscount * (normCdf(d1) - 1),
+    gamma: carryDiscount * normPdf(d1) / (spot * vol * sqrtT),
+    theta: theta / 365,
+    vega: spot * carryDiscount * normPdf(d1) * sqrtT / 100
+  };
+}
+
+// Volatility that reproduces `premium`; null when the premium is outside the
+// no-arbitrage bounds (at or below intrinsic value, or above the maximum)
+function impliedVolatility({ type, premium, spot, strike, years, rate, carry = rate }) {
+  if (!(premium > 0) || !(spot > 0) || !(strike > 0) || !(years > 0)) return null;
+  const forwardValue = spot * Math.exp((carry - rate) * years);
+  const strikeValue = strike * Math.exp(-rate * years);
+  const lower = Math.max(0, type === "CE" ? forwardValue - strikeValue : strikeValue - forwardValue);
+  const upper = type === "CE" ? forwardValue : strikeValue;
+  if (premium <= lower || premium >= upper) return null;
+
+  // Newton steps, falling back to bisection whenever a step leaves the bracket
+  let low = IV_MIN;
+  let high = IV_MAX;
+  let vol = 0.3;
+  for (let i = 0; i < 100; i++) {
+    const diff = price({ type, spot, strike, years, rate, carry, vol }) - premium;
+    if (Math.abs(diff) < IV_TOLERANCE) return vol;
+    if (diff > 0) high = vol;
+    else low = vol;
+    const vega = greeks({ type, spot, strike, years, rate, carry, vol }).vega * 100;
+    const next = vega > 1e-8 ? vol - diff / vega : NaN;
+    vol = next > low && next < high ? next : (low + high) / 2;
+    if (high - low < 1e-9) return vol;
+  }
+  return vol;
+}
+
+module.exports = { price, greeks, impliedVolatility, normCdf };
@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const csv = require("csv-parser");
+
+// ===============================
+// Instrument Files & Common Schema
+// ===============================
+// Reads Upstox instrument masters from local `.json`, `.json.gz`, `.csv` and
+// `.csv.gz` files (the published JSON and the instruments/*_samples.csv
+// layout) and maps both onto the columns of instruments_upstoxmaster.
+// CSV values arrive as strings, JSON values as numbers/booleans; the mappers
+// below accept either.
+
+const SUPPORTED_EXTENSIONS = [".json", ".json.gz", ".csv", ".csv.gz"];
+
+function str(v) {
+  return v === undefined || v === null || v === "" ? null : String(v);
+}
+
+function int(v) {
+  return v === undefined || v === null || v === "" || isNaN(v) ? null : parseInt(v);
+}
+
+function float(v) {
+  return v === undefined || v === null || v === "" || isNaN(v) ? null : parseFloat(v);
+}
+
+function bool(v) {
+  if (v === true || v === "true" || v === "TRUE") return true;
+  if (v === false || v === "false" || v === "FALSE") return false;
+  return null;
+}
+
+// Epoch millis (number or numeric string) or a date string -> "YYYY-MM-DD"
+function date(v) {
+  if (v === undefined || v === null || v === "" || v === "0" || v === 0) return null;
+  const d = new Date(/^\d+$/.test(String(v)) ? Number(v) : v);
+  return isNaN(d.getTime()) ? null : d.toISOString().split("T")[0];
+}
+
+function normalizeInstrument(inst) {
+  return {
+    trading_symbol: inst.trading_symbol,
+    name: str(inst.name),
+    instrument_key: inst.instrument_key,
+    exchange: str(inst.exchange),
+    segment: str(inst.segment),
+    instrument_type: str(inst.instrument_type),
+    isin: str(inst.isin),
+    exchange_token: str(inst.exchange_token),
+    expiry: date(inst.expiry),
+    last_trading_date: date(inst.last_trading_date),
+    weekly: bool(inst.weekly),
+    strike_price: float(inst.strike_price),
+    lot_size: int(inst.lot_size),
+    minimum_lot: int(inst.minimum_lot),
+    freeze_quantity: int(inst.freeze_quantity),
+    qty_multiplier: float(inst.qty_multiplier),
+    tick_size: float(inst.tick_size), // in paise, as published
+    asset_symbol: str(inst.asset_symbol),
+    asset_key: str(inst.asset_key),
+    asset_type: str(inst.asset_type),
+    underlying_symbol: str(inst.underlying_symbol),
+    underlying_key: str(inst.underlying_key),
+    underlying_type: str(inst.underlying_type),
+    price_quote_unit: str(inst.price_quote_unit)
+  };
+}
+
+// Only EQ, FUT, OPT, INDEX, CE, PE, FO
+function isRelevantInstrument(inst) {
+  if (!inst.instrument_key || !inst.trading_symbol) return false;
+
+  const type = inst.instrument_type?.toUpperCase() || "";
+  const segmentName = inst.segment?.toUpperCase() || "";
+
+  return (
+    type.startsWith("EQ") ||
+    type === "INDEX" ||
+    type.includes("FUT") ||
+    type.includes("OPT") ||
+    type === "CE" ||
+    type === "PE" ||
+    segmentName.includes("FO")
+  );
+}
+
+// Accepts [...] or { data: [...] }
+function unwrapJson(text, label) {
+  let instruments = JSON.parse(text);
+  if (!Array.isArray(instruments) && instruments.data && Array.isArray(instruments.data)) {
+    instruments = instruments.data;
+  }
+  if (!Array.isArray(instruments)) {
+    throw new Error(`${label} is not an array (keys: ${Object.keys(instruments).join(", ")})`);
+  }
+  return instruments;
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", chunk => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+}
+
+function parseCsv(stream) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    stream.on("error", reject);
+    stream.pipe(csv())
+      .on("data", row => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+}
+
+function extensionOf(filePath) {
+  const lower = filePath.toLowerCase();
+  return SUPPORTED_EXTENSIONS.find(ext => lower.endsWith(ext)) || null;
+}
+
+// Raw records from one file, in its own column layout
+async function readInstrumentFile(filePath) {
+  const ext = extensionOf(filePath);
+  if (!ext) throw new Error(`Unsupported instrument file: ${filePath} (expected ${SUPPORTED_EXTENSIONS.join(", ")})`);
+
+  let stream = fs.createReadStream(filePath);
+  if (ext.endsWith(".gz")) {
+    const source = stream;
+    stream = source.pipe(zlib.createGunzip());
+    source.on("error", err => stream.emit("error", err));
+  }
+
+  if (ext.startsWith(".csv")) return parseCsv(stream);
+  return unwrapJson((await readStream(stream)).toString(), path.basename(filePath));
+}
+
+// Directories expand to the supported files they contain
+function expandInstrumentPaths(paths) {
+  return paths.flatMap(p => {
+    if (!fs.statSync(p).isDirectory()) return [p];
+    return fs.readdirSync(p).filter(f => extensionOf(f)).sort().map(f => path.join(p, f));
+  });
+}
+
+module.exports = {
+  readInstrumentFile,
+  expandInstrumentPaths,
+  normalizeInstrument,
+  isRelevantInstrument,
+  unwrapJson
+};
@@ -0,0 +1,195 @@
+const { isTerminalStatus } = require("./orderTracker");
+const { positionPnl } = require("./riskEngine");
+
+// ===============================
+// Kill Switch
+// ===============================
+// Global circuit breaker. When tripped (via the API or automatically when the
+// day's realised + unrealised P&L breaches the configured loss) it cancels
+// every pending order, squares off every open position with MARKET orders
+// and refuses new webhook signals until it is reset. State is persisted to
+// the `kill_switch` store so a restart does not silently re-arm trading.
+
+const KILL_SWITCH_CHECK_INTERVAL_MS = parseInt(process.env.KILL_SWITCH_CHECK_INTERVAL_MS || 30000);
+
+function createKillSwitch({ store, getBrokers, getDailyMaxLoss, log, follow, onTrigger = () => {}, onReset = () => {} }) {
+  let state = { active: false, reason: null, source: null, triggered_at: null, reset_at: null };
+  let lastRun = null;
+  let running = false;
+  let monitorTimer = null;
+
+  async function persist() {
+    try {
+      await store.save(state);
+    } catch (err) {
+      console.error("❌ Kill switch state save error:", err.message);
+    }
+  }
+
+  async function load() {
+    try {
+      const data = await store.load();
+      if (data) {
+        state = { active: data.active, reason: data.reason, source: data.source, triggered_at: data.triggered_at, reset_at: data.reset_at };
+        if (state.active) console.log(`🛑 Kill switch is ACTIVE since ${state.triggered_at}: ${state.reason}`);
+      }
+    } catch (err) {
+      console.error("❌ Kill switch state load error:", err.message);
+    }
+  }
+
+  function isActive() {
+    return state.active;
+  }
+
+  // "upstox:client-a" for account adapters, "paper" for the simulator
+  function brokerLabel(broker) {
+    return broker.accountId ? `${broker.name}:${broker.accountId}` : broker.name;
+  }
+
+  // One log row per step; `paper` keeps the row's mode in line with the broker
+  function logStep(broker, fields, status, reason, orderId = null) {
+    const data = { ...fields, paper: broker.name === "paper", account_id: broker.accountId || null, source: "kill_switch" };
+    console.log(`🛑 [${brokerLabel(broker)}] ${fields.action} ${fields.symbol || ""}: ${status}${reason ? ` (${reason})` : ""}`);
+    return log(data, status, reason, orderId, { rule_id: "kill_switch" });
+  }
+
+  async function cancelPending(broker, summary) {
+    let orders;
+    try {
+      orders = await broker.getOrderBook();
+    } catch (err) {
+      const reason = err.response?.data?.errors?.[0]?.message || err.message;
+      await logStep(broker, { action: "CANCEL", symbol: "ALL" }, "failed", `order book unavailable: ${reason}`);
+      summary.errors.push(`${brokerLabel(broker)} order book: ${reason}`);
+      return;
+    }
+
+    for (const order of orders.filter(o => !isTerminalStatus(o.status))) {
+      const fields = { action: "CANCEL", symbol: order.trading_symbol, instrument_token: order.instrument_token, quantity: order.quantity, product: order.product };
+      try {
+        await broker.cancelOrder(order.order_id);
+        summary.cancelled.push(order.order_id);
+        await logStep(broker, fields, "cancelled", "pending order cancelled", order.order_id);
+      } catch (err) {
+        const reason = err.response?.data?.errors?.[0]?.message || err.message;
+        summary.errors.push(`${brokerLabel(broker)} cancel ${order.order_id}: ${reason}`);
+        await logStep(broker, fields, "failed", `cancel failed: ${reason}`, order.order_id);
+      }
+    }
+  }
+
+  async function squareOff(broker, summary) {
+    let positions;
+    try {
+      positions = await broker.getPositions();
+    } catch (err) {
+      const reason = err.response?.data?.errors?.[0]?.message || err.message;
+      await logStep(broker, { action: "SQUARE_OFF", symbol: "ALL" }, "failed", `positions unavailable: ${reason}`);
+      summary.errors.push(`${brokerLabel(broker)} positions: ${reason}`);
+      return;
+    }
+
+    for (const p of positions.filter(pos => parseInt(pos.quantity) !== 0)) {
+      const qty = parseInt(p.quantity);
+      const side = qty > 0 ? "SELL" : "BUY";
+      const fields = { action: side, symbol: p.trading_symbol, instrument_token: p.instrument_token, quantity: Math.abs(qty), product: p.product };
+      try {
+        const placed = await broker.placeOrder({
+          quantity: Math.abs(qty),
+          product: p.product,
+          validity: "DAY",
+          price: 0,
+          tag: "kill-switch",
+          instrument_token: p.instrument_token,
+          order_type: "MARKET",
+          transaction_type: side,
+          disclosed_quantity: 0,
+          trigger_price: 0,
+          is_amo: false,
+          trading_symbol: p.trading_symbol
+        });
+        summary.squared_off.push(placed.order_id);
+        const logId = await logStep(broker, fields, "success", "square-off order placed", placed.order_id);
+        follow(broker, placed.order_id, logId, side, parseFloat(p.last_price) || 0);
+      } catch (err) {
+        const reason = err.response?.data?.errors?.[0]?.message || err.message;
+        summary.errors.push(`${brokerLabel(broker)} square-off ${p.trading_symbol}: ${reason}`);
+        await logStep(broker, fields, "failed", `square-off failed: ${reason}`);
+      }
+    }
+  }
+
+  async function trigger(reason, source = "api") {
+    if (running) return { already_running: true, state };
+    running = true;
+    try {
+      if (!state.active) {
+        state = { active: true, reason, source, triggered_at: new Date().toISOString(), reset_at: null };
+        await persist();
+        console.log(`🛑 KILL SWITCH TRIGGERED (${source}): ${reason}`);
+        onTrigger(state);
+      }
+
+      const summary = { cancelled: [], squared_off: [], errors: [] };
+      for (const broker of getBrokers()) {
+        await cancelPending(broker, summary);
+        await squareOff(broker, summary);
+      }
+      lastRun = { ...summary, at: new Date().toISOString() };
+      console.log(`🛑 Kill switch run complete: ${summary.cancelled.length} cancelled, ${summary.squared_off.length} squared off, ${summary.errors.length} errors`);
+      return { state, run: lastRun };
+    } finally {
+      running = false;
+    }
+  }
+
+  async function reset(source = "api") {
+    state = { ...state, active: false, reset_at: new Date().toISOString() };
+    await persist();
+    await log({ action: "RESET", symbol: "ALL", source: "kill_switch" }, "success", `kill switch reset by ${source}`, null, { rule_id: "kill_switch" });
+    console.log(`✅ Kill switch reset (${source})`);
+    onReset(state, source);
+    return state;
+  }
+
+  // ---- Automatic daily-loss monitor ----
+  async function checkDailyLoss() {
+    if (state.active || running) return;
+    const maxLoss = getDailyMaxLoss();
+    if (!(maxLoss > 0)) return;
+
+    for (const broker of getBrokers()) {
+      let positions;
+      try {
+        positions = await broker.getPositions();
+      } catch (err) {
+        continue; // no P&L to judge; the next check will retry
+      }
+      const pnl = positions.reduce((sum, p) => sum + positionPnl(p), 0);
+      if (pnl <= -maxLoss) {
+        await trigger(`${brokerLabel(broker)} daily P&L ${pnl.toFixed(2)} breached max loss ${maxLoss}`, "daily_loss");
+        return;
+      }
+    }
+  }
+
+  function startMonitor() {
+    if (!monitorTimer) monitorTimer = setInterval(() => {
+      checkDailyLoss().catch(err => console.error("❌ Daily loss check failed:", err.message));
+    }, KILL_SWITCH_CHECK_INTERVAL_MS);
+  }
+
+  function stopMonitor() {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+
+  function status() {
+    return { ...state, running, last_run: lastRun };
+  }
+
+  return { load, isActive, trigger, reset, status, startMonitor, stopMonitor, checkDailyLoss };
+}
+
+module.exports = { createKillSwitch };
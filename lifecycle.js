@@ -0,0 +1,113 @@
+const { spawn } = require("child_process");
+
+// ===============================
+// Service Lifecycle
+// ===============================
+// starting -> ready -> draining -> stopped. Only a ready server takes new
+// signals (and answers /health with 200). shutdown() runs the registered
+// steps in order, all within SHUTDOWN_TIMEOUT_MS, then waits for tracked
+// writes and exits. A restart exits with SERVICE_RESTART_EXIT_CODE when a
+// supervisor (pm2, systemd, or SERVICE_SUPERVISED=true) will bring the
+// process back, and re-spawns the server itself otherwise.
+
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || 30000);
+const SERVICE_RESTART_EXIT_CODE = parseInt(process.env.SERVICE_RESTART_EXIT_CODE || 75);
+
+function isSupervised() {
+  if (process.env.SERVICE_SUPERVISED) return process.env.SERVICE_SUPERVISED === "true";
+  return Boolean(process.env.pm_id || process.env.INVOCATION_ID);
+}
+
+// Resolves with the promise's outcome, or rejects once `ms` has passed
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out`)), Math.max(ms, 0));
+  });
+  return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Same node binary, flags, script and arguments; detached so it outlives us
+function respawn() {
+  const child = spawn(process.execPath, [...process.execArgv, ...process.argv.slice(1)], {
+    cwd: process.cwd(),
+    env: process.env,
+    detached: true,
+    stdio: "inherit"
+  });
+  child.unref();
+  console.log(`🔁 Re-spawned server as pid ${child.pid}`);
+}
+
+function createLifecycle({ timeoutMs = SHUTDOWN_TIMEOUT_MS, exit = code => process.exit(code) } = {}) {
+  let state = "starting";
+  let shutdownReason = null;
+  let shuttingDown = null;
+  const steps = [];           // { name, fn } in run order
+  const writes = new Set();   // in-flight storage writes
+
+  function markReady() {
+    if (state === "starting") state = "ready";
+  }
+
+  function isReady() {
+    return state === "ready";
+  }
+
+  function onShutdown(name, fn) {
+    steps.push({ name, fn });
+  }
+
+  // Lets shutdown wait for a write (log insert, order update) already under way
+  function track(promise) {
+    writes.add(promise);
+    promise.then(() => writes.delete(promise), () => writes.delete(promise));
+    return promise;
+  }
+
+  function shutdown(reason, { restart = false } = {}) {
+    if (shuttingDown) return shuttingDown;
+    state = "draining";
+    shutdownReason = reason;
+    const deadline = Date.now() + timeoutMs;
+    console.log(`🛑 ${restart ? "Restarting" : "Shutting down"} (${reason}), draining...`);
+
+    shuttingDown = (async () => {
+      for (const step of steps) {
+        try {
+          await withTimeout(step.fn(), deadline - Date.now(), step.name);
+          console.log(`✅ ${step.name}`);
+        } catch (err) {
+          console.error(`❌ Shutdown step "${step.name}" failed:`, err.message);
+        }
+      }
+      try {
+        await withTimeout(Promise.allSettled([...writes]), deadline - Date.now(), "pending writes");
+      } catch (err) {
+        console.error(`❌ ${writes.size} writes still pending at exit`);
+      }
+
+      state = "stopped";
+      const supervised = isSupervised();
+      if (restart && !supervised) respawn();
+      console.log("👋 Stopped");
+      exit(restart && supervised ? SERVICE_RESTART_EXIT_CODE : 0);
+    })();
+    return shuttingDown;
+  }
+
+  // SIGTERM / SIGINT from a supervisor, container runtime or Ctrl+C
+  function handleSignals() {
+    for (const signal of ["SIGTERM", "SIGINT"]) {
+      process.once(signal, () => shutdown(signal));
+    }
+  }
+
+  function status() {
+    return { state, reason: shutdownReason, pending_writes: writes.size, supervised: isSupervised() };
+  }
+
+  return { markReady, isReady, onShutdown, track, shutdown, handleSignals, status };
+}
+
+module.exports = { createLifecycle, isSupervised };
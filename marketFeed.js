@@ -0,0 +1,317 @@
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const protobuf = require("protobufjs");
+
+// ===============================
+// Market Data Feed (Upstox V3)
+// ===============================
+// Keeps a single authenticated Upstox market-feed WebSocket open, decodes the
+// protobuf frames and emits normalised "tick" events. Subscriptions are
+// reference-counted per instrument_key so the upstream feed only carries
+// instruments someone is watching; the socket is closed when nobody is.
+
+const UPSTOX_FEED_URL = process.env.UPSTOX_FEED_URL || "wss://api.upstox.com/v3/feed/market-data-feed";
+const PROTO_PATH = require.resolve("upstox-js-sdk/dist/feeder/proto/MarketDataFeedV3.proto");
+const FEED_RESPONSE_TYPE = "com.upstox.marketdatafeederv3udapi.rpc.proto.FeedResponse";
+
+// Higher rank wins when several clients watch the same key in different modes
+const MODES = ["ltpc", "option_greeks", "full", "full_d30"];
+const SUBSCRIBE_BATCH_SIZE = 100;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+let feedResponseType = null;
+async function loadFeedResponseType() {
+  if (!feedResponseType) {
+    const root = await protobuf.load(PROTO_PATH);
+    feedResponseType = root.lookupType(FEED_RESPONSE_TYPE);
+  }
+  return feedResponseType;
+}
+
+// Flattens the LTPC / full / option-greeks feed variants into one shape
+function normaliseFeed(instrumentKey, feed) {
+  const marketFF = feed.fullFeed?.marketFF;
+  const indexFF = feed.fullFeed?.indexFF;
+  const greeksFeed = feed.firstLevelWithGreeks;
+  const ltpc = feed.ltpc || marketFF?.ltpc || indexFF?.ltpc || greeksFeed?.ltpc || {};
+
+  const tick = {
+    instrument_key: instrumentKey,
+    ltp: ltpc.ltp ?? null,
+    ltt: ltpc.ltt ?? null,
+    ltq: ltpc.ltq ?? null,
+    close_price: ltpc.cp ?? null,
+    change: ltpc.ltp != null && ltpc.cp ? ltpc.ltp - ltpc.cp : null,
+    change_pct: ltpc.ltp != null && ltpc.cp ? ((ltpc.ltp - ltpc.cp) / ltpc.cp) * 100 : null
+  };
+
+  if (marketFF) {
+    tick.depth = (marketFF.marketLevel?.bidAskQuote || []).map(q => ({
+      bid_qty: q.bidQ, bid_price: q.bidP, ask_qty: q.askQ, ask_price: q.askP
+    }));
+    tick.ohlc = marketFF.marketOHLC?.ohlc || [];
+    tick.atp = marketFF.atp ?? null;
+    tick.volume = marketFF.vtt ?? null;
+    tick.oi = marketFF.oi ?? null;
+    tick.iv = marketFF.iv ?? null;
+    tick.total_buy_qty = marketFF.tbq ?? null;
+    tick.total_sell_qty = marketFF.tsq ?? null;
+    if (marketFF.optionGreeks) tick.greeks = marketFF.optionGreeks;
+  } else if (indexFF) {
+    tick.ohlc = indexFF.marketOHLC?.ohlc || [];
+  } else if (greeksFeed) {
+    const q = greeksFeed.firstDepth;
+    tick.depth = q ? [{ bid_qty: q.bidQ, bid_price: q.bidP, ask_qty: q.askQ, ask_price: q.askP }] : [];
+    tick.volume = greeksFeed.vtt ?? null;
+    tick.oi = greeksFeed.oi ?? null;
+    tick.iv = greeksFeed.iv ?? null;
+    tick.greeks = greeksFeed.optionGreeks || null;
+  }
+  return tick;
+}
+
+function createMarketFeed({ getAccessToken, url = UPSTOX_FEED_URL }) {
+  const emitter = new EventEmitter();
+  const subscriptions = new Map(); // instrument_key -> { ltpc: n, full: n, ... }
+  const upstreamModes = new Map(); // instrument_key -> mode currently sent upstream
+  const lastTicks = new Map(); // instrument_key -> latest normalised tick
+  let ws = null;
+  let connected = false;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+
+  function effectiveMode(counts) {
+    let best = null;
+    for (const mode of MODES) if (counts[mode] > 0) best = mode;
+    return best;
+  }
+
+  function send(method, instrumentKeys, mode) {
+    if (!connected || instrumentKeys.length === 0) return;
+    for (let i = 0; i < instrumentKeys.length; i += SUBSCRIBE_BATCH_SIZE) {
+      const data = { instrumentKeys: instrumentKeys.slice(i, i + SUBSCRIBE_BATCH_SIZE) };
+      if (mode) data.mode = mode;
+      ws.send(Buffer.from(JSON.stringify({ guid: `${Date.now()}-${i}`, method, data })));
+    }
+  }
+
+  // Brings the upstream subscription set in line with the ref-counts
+  function syncUpstream(keys) {
+    const toUnsub = [];
+    const toSub = new Map(); // mode -> keys
+    for (const key of keys) {
+      const mode = subscriptions.has(key) ? effectiveMode(subscriptions.get(key)) : null;
+      const current = upstreamModes.get(key) || null;
+      if (mode === current) continue;
+      if (!mode) {
+        upstreamModes.delete(key);
+        toUnsub.push(key);
+      } else {
+        upstreamModes.set(key, mode);
+        if (!toSub.has(mode)) toSub.set(mode, []);
+        toSub.get(mode).push(key);
+      }
+    }
+    send("unsub", toUnsub);
+    for (const [mode, list] of toSub.entries()) send("sub", list, mode);
+
+    if (subscriptions.size === 0) disconnect();
+    else connect();
+  }
+
+  function subscribe(instrumentKeys, mode = "ltpc") {
+    if (!MODES.includes(mode)) throw new Error(`Unsupported feed mode: ${mode}`);
+    for (const key of instrumentKeys) {
+      const counts = subscriptions.get(key) || {};
+      counts[mode] = (counts[mode] || 0) + 1;
+      subscriptions.set(key, counts);
+    }
+    syncUpstream(instrumentKeys);
+  }
+
+  function unsubscribe(instrumentKeys, mode = "ltpc") {
+    for (const key of instrumentKeys) {
+      const counts = subscriptions.get(key);
+      if (!counts || !counts[mode]) continue;
+      counts[mode] -= 1;
+      if (counts[mode] === 0) delete counts[mode];
+      if (Object.keys(counts).length === 0) {
+        subscriptions.delete(key);
+        lastTicks.delete(key);
+      }
+    }
+    syncUpstream(instrumentKeys);
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimer || subscriptions.size === 0) return;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnectAttempts, RECONNECT_MAX_MS);
+    reconnectAttempts++;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  async function handleMessage(buffer) {
+    try {
+      const type = await loadFeedResponseType();
+      const message = type.toObject(type.decode(buffer), { longs: Number, enums: String });
+      if (message.type === "market_info") {
+        emitter.emit("market_info", message.marketInfo);
+        return;
+      }
+      for (const [key, feed] of Object.entries(message.feeds || {})) {
+        const tick = normaliseFeed(key, feed);
+        lastTicks.set(key, tick);
+        emitter.emit("tick", tick);
+      }
+    } catch (err) {
+      console.error("❌ Feed decode error:", err.message);
+    }
+  }
+
+  function connect() {
+    if (ws || subscriptions.size === 0) return;
+    const token = getAccessToken();
+    if (!token) {
+      console.log("⚠️ Market feed waiting for an access token");
+      scheduleReconnect();
+      return;
+    }
+
+    const socket = new WebSocket(url, {
+      headers: { Authorization: `Bearer ${token}` },
+      followRedirects: true
+    });
+    ws = socket;
+
+    socket.on("open", () => {
+      connected = true;
+      reconnectAttempts = 0;
+      console.log("📡 Market feed connected");
+      upstreamModes.clear();
+      syncUpstream([...subscriptions.keys()]);
+      emitter.emit("status", { connected: true });
+    });
+
+    socket.on("message", data => handleMessage(data));
+
+    socket.on("error", err => {
+      console.error("❌ Market feed error:", err.message);
+    });
+
+    socket.on("close", code => {
+      if (ws !== socket) return; // closed on purpose or superseded by reconnect()
+      ws = null;
+      connected = false;
+      upstreamModes.clear();
+      emitter.emit("status", { connected: false });
+      console.log(`🔌 Market feed closed (${code}), reconnecting...`);
+      scheduleReconnect();
+    });
+  }
+
+  function disconnect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (!ws) return;
+    const socket = ws;
+    ws = null;
+    connected = false;
+    upstreamModes.clear();
+    socket.close(1000);
+    emitter.emit("status", { connected: false });
+  }
+
+  // Drops the current socket and reconnects with the latest access token
+  function reconnect() {
+    disconnect();
+    reconnectAttempts = 0;
+    connect();
+  }
+
+  function getLastTick(instrumentKey) {
+    return lastTicks.get(instrumentKey) || null;
+  }
+
+  function status() {
+    return {
+      connected,
+      subscriptions: Object.fromEntries(
+        [...subscriptions.entries()].map(([key, counts]) => [key, { ...counts }])
+      )
+    };
+  }
+
+  return {
+    subscribe,
+    unsubscribe,
+    reconnect,
+    stop: disconnect,
+    getLastTick,
+    status,
+    on: (event, listener) => emitter.on(event, listener)
+  };
+}
+
+// ===============================
+// socket.io Gateway
+// ===============================
+// Clients emit "subscribe"/"unsubscribe" with { instrument_keys, mode } and
+// receive "tick" events for the keys they joined. A client's references are
+// released when it disconnects. Connections are authenticated before they
+// reach the gateway (auth.protectSocket in server.js).
+function attachFeedGateway(io, feed) {
+  feed.on("tick", tick => io.to(tick.instrument_key).emit("tick", tick));
+  feed.on("status", status => io.emit("feed_status", status));
+
+  io.on("connection", socket => {
+    const held = new Map(); // `${mode}|${key}` -> true for this client
+
+    function parseRequest(payload) {
+      const keys = Array.isArray(payload?.instrument_keys) ? payload.instrument_keys : [payload?.instrument_keys];
+      return { keys: keys.filter(k => typeof k === "string" && k.length > 0), mode: payload?.mode || "ltpc" };
+    }
+
+    socket.on("subscribe", (payload, ack) => {
+      const { keys, mode } = parseRequest(payload);
+      const fresh = keys.filter(k => !held.has(`${mode}|${k}`));
+      try {
+        feed.subscribe(fresh, mode);
+      } catch (err) {
+        if (typeof ack === "function") ack({ success: false, error: err.message });
+        return;
+      }
+      for (const key of fresh) {
+        held.set(`${mode}|${key}`, true);
+        socket.join(key);
+        const last = feed.getLastTick(key);
+        if (last) socket.emit("tick", last);
+      }
+      if (typeof ack === "function") ack({ success: true, instrument_keys: keys });
+    });
+
+    socket.on("unsubscribe", (payload, ack) => {
+      const { keys, mode } = parseRequest(payload);
+      const owned = keys.filter(k => held.delete(`${mode}|${k}`));
+      feed.unsubscribe(owned, mode);
+      for (const key of owned) {
+        const stillHeld = [...held.keys()].some(h => h.endsWith(`|${key}`));
+        if (!stillHeld) socket.leave(key);
+      }
+      if (typeof ack === "function") ack({ success: true, instrument_keys: owned });
+    });
+
+    socket.on("disconnect", () => {
+      for (const entry of held.keys()) {
+        const [mode, key] = [entry.slice(0, entry.indexOf("|")), entry.slice(entry.indexOf("|") + 1)];
+        feed.unsubscribe([key], mode);
+      }
+      held.clear();
+    });
+  });
+}
+
+module.exports = { createMarketFeed, attachFeedGateway };
@@ -0,0 +1,237 @@
+const axios = require("axios");
+const { sendMail } = require("./smtpClient");
+
+// ===============================
+// Notifications
+// ===============================
+// Pushes order outcomes and system alerts to channels kept in the
+// `notificationChannels` store:
+//
+//   webhook   POST { event, title, text, data, at } as JSON to `url` (+ `headers`)
+//   slack     Slack incoming webhook `webhook_url`
+//   telegram  Bot API sendMessage with `bot_token` and `chat_id` (`api_base`
+//             overrides https://api.telegram.org)
+//   email     SMTP: `host`, `port`, `secure`, `username`, `password`, `from`, `to`
+//
+// Each channel picks its `events` (exact names, "order.*" prefixes or "*")
+// and optionally `modes` (live / paper). Text comes from the event's
+// template below, or the channel's own in `templates` (`subject` for email);
+// `{{field}}` is replaced with the event's fields. Sending never blocks the
+// caller and a failed send is only logged and kept as the channel's
+// `last_error`.
+
+const NOTIFY_TIMEOUT_MS = parseInt(process.env.NOTIFY_TIMEOUT_MS || 10000);
+const TELEGRAM_API_BASE = "https://api.telegram.org";
+const CHANNEL_TYPES = ["webhook", "slack", "telegram", "email"];
+const SECRET_FIELDS = ["password", "bot_token", "webhook_url", "headers"];
+const REQUIRED_CONFIG = {
+  webhook: ["url"],
+  slack: ["webhook_url"],
+  telegram: ["bot_token", "chat_id"],
+  email: ["host", "from", "to"]
+};
+
+const EVENTS = {
+  "order.filled": { title: "Order filled", text: "✅ {{side}} {{quantity}} {{symbol}} filled @ {{price}} [{{account}}]" },
+  "order.rejected": { title: "Order rejected", text: "❌ {{side}} {{quantity}} {{symbol}} rejected: {{reason}} [{{account}}]" },
+  "order.failed": { title: "Order failed", text: "❌ {{action}} {{symbol}} failed: {{reason}} [{{account}}]" },
+  "risk.skipped": { title: "Signal skipped", text: "⏭️ {{action}} {{symbol}} skipped by {{rule}}: {{reason}} [{{account}}]" },
+  "auth.failed": { title: "Broker login needed", text: "🔑 Account {{account}}: {{reason}}" },
+  "kill_switch.triggered": { title: "Kill switch triggered", text: "🛑 Kill switch triggered ({{source}}): {{reason}}" },
+  "kill_switch.reset": { title: "Kill switch reset", text: "✅ Kill switch reset by {{source}}" },
+  "instrument_sync.failed": { title: "Instrument sync failed", text: "📚 Instrument sync ({{trigger}}) failed, master left unchanged: {{reason}}" },
+  "reconciliation.drift": { title: "Position drift", text: "⚠️ Position drift [{{account}}] {{symbol}}: book {{book_quantity}}, broker {{broker_quantity}} ({{kind}})" },
+  test: { title: "Test notification", text: "🔔 Test notification for channel {{channel}}" }
+};
+const DEFAULT_SUBJECT = "[Trading] {{title}}";
+
+function errorMessage(err) {
+  const data = err?.response?.data;
+  return data?.description || data?.error || (typeof data === "string" ? data : null) || err?.message || String(err);
+}
+
+function render(template, fields) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+    const value = fields[name];
+    return value === undefined || value === null ? "" : String(value);
+  });
+}
+
+function matchesEvent(patterns, event) {
+  return patterns.some(p => p === "*" || p === event || (p.endsWith(".*") && event.startsWith(p.slice(0, -1))));
+}
+
+function validateChannel(input, { partial = false } = {}) {
+  const fields = {};
+  if (!partial || input.name !== undefined) {
+    if (!input.name || !/^[\w.-]{1,64}$/.test(input.name)) throw new Error("name must be 1-64 letters, digits, _ . or -");
+    fields.name = input.name;
+  }
+  if (!partial || input.type !== undefined) {
+    if (!CHANNEL_TYPES.includes(input.type)) throw new Error(`type must be one of ${CHANNEL_TYPES.join(", ")}`);
+    fields.type = input.type;
+  }
+  if (input.enabled !== undefined) fields.enabled = input.enabled !== false;
+  if (!partial || input.events !== undefined) {
+    const events = input.events === undefined ? ["*"] : input.events;
+    if (!Array.isArray(events) || events.length === 0) throw new Error("events must be a non-empty list");
+    const unknown = events.filter(e => e !== "*" && !e.endsWith(".*") && !EVENTS[e]);
+    if (unknown.length) throw new Error(`Unknown events: ${unknown.join(", ")} (known: ${Object.keys(EVENTS).join(", ")})`);
+    fields.events = events;
+  }
+  if (input.modes !== undefined) {
+    if (input.modes !== null && (!Array.isArray(input.modes) || !input.modes.every(m => m === "live" || m === "paper")))
+      throw new Error("modes must list live and/or paper");
+    fields.modes = input.modes;
+  }
+  if (input.templates !== undefined) {
+    if (input.templates !== null && typeof input.templates !== "object") throw new Error("templates must map event names to text");
+    fields.templates = input.templates;
+  }
+  if (input.config !== undefined) {
+    if (!input.config || typeof input.config !== "object") throw new Error("config must be an object");
+    fields.config = input.config;
+  }
+  return fields;
+}
+
+function checkConfig(channel) {
+  const missing = REQUIRED_CONFIG[channel.type].filter(f => channel.config?.[f] === undefined || channel.config[f] === "");
+  if (missing.length) throw new Error(`${channel.type} channel needs config.${missing.join(", config.")}`);
+}
+
+// Secrets are shown as their last four characters
+function publicChannel(channel, status) {
+  const config = { ...channel.config };
+  for (const field of SECRET_FIELDS) {
+    if (config[field] === undefined) continue;
+    const text = typeof config[field] === "string" ? config[field] : JSON.stringify(config[field]);
+    config[field] = `…${text.slice(-4)}`;
+  }
+  return { ...channel, config, ...(status || {}) };
+}
+
+function createNotifier({ store, timeoutMs = NOTIFY_TIMEOUT_MS, track = promise => promise }) {
+  let channels = [];
+  const status = new Map(); // channel id -> { last_sent_at, last_error, last_error_at }
+
+  async function load() {
+    try {
+      channels = await store.list();
+      console.log(`🔔 Loaded ${channels.length} notification channels`);
+    } catch (err) {
+      console.error("❌ Notification channels load error:", err.message);
+    }
+  }
+
+  async function deliver(channel, message) {
+    const config = channel.config || {};
+    const http = { timeout: timeoutMs };
+    switch (channel.type) {
+      case "webhook":
+        await axios.post(config.url, { event: message.event, title: message.title, text: message.text, data: message.data, at: message.at }, { ...http, headers: config.headers || {} });
+        return;
+      case "slack":
+        await axios.post(config.webhook_url, { text: message.text }, http);
+        return;
+      case "telegram":
+        await axios.post(`${config.api_base || TELEGRAM_API_BASE}/bot${config.bot_token}/sendMessage`, { chat_id: config.chat_id, text: message.text }, http);
+        return;
+      case "email":
+        await sendMail({
+          host: config.host,
+          port: config.port,
+          secure: config.secure === true,
+          starttls: config.starttls !== false,
+          username: config.username,
+          password: config.password,
+          from: config.from,
+          to: config.to,
+          subject: message.subject,
+          text: message.text,
+          timeoutMs
+        });
+        return;
+      default:
+        throw new Error(`Unknown channel type: ${channel.type}`);
+    }
+  }
+
+  function compose(channel, event, data) {
+    const at = new Date().toISOString();
+    const fields = { ...data, event, title: EVENTS[event].title, channel: channel.name, at };
+    const text = render(channel.templates?.[event] || EVENTS[event].text, fields);
+    return { event, title: fields.title, text, subject: render(channel.templates?.subject || DEFAULT_SUBJECT, fields), data, at };
+  }
+
+  async function send(channel, event, data) {
+    try {
+      await deliver(channel, compose(channel, event, data));
+      status.set(channel.id, { ...status.get(channel.id), last_sent_at: new Date().toISOString() });
+      return { sent: true };
+    } catch (err) {
+      const reason = errorMessage(err);
+      console.error(`❌ Notification via ${channel.name} (${channel.type}) failed:`, reason);
+      status.set(channel.id, { ...status.get(channel.id), last_error: reason, last_error_at: new Date().toISOString() });
+      return { sent: false, error: reason };
+    }
+  }
+
+  // Fire and forget: callers never wait on (or fail because of) a channel
+  function notify(event, data = {}) {
+    if (!EVENTS[event]) {
+      console.error(`❌ Unknown notification event: ${event}`);
+      return;
+    }
+    for (const channel of channels) {
+      if (channel.enabled === false || !matchesEvent(channel.events || ["*"], event)) continue;
+      if (channel.modes?.length && data.mode && !channel.modes.includes(data.mode)) continue;
+      track(send(channel, event, data));
+    }
+  }
+
+  // ---- Channel management ----
+  function listChannels() {
+    return channels.map(c => publicChannel(c, status.get(c.id)));
+  }
+
+  async function createChannel(input) {
+    const fields = validateChannel(input);
+    checkConfig(fields);
+    const created = await store.insert({ enabled: true, modes: null, templates: null, ...fields, created_at: new Date().toISOString(), updated_at: null });
+    channels.push(created);
+    return publicChannel(created);
+  }
+
+  // Config is merged, so secrets shown masked need not be sent back
+  async function updateChannel(id, input) {
+    const existing = channels.find(c => String(c.id) === String(id));
+    if (!existing) return null;
+    const fields = validateChannel(input, { partial: true });
+    if (fields.config) {
+      const changed = Object.entries(fields.config).filter(([key, value]) => !(SECRET_FIELDS.includes(key) && String(value).startsWith("…")));
+      fields.config = { ...existing.config, ...Object.fromEntries(changed) };
+    }
+    checkConfig({ ...existing, ...fields });
+    const updated = await store.update(existing.id, { ...fields, updated_at: new Date().toISOString() });
+    channels = channels.map(c => (c.id === existing.id ? updated : c));
+    return publicChannel(updated, status.get(updated.id));
+  }
+
+  async function deleteChannel(id) {
+    await store.remove(id);
+    channels = channels.filter(c => String(c.id) !== String(id));
+    status.delete(id);
+  }
+
+  // Sends the `test` event now and reports the outcome
+  async function testChannel(id) {
+    const channel = channels.find(c => String(c.id) === String(id));
+    if (!channel) return null;
+    return send(channel, "test", {});
+  }
+
+  return { load, notify, listChannels, createChannel, updateChannel, deleteChannel, testChannel };
+}
+
+module.exports = { createNotifier, render, EVENTS };
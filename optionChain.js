@@ -0,0 +1,137 @@
+const { greeks, impliedVolatility } = require("./greeks");
+
+// ===============================
+// Option Chain
+// ===============================
+// Builds the strike ladder for one underlying and expiry from the instrument
+// master: CE and PE contracts side by side, with LTP and OI (feed cache, then
+// the broker's quotes) and Black-Scholes IV and greeks per contract. Options
+// are priced off the spot when the underlying has one (carry = rate) and off
+// the nearest future otherwise (Black-76). `delta` picks the CE and PE strikes
+// whose absolute delta is closest to it among the strikes returned.
+
+const OPTION_RISK_FREE_RATE = parseFloat(process.env.OPTION_RISK_FREE_RATE || 0.065);
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const IST_OFFSET_MINUTES = 330;
+
+// Contracts stop trading at the segment's close on expiry day (IST)
+const EXPIRY_CLOSE = { MCX_FO: "23:30" };
+const DEFAULT_EXPIRY_CLOSE = "15:30";
+
+function yearsToExpiry(expiry, segment, now) {
+  const [hours, minutes] = (EXPIRY_CLOSE[segment] || DEFAULT_EXPIRY_CLOSE).split(":").map(Number);
+  const close = Date.parse(`${expiry}T00:00:00Z`) + (hours * 60 + minutes - IST_OFFSET_MINUTES) * 60 * 1000;
+  return (close - now.getTime()) / YEAR_MS;
+}
+
+function round(value, digits) {
+  return value === null || value === undefined || !isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+function createOptionChain({ resolver, getQuotes, rate = OPTION_RISK_FREE_RATE }) {
+  function describe(contract, quote, pricing) {
+    const ltp = parseFloat(quote?.last_price) || null;
+    const side = {
+      instrument_key: contract.instrument_key,
+      trading_symbol: contract.trading_symbol,
+      lot_size: parseInt(contract.lot_size) || null,
+      ltp,
+      oi: quote?.oi ?? null,
+      iv: null,
+      delta: null,
+      gamma: null,
+      theta: null,
+      vega: null
+    };
+    if (!pricing) return side;
+
+    const params = { type: contract.instrument_type, spot: pricing.spot, strike: parseFloat(contract.strike_price), years: pricing.years, rate, carry: pricing.carry };
+    const vol = impliedVolatility({ ...params, premium: ltp });
+    if (vol === null) return side;
+    const g = greeks({ ...params, vol });
+    return {
+      ...side,
+      iv: round(vol * 100, 2),
+      delta: round(g.delta, 4),
+      gamma: round(g.gamma, 6),
+      theta: round(g.theta, 2),
+      vega: round(g.vega, 2)
+    };
+  }
+
+  // Strike whose |delta| on `type` is closest to |target|
+  function pickByDelta(rows, type, target) {
+    const key = type === "CE" ? "ce" : "pe";
+    let best = null;
+    for (const row of rows) {
+      const delta = row[key]?.delta;
+      if (delta === null || delta === undefined) continue;
+      const distance = Math.abs(Math.abs(delta) - Math.abs(target));
+      if (!best || distance < best.distance) best = { distance, strike: row.strike, ...row[key] };
+    }
+    if (!best) return null;
+    const { distance, ...pick } = best;
+    return pick;
+  }
+
+  // -> chain, or null when the underlying has no options for that expiry
+  async function build({ underlying, expiry = "CW", strikes, underlyingPrice, delta, now = new Date() }) {
+    const found = await resolver.optionContracts(underlying, expiry);
+    if (!found || found.contracts.length === 0) return null;
+
+    const spot = parseFloat(underlyingPrice) > 0
+      ? { ltp: parseFloat(underlyingPrice), instrument: null, kind: "spot" }
+      : await resolver.underlyingQuote(found.underlying, found.exchange);
+
+    // Strike ladder, CE and PE per row
+    const byStrike = new Map();
+    for (const contract of found.contracts) {
+      const strike = parseFloat(contract.strike_price);
+      if (!byStrike.has(strike)) byStrike.set(strike, { strike });
+      byStrike.get(strike)[contract.instrument_type === "CE" ? "ce" : "pe"] = contract;
+    }
+    let ladder = [...byStrike.values()].sort((a, b) => a.strike - b.strike);
+
+    let atm = null;
+    if (spot) {
+      atm = ladder.reduce((best, row) => (Math.abs(row.strike - spot.ltp) < Math.abs(best.strike - spot.ltp) ? row : best)).strike;
+      const around = parseInt(strikes);
+      if (around > 0) {
+        const index = ladder.findIndex(row => row.strike === atm);
+        ladder = ladder.slice(Math.max(0, index - around), index + around + 1);
+      }
+    }
+
+    const keys = ladder.flatMap(row => [row.ce, row.pe]).filter(Boolean).map(c => c.instrument_key);
+    const quotes = keys.length ? await getQuotes(keys) : {};
+
+    const segment = found.contracts[0].segment;
+    const years = yearsToExpiry(found.expiry, segment, now);
+    const pricing = spot && years > 0 ? { spot: spot.ltp, years, carry: spot.kind === "future" ? 0 : rate } : null;
+
+    const rows = ladder.map(row => ({
+      strike: row.strike,
+      ce: row.ce ? describe(row.ce, quotes[row.ce.instrument_key], pricing) : null,
+      pe: row.pe ? describe(row.pe, quotes[row.pe.instrument_key], pricing) : null
+    }));
+
+    const target = parseFloat(delta);
+    return {
+      underlying: found.underlying,
+      underlying_key: spot?.instrument?.instrument_key || null,
+      underlying_price: spot?.ltp ?? null,
+      priced_off: spot?.kind || null,
+      expiry: found.expiry,
+      expiries: found.expiries,
+      days_to_expiry: round(years * 365, 2),
+      rate,
+      atm_strike: atm,
+      ...(target ? { by_delta: { target, CE: pickByDelta(rows, "CE", target), PE: pickByDelta(rows, "PE", target) } } : {}),
+      strikes: rows
+    };
+  }
+
+  return { build };
+}
+
+module.exports = { createOptionChain, yearsToExpiry };
@@ -0,0 +1,50 @@
+// ===============================
+// Freeze Quantity Slicing
+// ===============================
+// Exchanges reject single orders above an instrument's freeze quantity, so
+// oversized orders are split into whole-lot child orders that each fit under
+// the limit, optionally paced apart. The children are one logical order: the
+// caller logs a single row and follows every child id together.
+
+const ORDER_SLICE_DELAY_MS = parseInt(process.env.ORDER_SLICE_DELAY_MS || 0);
+
+// Child quantities for `total` units; each is a lot multiple <= freezeQuantity
+function sliceQuantity(total, freezeQuantity, lotSize = 1) {
+  const freeze = parseInt(freezeQuantity) || 0;
+  const lot = parseInt(lotSize) || 1;
+  if (!(freeze > 0) || total <= freeze) return [total];
+
+  const maxChild = Math.floor(freeze / lot) * lot;
+  if (maxChild <= 0) throw new Error(`freeze quantity ${freeze} is smaller than one lot (${lot})`);
+
+  const slices = [];
+  let remaining = total;
+  while (remaining > 0) {
+    const child = Math.min(maxChild, remaining);
+    slices.push(child);
+    remaining -= child;
+  }
+  return slices;
+}
+
+// Places the children in sequence. Stops at the first failure so a broken
+// basket never keeps adding exposure; returns the ids placed so far and the
+// error, if any.
+async function placeSliced(broker, body, { freezeQuantity, lotSize, delayMs = ORDER_SLICE_DELAY_MS } = {}) {
+  const slices = sliceQuantity(body.quantity, freezeQuantity, lotSize);
+  const orderIds = [];
+
+  for (let i = 0; i < slices.length; i++) {
+    if (i > 0 && delayMs > 0) await new Promise(r => setTimeout(r, delayMs));
+    try {
+      const placed = await broker.placeOrder({ ...body, quantity: slices[i] });
+      orderIds.push(placed.order_id);
+      if (slices.length > 1) console.log(`🔪 Slice ${i + 1}/${slices.length} (${slices[i]}) placed:`, placed.order_id);
+    } catch (err) {
+      return { orderIds, slices, error: err };
+    }
+  }
+  return { orderIds, slices, error: null };
+}
+
+module.exports = { sliceQuantity, placeSliced };
@@ -0,0 +1,125 @@
+// ===============================
+// Order Status Tracker
+// ===============================
+// Polls broker order details for every tracked order_id until it reaches a
+// terminal state. Each listener gets onUpdate for every status/fill change and
+// onTerminal once, after which the order is dropped. Several listeners can
+// follow the same order (e.g. the log updater and a bracket group). The list
+// lives in memory; on start the server tracks again every logged order that
+// has no final status yet.
+
+const ORDER_POLL_INTERVAL_MS = parseInt(process.env.ORDER_POLL_INTERVAL_MS || 3000);
+const ORDER_TRACK_MAX_AGE_MS = 24 * 60 * 60 * 1000; // give up after a trading day
+const TERMINAL_STATUSES = new Set(["complete", "rejected", "cancelled"]);
+
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.has(status);
+}
+
+function createOrderTracker({ pollIntervalMs = ORDER_POLL_INTERVAL_MS } = {}) {
+  const tracked = new Map(); // `${broker.name}:${orderId}` -> entry
+  let timer = null;
+  let polling = false;
+
+  function track(broker, orderId, { onUpdate, onTerminal } = {}) {
+    const key = `${broker.name}:${orderId}`;
+    const listener = { onUpdate, onTerminal };
+    if (tracked.has(key)) {
+      tracked.get(key).listeners.push(listener);
+      return;
+    }
+    tracked.set(key, {
+      key,
+      broker,
+      orderId,
+      listeners: [listener],
+      startedAt: Date.now(),
+      status: null,
+      filledQuantity: null
+    });
+    if (!timer) timer = setInterval(pollAll, pollIntervalMs);
+  }
+
+  // Resolves with the order once it is terminal (complete, rejected, cancelled)
+  function waitForTerminal(broker, orderId) {
+    return new Promise(resolve => track(broker, orderId, { onTerminal: resolve }));
+  }
+
+  function untrack(broker, orderId) {
+    tracked.delete(`${broker.name}:${orderId}`);
+    stopIfIdle();
+  }
+
+  function stopIfIdle() {
+    if (tracked.size === 0 && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  async function pollOne(entry) {
+    if (Date.now() - entry.startedAt > ORDER_TRACK_MAX_AGE_MS) {
+      console.warn(`⚠️ Gave up tracking order ${entry.orderId} (last status: ${entry.status})`);
+      tracked.delete(entry.key);
+      return;
+    }
+
+    let order;
+    try {
+      order = await entry.broker.getOrderDetails(entry.orderId);
+    } catch (err) {
+      console.error(`❌ Order status error (${entry.orderId}):`, err.response?.data || err.message);
+      return;
+    }
+    if (!order) return;
+
+    const changed = order.status !== entry.status || order.filled_quantity !== entry.filledQuantity;
+    entry.status = order.status;
+    entry.filledQuantity = order.filled_quantity;
+
+    const terminal = isTerminalStatus(order.status);
+    if (terminal) tracked.delete(entry.key);
+
+    for (const listener of entry.listeners) {
+      try {
+        if (changed && listener.onUpdate) await listener.onUpdate(order);
+        if (terminal && listener.onTerminal) await listener.onTerminal(order);
+      } catch (err) {
+        console.error(`❌ Order tracker callback error (${entry.orderId}):`, err.message);
+      }
+    }
+  }
+
+  async function pollAll() {
+    if (polling) return; // previous cycle still waiting on the broker
+    polling = true;
+    try {
+      for (const entry of [...tracked.values()]) await pollOne(entry);
+    } finally {
+      polling = false;
+      stopIfIdle();
+    }
+  }
+
+  function list() {
+    return [...tracked.values()].map(e => ({
+      broker: e.broker.name,
+      order_id: e.orderId,
+      status: e.status,
+      filled_quantity: e.filledQuantity,
+      started_at: new Date(e.startedAt).toISOString()
+    }));
+  }
+
+  // Shutdown: stop polling; whatever is still tracked is picked up again
+  // from the order log on the next start
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (tracked.size > 0) console.warn(`⚠️ Stopped tracking ${tracked.size} open orders`);
+  }
+
+  return { track, waitForTerminal, untrack, list, stop, poll: pollAll };
+}
+
+module.exports = { createOrderTracker, isTerminalStatus, ORDER_TRACK_MAX_AGE_MS };
@@ -0,0 +1,272 @@
+// ===============================
+// Position Book & Reconciliation
+// ===============================
+// The server's own record of what each account holds, built from the fills
+// the order tracker sees: one row per mode, account and instrument (the
+// `positionBook` store), seeded from the order log's open trades on first
+// start. Every RECONCILE_INTERVAL_MS it is compared with each broker's
+// positions plus holdings, as net quantity per instrument. Holdings only
+// count for instruments the book knows, so a long-term portfolio the server
+// never traded is not drift.
+//
+// A difference seen on one run can be an order the tracker has not caught up
+// with; seen unchanged on the next run it is drift (a manual trade, an RMS
+// square-off, a fill missed across a restart). Drift is logged, passed to
+// `onDrift` and blocks new entries in that instrument until the two agree
+// again or adopt() takes the broker's quantity into the book. A broker whose
+// state cannot be fetched is reported as unavailable, never as flat.
+//
+// Paper rows are kept in memory only, like the simulated broker they mirror:
+// they are never saved or loaded, and resetPaper() clears them along with it.
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS || 60000);
+
+function errorMessage(err) {
+  return err?.response?.data?.errors?.[0]?.message || err?.message || String(err);
+}
+
+function modeOf(broker) {
+  return broker.name === "paper" ? "paper" : "live";
+}
+
+function bookKey(mode, accountId, instrumentKey) {
+  return `${mode}|${accountId || ""}|${instrumentKey}`;
+}
+
+// "upstox:client-a" for account adapters, "paper" for the simulator
+function brokerLabel(broker) {
+  return broker.accountId ? `${broker.name}:${broker.accountId}` : broker.name;
+}
+
+function createPositionBook({ store, getBrokers, loadOpenTrades, log, onDrift = () => {}, track = promise => promise, intervalMs = RECONCILE_INTERVAL_MS }) {
+  const rows = new Map();       // book key -> row
+  const suspects = new Map();   // book key -> difference seen on the last run
+  const drift = new Map();      // book key -> confirmed drift
+  let lastReport = null;
+  let running = null;
+  let timer = null;
+
+  async function persist(row) {
+    if (row.mode === "paper") return;
+    try {
+      await track(store.save(row));
+    } catch (err) {
+      console.error("❌ Position book save error:", err.message);
+    }
+  }
+
+  async function load() {
+    try {
+      const stored = await store.list();
+      if (stored.length === 0) {
+        // Net open quantity per instrument from the trade journal's FIFO pairing
+        for (const trade of await loadOpenTrades()) {
+          if (trade.mode === "paper") continue;
+          const key = bookKey(trade.mode, trade.account_id, trade.instrument_key);
+          const open = (trade.quantity - trade.exited_quantity) * (trade.direction === "long" ? 1 : -1);
+          const row = rows.get(key) || { key, mode: trade.mode, account_id: trade.account_id || null, instrument_key: trade.instrument_key, trading_symbol: trade.symbol, product: null, quantity: 0, average_price: 0 };
+          rows.set(key, { ...row, quantity: row.quantity + open, average_price: trade.entry_price, updated_at: new Date().toISOString() });
+        }
+        for (const row of rows.values()) await persist(row);
+        if (rows.size) console.log(`🌱 Seeded position book with ${rows.size} instruments from the order log`);
+      } else {
+        // Paper rows saved by older versions: the simulator restarted empty
+        for (const row of stored) if (row.mode !== "paper") rows.set(row.key, row);
+      }
+      console.log(`📘 Loaded position book (${[...rows.values()].filter(r => r.quantity !== 0).length} open)`);
+    } catch (err) {
+      console.error("❌ Position book load error:", err.message);
+    }
+  }
+
+  // A fill the order tracker saw: `quantity` more units bought or sold
+  async function applyFill(broker, { instrumentKey, tradingSymbol, product, side, quantity, price }) {
+    if (!instrumentKey || !(quantity > 0)) return;
+    const mode = modeOf(broker);
+    const key = bookKey(mode, broker.accountId, instrumentKey);
+    const row = rows.get(key) || { key, mode, account_id: broker.accountId || null, instrument_key: instrumentKey, trading_symbol: tradingSymbol, product, quantity: 0, average_price: 0 };
+    const signed = side === "BUY" ? quantity : -quantity;
+    const next = row.quantity + signed;
+
+    // The average only moves when the position grows; it resets when it flips
+    let average = row.average_price;
+    if (next === 0) average = 0;
+    else if (row.quantity === 0 || Math.sign(next) !== Math.sign(row.quantity)) average = price;
+    else if (Math.abs(next) > Math.abs(row.quantity)) average = (row.average_price * Math.abs(row.quantity) + price * quantity) / Math.abs(next);
+
+    const updated = {
+      ...row,
+      trading_symbol: tradingSymbol || row.trading_symbol,
+      product: product || row.product,
+      quantity: next,
+      average_price: Number((average || 0).toFixed(4)),
+      updated_at: new Date().toISOString()
+    };
+    rows.set(key, updated);
+    await persist(updated);
+  }
+
+  // Net quantity per instrument from positions, plus holdings the book knows
+  async function brokerState(broker) {
+    const state = new Map();
+    const add = (instrumentKey, tradingSymbol, quantity) => {
+      const entry = state.get(instrumentKey) || { trading_symbol: tradingSymbol, quantity: 0 };
+      entry.quantity += quantity;
+      state.set(instrumentKey, entry);
+    };
+    for (const p of await broker.getPositions()) add(p.instrument_token, p.trading_symbol, parseInt(p.quantity) || 0);
+
+    const mode = modeOf(broker);
+    for (const h of await broker.getHoldings()) {
+      if (!rows.has(bookKey(mode, broker.accountId, h.instrument_token))) continue;
+      add(h.instrument_token, h.trading_symbol, (parseInt(h.quantity) || 0) + (parseInt(h.t1_quantity) || 0));
+    }
+    return state;
+  }
+
+  function describe(key, broker, instrumentKey, bookQuantity, brokerQuantity, tradingSymbol, since) {
+    const kind = bookQuantity === 0 ? "unknown_position" : brokerQuantity === 0 ? "missing_position" : "quantity_mismatch";
+    return {
+      key,
+      mode: modeOf(broker),
+      account_id: broker.accountId || null,
+      account: brokerLabel(broker),
+      instrument_key: instrumentKey,
+      trading_symbol: tradingSymbol,
+      book_quantity: bookQuantity,
+      broker_quantity: brokerQuantity,
+      difference: brokerQuantity - bookQuantity,
+      kind,
+      since
+    };
+  }
+
+  async function flag(item) {
+    console.warn(`⚠️ Position drift [${item.account}] ${item.trading_symbol || item.instrument_key}: book ${item.book_quantity}, broker ${item.broker_quantity} (${item.kind})`);
+    await log(
+      { action: "RECONCILE", symbol: item.trading_symbol || item.instrument_key, instrument_token: item.instrument_key, quantity: item.difference, paper: item.mode === "paper", account_id: item.account_id, source: "reconciliation" },
+      "drift",
+      `${item.kind}: book ${item.book_quantity}, broker ${item.broker_quantity}`,
+      null,
+      { rule_id: "reconciliation", instrument_key: item.instrument_key, trading_symbol: item.trading_symbol }
+    );
+    try {
+      await onDrift(item);
+    } catch (err) {
+      console.error("❌ Drift hook error:", err.message);
+    }
+  }
+
+  async function reconcileBroker(broker, now) {
+    const mode = modeOf(broker);
+    let state;
+    try {
+      state = await brokerState(broker);
+    } catch (err) {
+      // Keep earlier drift for this account as it was; nothing new is known
+      return { account: brokerLabel(broker), status: "unavailable", error: errorMessage(err) };
+    }
+
+    const mine = [...rows.values()].filter(r => r.mode === mode && (r.account_id || null) === (broker.accountId || null));
+    const instruments = new Set([...mine.map(r => r.instrument_key), ...state.keys()]);
+    let mismatched = 0;
+    for (const instrumentKey of instruments) {
+      const key = bookKey(mode, broker.accountId, instrumentKey);
+      const bookQuantity = rows.get(key)?.quantity || 0;
+      const brokerQuantity = state.get(instrumentKey)?.quantity || 0;
+      if (bookQuantity === brokerQuantity) {
+        if (drift.has(key)) console.log(`✅ Position drift resolved: ${key}`);
+        suspects.delete(key);
+        drift.delete(key);
+        continue;
+      }
+
+      mismatched++;
+      const tradingSymbol = rows.get(key)?.trading_symbol || state.get(instrumentKey)?.trading_symbol || null;
+      const seen = suspects.get(key);
+      const same = seen && seen.book_quantity === bookQuantity && seen.broker_quantity === brokerQuantity;
+      const item = describe(key, broker, instrumentKey, bookQuantity, brokerQuantity, tradingSymbol, same ? seen.since : now);
+      suspects.set(key, item);
+      const known = drift.get(key);
+      if (same && !(known && known.book_quantity === bookQuantity && known.broker_quantity === brokerQuantity)) {
+        drift.set(key, item);
+        await flag(item);
+      }
+    }
+    return { account: brokerLabel(broker), status: "ok", instruments: instruments.size, mismatched };
+  }
+
+  async function runOnce() {
+    const now = new Date().toISOString();
+    const accounts = [];
+    for (const broker of getBrokers()) accounts.push(await reconcileBroker(broker, now));
+    lastReport = {
+      at: now,
+      accounts,
+      drift: [...drift.values()],
+      unconfirmed: [...suspects.values()].filter(s => !drift.has(s.key))
+    };
+    for (const a of accounts.filter(a => a.status === "unavailable")) console.error(`❌ Reconciliation: ${a.account} state unavailable: ${a.error}`);
+    return lastReport;
+  }
+
+  // Overlapping calls (timer and API) share one run
+  function reconcile() {
+    if (!running) running = runOnce().finally(() => { running = null; });
+    return running;
+  }
+
+  // Confirmed drift on this account's instrument, or null
+  function driftFor(mode, accountId, instrumentKey) {
+    return drift.get(bookKey(mode, accountId, instrumentKey)) || null;
+  }
+
+  // Takes the broker's quantity into the book for confirmed drift, all of it
+  // or narrowed to an account ("paper" for the simulator) and/or instrument
+  async function adopt({ account, instrument_key } = {}) {
+    const adopted = [];
+    for (const item of [...drift.values()]) {
+      if (account && (item.account_id || "paper") !== account) continue;
+      if (instrument_key && item.instrument_key !== instrument_key) continue;
+      const row = rows.get(item.key) || { key: item.key, mode: item.mode, account_id: item.account_id, instrument_key: item.instrument_key, trading_symbol: item.trading_symbol, product: null, average_price: 0 };
+      const updated = { ...row, quantity: item.broker_quantity, updated_at: new Date().toISOString() };
+      rows.set(item.key, updated);
+      await persist(updated);
+      drift.delete(item.key);
+      suspects.delete(item.key);
+      adopted.push(item);
+      console.log(`📘 Position book adopted broker quantity ${item.broker_quantity} for ${item.key}`);
+    }
+    return adopted;
+  }
+
+  // The simulated broker was reset: its book, pending differences and drift go too
+  function resetPaper() {
+    for (const map of [rows, suspects, drift]) {
+      for (const [key, value] of map) if (value.mode === "paper") map.delete(key);
+    }
+  }
+
+  function list({ open } = {}) {
+    return [...rows.values()].filter(r => !open || r.quantity !== 0);
+  }
+
+  function report() {
+    return lastReport;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => reconcile().catch(err => console.error("❌ Reconciliation failed:", err.message)), intervalMs);
+  }
+
+  async function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (running) await running.catch(() => {});
+  }
+
+  return { load, applyFill, reconcile, driftFor, adopt, resetPaper, list, report, start, stop };
+}
+
+module.exports = { createPositionBook };
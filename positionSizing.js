@@ -0,0 +1,92 @@
+const { levelPrice } = require("./bracketOrders");
+
+// ===============================
+// Position Sizing
+// ===============================
+// Turns an alert into an order quantity (in units, always a whole number of
+// lots). The alert picks a mode with `sizing`, either as a string with the
+// parameters at the top level or as an object:
+//
+//   lots            quantity lots (default, the original behaviour)
+//   capital         `capital` rupees at the alert price
+//   percent_equity  `equity_pct` % of available margin at the alert price
+//   risk            `risk_amount` rupees (or `risk_pct` % of available margin)
+//                   divided by the stop distance (`stop_loss` or `stop_distance`)
+//
+// The alert price is `price`, or the LTP the caller fills in when the alert
+// has none (MARKET alerts). `max_lots` caps any mode. Quantities above the
+// instrument's freeze quantity are not capped here; orderSlicer.js splits
+// them at placement.
+
+const SIZING_MODES = ["lots", "capital", "percent_equity", "risk"];
+const SIZING_FIELDS = ["capital", "equity_pct", "risk_amount", "risk_pct", "stop_distance", "max_lots"];
+
+// Validates the alert's sizing spec up front so bad payloads get a 400
+function parseSizing(data) {
+  const raw = data.sizing;
+  let spec;
+  if (raw && typeof raw === "object") {
+    spec = { ...raw, mode: raw.mode || "lots" };
+  } else {
+    spec = { mode: raw || "lots" };
+    for (const field of SIZING_FIELDS) if (data[field] !== undefined) spec[field] = data[field];
+  }
+
+  if (!SIZING_MODES.includes(spec.mode)) throw new Error(`Invalid sizing mode: ${spec.mode}`);
+  if (spec.mode === "lots" && !(parseFloat(data.quantity) > 0)) throw new Error("quantity is required for lot sizing");
+  if (spec.mode === "capital" && !(parseFloat(spec.capital) > 0)) throw new Error("capital is required for capital sizing");
+  if (spec.mode === "percent_equity" && !(parseFloat(spec.equity_pct) > 0)) throw new Error("equity_pct is required for percent_equity sizing");
+  if (spec.mode === "risk" && !(parseFloat(spec.risk_amount) > 0) && !(parseFloat(spec.risk_pct) > 0))
+    throw new Error("risk_amount or risk_pct is required for risk sizing");
+  return spec;
+}
+
+function availableMargin(funds) {
+  return parseFloat(funds?.equity?.available_margin) || 0;
+}
+
+// Stop distance per unit, from the bracket stop or an explicit distance
+function stopDistance(spec, stopLoss, price, side) {
+  if (parseFloat(spec.stop_distance) > 0) return parseFloat(spec.stop_distance);
+  if (!stopLoss) return null;
+  const sign = side === "BUY" ? 1 : -1;
+  const distance = (price - levelPrice(stopLoss, price, -sign)) * sign;
+  return distance > 0 ? distance : null;
+}
+
+// Returns { quantity, lots, mode, capped } or throws with the reason
+function computeQuantity({ spec, data, instrument, funds, stopLoss }) {
+  const lotSize = parseInt(instrument?.lot_size) || 1;
+  const price = parseFloat(data.price) || 0;
+  let lots;
+
+  if (spec.mode === "lots") {
+    lots = parseInt(data.quantity);
+  } else {
+    if (!(price > 0)) throw new Error(`${spec.mode} sizing needs a price in the alert or an LTP`);
+    let budgetUnits;
+    if (spec.mode === "capital") {
+      budgetUnits = parseFloat(spec.capital) / price;
+    } else if (spec.mode === "percent_equity") {
+      budgetUnits = (availableMargin(funds) * parseFloat(spec.equity_pct) / 100) / price;
+    } else {
+      const riskAmount = parseFloat(spec.risk_amount) || availableMargin(funds) * parseFloat(spec.risk_pct) / 100;
+      const distance = stopDistance(spec, stopLoss, price, data.action);
+      if (!distance) throw new Error("risk sizing needs a stop_loss beyond the price or a stop_distance");
+      budgetUnits = riskAmount / distance;
+    }
+    lots = Math.floor(budgetUnits / lotSize);
+  }
+
+  let capped = false;
+  const maxLots = parseInt(spec.max_lots);
+  if (maxLots > 0 && lots > maxLots) {
+    lots = maxLots;
+    capped = true;
+  }
+
+  if (!(lots > 0)) throw new Error(`${spec.mode} sizing is below one lot (lot size ${lotSize})`);
+  return { quantity: lots * lotSize, lots, mode: spec.mode, capped };
+}
+
+module.exports = { parseSizing, computeQuantity, SIZING_MODES };
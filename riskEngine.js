@@ -0,0 +1,236 @@
+// ===============================
+// Risk Rule Engine
+// ===============================
+// Rules live in the `risk_rules` store and are cached in memory;
+// the REST API edits them without a restart. Each rule has a type (see
+// RULE_TYPES), a scope (global / segment / symbol / account) and JSON params. The first
+// rule that rejects a signal is returned with its id so the log row can
+// reference it.
+
+const IST_TIMEZONE = "Asia/Kolkata";
+const SCOPES = ["global", "segment", "symbol", "account"];
+
+// Env limits seed the store when it is empty at startup (see load)
+const DEFAULT_RULES = [
+  { type: "max_capital_per_trade", params: { max: parseFloat(process.env.MAX_CAPITAL_PER_TRADE || 10000) } },
+  { type: "max_open_positions", params: { max: parseInt(process.env.MAX_TOTAL_POSITIONS || 5) } },
+  { type: "max_quantity_per_trade", params: { max: parseInt(process.env.MAX_QUANTITY_PER_TRADE || 100) } },
+  { type: "margin_available", params: {} }
+];
+
+function segmentOf(position) {
+  return position.instrument_token?.split("|")[0] || null;
+}
+
+function positionPnl(p) {
+  if (p.pnl !== undefined && p.pnl !== null) return parseFloat(p.pnl) || 0;
+  return (parseFloat(p.realised) || 0) + (parseFloat(p.unrealised) || 0);
+}
+
+// Positions a scoped rule applies to (an account rule only ever sees that
+// account's own positions)
+function scopedPositions(rule, positions) {
+  if (rule.scope === "segment") return positions.filter(p => segmentOf(p) === rule.scope_value);
+  if (rule.scope === "symbol")
+    return positions.filter(p => p.trading_symbol === rule.scope_value || p.instrument_token === rule.scope_value);
+  return positions;
+}
+
+// "HH:MM" in the given timezone, plus ISO weekday (1 = Monday)
+function clock(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone, hour: "2-digit", minute: "2-digit", weekday: "short", hour12: false
+    }).formatToParts(now).map(p => [p.type, p.value])
+  );
+  const weekday = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].indexOf(parts.weekday) + 1;
+  return { time: `${parts.hour}:${parts.minute}`, weekday };
+}
+
+// Midnight IST as an ISO timestamp, for "today" queries
+function istDayStart(now = new Date()) {
+  const offset = 330 * 60 * 1000;
+  const ist = new Date(now.getTime() + offset);
+  ist.setUTCHours(0, 0, 0, 0);
+  return new Date(ist.getTime() - offset).toISOString();
+}
+
+// Each evaluator returns a rejection reason, or null to allow
+const RULE_TYPES = {
+  // requiredCapital is null when neither the alert nor the LTP gave a price
+  async max_capital_per_trade(rule, ctx) {
+    if (ctx.requiredCapital === null) return "no price or LTP to check capital against";
+    const max = parseFloat(rule.params.max);
+    return ctx.requiredCapital > max ? `capital ${ctx.requiredCapital} exceeds ${max}` : null;
+  },
+
+  async max_quantity_per_trade(rule, ctx) {
+    const max = parseInt(rule.params.max);
+    return ctx.quantity > max ? `quantity ${ctx.quantity} exceeds ${max}` : null;
+  },
+
+  async max_open_positions(rule, ctx) {
+    if (ctx.existing) return null; // adding to / closing an open position
+    const max = parseInt(rule.params.max);
+    const active = scopedPositions(rule, ctx.positions).filter(p => parseInt(p.quantity) !== 0);
+    return active.length >= max ? `${active.length} open positions (max ${max})` : null;
+  },
+
+  async margin_available(rule, ctx) {
+    const available = ctx.funds?.equity?.available_margin;
+    if (available === undefined || available === null) return null;
+    if (ctx.requiredCapital === null) return "no price or LTP to check margin against";
+    return ctx.requiredCapital > available ? `capital ${ctx.requiredCapital} exceeds available margin ${available}` : null;
+  },
+
+  async daily_max_loss(rule, ctx) {
+    const maxLoss = Math.abs(parseFloat(rule.params.max_loss));
+    const pnl = scopedPositions(rule, ctx.positions).reduce((sum, p) => sum + positionPnl(p), 0);
+    return pnl <= -maxLoss ? `daily P&L ${pnl.toFixed(2)} breached max loss ${maxLoss}` : null;
+  },
+
+  async max_orders_per_day(rule, ctx) {
+    const max = parseInt(rule.params.max);
+    const count = await ctx.countOrdersToday(rule);
+    return count >= max ? `${count} orders today (max ${max})` : null;
+  },
+
+  async trading_hours(rule, ctx) {
+    const { start = "09:15", end = "15:30", days = [1, 2, 3, 4, 5], timezone = IST_TIMEZONE } = rule.params;
+    const { time, weekday } = clock(ctx.now, timezone);
+    if (!days.includes(weekday)) return `outside trading days (${timezone})`;
+    return time < start || time > end ? `${time} outside trading hours ${start}-${end}` : null;
+  },
+
+  async blocked_instrument() {
+    return "instrument is blocked";
+  }
+};
+
+// Params each type needs; a missing or malformed one would otherwise compare
+// as NaN and let every signal through
+const LIMIT_PARAMS = {
+  max_capital_per_trade: "max",
+  max_quantity_per_trade: "max",
+  max_open_positions: "max",
+  max_orders_per_day: "max",
+  daily_max_loss: "max_loss"
+};
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateParams(type, params) {
+  if (typeof params !== "object" || params === null || Array.isArray(params)) throw new Error("params must be an object");
+  const key = LIMIT_PARAMS[type];
+  if (key && !(parseFloat(params[key]) > 0)) throw new Error(`${type} needs a positive params.${key}`);
+
+  if (type === "trading_hours") {
+    for (const field of ["start", "end"]) {
+      if (params[field] !== undefined && !HH_MM.test(params[field])) throw new Error(`trading_hours params.${field} must be HH:MM`);
+    }
+    if (params.days !== undefined &&
+        (!Array.isArray(params.days) || params.days.length === 0 || !params.days.every(d => Number.isInteger(d) && d >= 1 && d <= 7))) {
+      throw new Error("trading_hours params.days must be an array of ISO weekdays (1-7)");
+    }
+    if (params.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-GB", { timeZone: params.timezone });
+      } catch (err) {
+        throw new Error(`Unknown timezone: ${params.timezone}`);
+      }
+    }
+  }
+  return params;
+}
+
+function validateRule(rule) {
+  if (!RULE_TYPES[rule.type]) throw new Error(`Unknown rule type: ${rule.type}`);
+  const scope = rule.scope || "global";
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown scope: ${scope}`);
+  if (scope !== "global" && !rule.scope_value) throw new Error(`scope_value is required for ${scope} rules`);
+  if (rule.type === "blocked_instrument" && scope === "global") throw new Error("blocked_instrument needs a segment or symbol scope");
+  return {
+    type: rule.type,
+    scope,
+    scope_value: scope === "global" ? null : rule.scope_value,
+    params: validateParams(rule.type, rule.params || {}),
+    enabled: rule.enabled !== false,
+    description: rule.description || null
+  };
+}
+
+function createRiskEngine({ store }) {
+  let rules = DEFAULT_RULES.map((r, i) => ({ id: `default-${i}`, scope: "global", enabled: true, ...r }));
+
+  // Startup only: an empty store gets the env defaults. Later reloads leave an
+  // empty rule set empty, so deleting the last rule does not bring them back.
+  async function load() {
+    try {
+      if ((await store.list()).length === 0) {
+        await store.insert(DEFAULT_RULES.map(r => validateRule(r)));
+        console.log("🌱 Seeded default risk rules");
+      }
+    } catch (err) {
+      console.error("❌ Risk rules seed error:", err.message);
+    }
+    return reload();
+  }
+
+  async function reload() {
+    try {
+      rules = await store.list();
+      console.log(`🛡️ Loaded ${rules.length} risk rules`);
+    } catch (err) {
+      // Keep the last known rules (or the env defaults) rather than trading unchecked
+      console.error("❌ Risk rules load error:", err.message);
+    }
+    return rules;
+  }
+
+  function appliesTo(rule, ctx) {
+    if (!rule.enabled) return false;
+    if (rule.scope === "segment") return rule.scope_value === ctx.segment;
+    if (rule.scope === "symbol") return rule.scope_value === ctx.symbol || rule.scope_value === ctx.instrumentKey;
+    if (rule.scope === "account") return rule.scope_value === ctx.accountId;
+    return true;
+  }
+
+  // ctx: { accountId, symbol, instrumentKey, segment, action, quantity, price,
+  //        requiredCapital, positions, existing, funds, now, countOrdersToday }
+  async function evaluate(ctx) {
+    for (const rule of rules) {
+      if (!appliesTo(rule, ctx)) continue;
+      const reason = await RULE_TYPES[rule.type](rule, ctx);
+      if (reason) return { allowed: false, rule_id: String(rule.id), rule_type: rule.type, reason };
+    }
+    return { allowed: true };
+  }
+
+  // ---- CRUD (keeps the cache in sync) ----
+  function listRules() {
+    return rules;
+  }
+
+  async function createRule(input) {
+    const [rule] = await store.insert([validateRule(input)]);
+    await reload();
+    return rule;
+  }
+
+  async function updateRule(id, input) {
+    const current = rules.find(r => String(r.id) === String(id));
+    if (!current) return null;
+    const next = validateRule({ ...current, ...input });
+    const rule = await store.update(id, { ...next, updated_at: new Date().toISOString() });
+    await reload();
+    return rule;
+  }
+
+  async function deleteRule(id) {
+    await store.remove(id);
+    await reload();
+  }
+
+  return { load, reload, evaluate, listRules, createRule, updateRule, deleteRule };
+}
+
+module.exports = { createRiskEngine, istDayStart, positionPnl, RULE_TYPES: Object.keys(RULE_TYPES) };
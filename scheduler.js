@@ -0,0 +1,402 @@
+const { placeSliced } = require("./orderSlicer");
+
+// ===============================
+// Order Scheduler
+// ===============================
+// User-managed schedules, persisted to the `schedules` store so they survive
+// restarts, and checked every SCHEDULER_INTERVAL_MS:
+//
+//   time        fires `payload` (an alert body) once `at` a datetime, or at
+//               `time` ("09:20", IST) on every weekday in `days`
+//   price       GTT-style: fires `payload` once when the LTP of
+//               `instrument_key` is `above` / `below` `trigger_price`
+//   square_off  at `time` on `days`, closes every open intraday (product I)
+//               position with MARKET orders, optionally only in `segments`
+//               and on `accounts` ("paper" for the simulator)
+//
+// `days` are ISO weekdays (1 = Monday), Monday to Friday by default. Fired
+// payloads go through the signal queue like webhook alerts, so the kill
+// switch, strategy limits, risk rules and sizing all apply. A one-shot
+// schedule is marked `triggered` and a recurring one moved to its next run
+// *before* it fires, so a crash mid-run never fires it twice. Runs missed by
+// more than SCHEDULE_GRACE_MS (the server was down) are skipped, not fired
+// late.
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || 5000);
+const SCHEDULE_GRACE_MS = parseInt(process.env.SCHEDULE_GRACE_MS || 120000);
+const AUTO_SQUARE_OFF_TIME = process.env.AUTO_SQUARE_OFF_TIME || "15:15";
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const TYPES = ["time", "price", "square_off"];
+const CONDITIONS = ["above", "below"];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function errorMessage(err) {
+  return err?.response?.data?.errors?.[0]?.message || err?.message || String(err);
+}
+
+// Next `time` (IST) on one of `days` strictly after `after` -> ISO string
+function nextRunAt(time, days, after) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const ist = new Date(after.getTime() + IST_OFFSET_MS);
+  for (let offset = 0; offset <= 7; offset++) {
+    const local = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() + offset, hours, minutes);
+    const weekday = new Date(local).getUTCDay() || 7;
+    const run = new Date(local - IST_OFFSET_MS);
+    if (run > after && days.includes(weekday)) return run.toISOString();
+  }
+  return null;
+}
+
+function isoOrThrow(value, field) {
+  const ms = Date.parse(value);
+  if (isNaN(ms)) throw new Error(`${field} must be an ISO datetime`);
+  return new Date(ms).toISOString();
+}
+
+function stringList(value, field) {
+  if (value === undefined || value === null) return null;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const cleaned = list.map(v => String(v).trim()).filter(Boolean);
+  if (cleaned.length === 0) throw new Error(`${field} must list at least one value`);
+  return cleaned;
+}
+
+// Fields every type shares; the type-specific ones are checked in validate()
+function recurrence(input) {
+  if (!TIME_PATTERN.test(String(input.time || ""))) throw new Error("time must be HH:MM (IST)");
+  const days = input.days === undefined || input.days === null ? WEEKDAYS : input.days;
+  if (!Array.isArray(days) || days.length === 0 || !days.every(d => Number.isInteger(d) && d >= 1 && d <= 7))
+    throw new Error("days must be a list of ISO weekdays (1 = Monday ... 7 = Sunday)");
+  return { time: input.time, days: [...new Set(days)].sort((a, b) => a - b) };
+}
+
+function createScheduler({
+  store,
+  getLtp,
+  getBrokers,
+  findInstrument,
+  validatePayload,
+  fire,
+  log,
+  follow,
+  watch = () => {},
+  unwatch = () => {},
+  intervalMs = SCHEDULER_INTERVAL_MS,
+  graceMs = SCHEDULE_GRACE_MS
+}) {
+  const schedules = new Map();
+  const inFlight = new Set();
+  let timer = null;
+  let ticking = null;
+
+  // The price feed only needs the instruments of active price triggers
+  function setWatched(schedule, on) {
+    if (schedule.type !== "price" || !schedule.instrument_key) return;
+    (on ? watch : unwatch)([schedule.instrument_key]);
+  }
+
+  function remember(schedule) {
+    const previous = schedules.get(schedule.id);
+    if (previous?.status === "active") setWatched(previous, false);
+    schedules.set(schedule.id, schedule);
+    if (schedule.status === "active") setWatched(schedule, true);
+    return schedule;
+  }
+
+  async function save(id, fields) {
+    return remember(await store.update(id, { ...fields, updated_at: new Date().toISOString() }));
+  }
+
+  // input (merged over the stored schedule on update) -> stored fields
+  async function validate(input) {
+    if (!TYPES.includes(input.type)) throw new Error(`type must be one of ${TYPES.join(", ")}`);
+    const fields = {
+      name: input.name ? String(input.name) : null,
+      type: input.type,
+      expires_at: input.expires_at ? isoOrThrow(input.expires_at, "expires_at") : null,
+      at: null,
+      time: null,
+      days: null,
+      payload: null,
+      instrument_key: null,
+      condition: null,
+      trigger_price: null,
+      segments: null,
+      accounts: null
+    };
+
+    if (input.type === "square_off") {
+      return {
+        ...fields,
+        ...recurrence(input),
+        segments: stringList(input.segments, "segments"),
+        accounts: stringList(input.accounts, "accounts")
+      };
+    }
+
+    if (!input.payload || typeof input.payload !== "object") throw new Error("payload (the alert to send) is required");
+    const { token, ...payload } = input.payload; // webhook secrets are not needed, nor stored
+    await validatePayload(payload);
+    fields.payload = payload;
+
+    if (input.type === "time") {
+      if (input.at && input.time) throw new Error("give either at (one-shot) or time (recurring), not both");
+      if (input.at) return { ...fields, at: isoOrThrow(input.at, "at") };
+      return { ...fields, ...recurrence(input) };
+    }
+
+    if (!CONDITIONS.includes(input.condition)) throw new Error(`condition must be ${CONDITIONS.join(" or ")}`);
+    const triggerPrice = parseFloat(input.trigger_price);
+    if (!(triggerPrice > 0)) throw new Error("trigger_price must be a positive number");
+    // Pinned at creation, so a continuous symbol (NIFTY1!) keeps watching the
+    // contract it meant when the trigger was set
+    let instrumentKey = input.instrument_key || input.payload.instrument_token;
+    if (!instrumentKey) {
+      const instrument = await findInstrument({ ...input.payload, symbol: input.symbol || input.payload.symbol });
+      if (!instrument) throw new Error(`Instrument not found: ${input.symbol || input.payload.symbol}`);
+      instrumentKey = instrument.instrument_key;
+    }
+    return { ...fields, instrument_key: instrumentKey, condition: input.condition, trigger_price: triggerPrice };
+  }
+
+  // When a schedule next runs; price triggers have no run time
+  function firstRun(fields, now = new Date()) {
+    if (fields.type === "price") return null;
+    if (fields.at) return fields.at;
+    return nextRunAt(fields.time, fields.days, now);
+  }
+
+  async function load() {
+    try {
+      const rows = await store.list();
+      for (const row of rows) remember(row);
+      if (rows.length === 0 && AUTO_SQUARE_OFF_TIME !== "off") {
+        await create({ name: "Auto square-off", type: "square_off", time: AUTO_SQUARE_OFF_TIME }, "system");
+        console.log(`🌱 Seeded intraday square-off at ${AUTO_SQUARE_OFF_TIME} IST`);
+      }
+      console.log(`⏰ Loaded ${schedules.size} schedules (${list({ status: "active" }).length} active)`);
+    } catch (err) {
+      console.error("❌ Schedules load error:", err.message);
+    }
+  }
+
+  function list({ status, type } = {}) {
+    return [...schedules.values()]
+      .filter(s => (!status || s.status === status) && (!type || s.type === type))
+      .sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0));
+  }
+
+  function find(id) {
+    return schedules.get(id) || null;
+  }
+
+  async function create(input, createdBy = null) {
+    const fields = await validate(input);
+    const now = new Date();
+    if (fields.at && fields.at <= now.toISOString()) throw new Error("at must be in the future");
+    const created = await store.insert({
+      ...fields,
+      status: "active",
+      next_run_at: firstRun(fields, now),
+      last_run_at: null,
+      last_result: null,
+      created_by: createdBy,
+      created_at: now.toISOString(),
+      updated_at: null
+    });
+    console.log(`⏰ Schedule ${created.id} created (${created.type})`);
+    return remember(created);
+  }
+
+  // Edits fields and pauses / resumes (status "paused" / "active"); resuming
+  // re-arms a finished one-shot only when it is given a new `at`
+  async function update(id, input) {
+    const existing = find(id);
+    if (!existing) return null;
+    if (input.type && input.type !== existing.type) throw new Error("type cannot be changed; create a new schedule");
+    const status = input.status || existing.status;
+    if (status !== existing.status && status !== "active" && status !== "paused") throw new Error("status can only be set to active or paused");
+
+    // A new `time` turns a one-shot into a recurring schedule and a new `at` the
+    // reverse, so the stored one of the other kind is dropped (both at once is
+    // still rejected by validate)
+    const merged = { ...existing, ...input, type: existing.type };
+    if (input.time && !input.at) merged.at = null;
+    if (input.at && !input.time) merged.time = null;
+    const fields = await validate(merged);
+    const now = new Date();
+    const rearmed = status === "active" && (existing.status !== "active" || input.at || input.time || input.days);
+    if (rearmed && fields.at && fields.at <= now.toISOString()) throw new Error("at must be in the future");
+    return save(id, {
+      ...fields,
+      status,
+      next_run_at: rearmed ? firstRun(fields, now) : existing.next_run_at
+    });
+  }
+
+  async function remove(id) {
+    const existing = find(id);
+    await store.remove(id);
+    if (existing?.status === "active") setWatched(existing, false);
+    schedules.delete(id);
+  }
+
+  // One row per close order, like the kill switch's square-off
+  function logClose(broker, scheduleId, fields, status, reason, orderId = null, extra = {}) {
+    const data = { ...fields, paper: broker.name === "paper", account_id: broker.accountId || null, source: "scheduler", schedule_id: scheduleId };
+    return log(data, status, reason, orderId, { leg: "close", order_side: fields.action, ...extra });
+  }
+
+  async function squareOff(schedule) {
+    const result = { closed: [], errors: [] };
+    const brokers = getBrokers().filter(b => !schedule.accounts || schedule.accounts.includes(b.accountId || "paper"));
+    for (const broker of brokers) {
+      const label = broker.accountId ? `${broker.name}:${broker.accountId}` : broker.name;
+      let positions;
+      try {
+        positions = await broker.getPositions();
+      } catch (err) {
+        result.errors.push(`${label} positions: ${errorMessage(err)}`);
+        await logClose(broker, schedule.id, { action: "SQUARE_OFF", symbol: "ALL" }, "failed", `positions unavailable: ${errorMessage(err)}`);
+        continue;
+      }
+
+      for (const p of positions.filter(pos => pos.product === "I" && parseInt(pos.quantity) !== 0)) {
+        const instrument = await findInstrument({ instrument_token: p.instrument_token });
+        const segment = instrument?.segment || String(p.instrument_token).split("|")[0];
+        if (schedule.segments && !schedule.segments.includes(segment)) continue;
+
+        const qty = parseInt(p.quantity);
+        const side = qty > 0 ? "SELL" : "BUY";
+        const fields = { action: side, symbol: p.trading_symbol, instrument_token: p.instrument_token, quantity: Math.abs(qty), product: p.product };
+        const { orderIds, slices, error } = await placeSliced(broker, {
+          quantity: Math.abs(qty),
+          product: p.product,
+          validity: "DAY",
+          price: 0,
+          tag: "auto-square-off",
+          instrument_token: p.instrument_token,
+          order_type: "MARKET",
+          transaction_type: side,
+          disclosed_quantity: 0,
+          trigger_price: 0,
+          is_amo: false,
+          trading_symbol: p.trading_symbol
+        }, { freezeQuantity: instrument?.freeze_quantity, lotSize: instrument?.lot_size });
+
+        if (error) result.errors.push(`${label} ${p.trading_symbol}: ${errorMessage(error)}`);
+        if (orderIds.length === 0) {
+          await logClose(broker, schedule.id, fields, "failed", `square-off failed: ${errorMessage(error)}`);
+          continue;
+        }
+        result.closed.push({ account: label, trading_symbol: p.trading_symbol, side, quantity: Math.abs(qty), order_ids: orderIds });
+        const logId = await logClose(broker, schedule.id, fields, "success", error ? `square-off partly placed: ${errorMessage(error)}` : "intraday square-off", orderIds[0], {
+          instrument_key: p.instrument_token,
+          trading_symbol: p.trading_symbol,
+          segment,
+          order_quantity: Math.abs(qty),
+          ...(slices.length > 1 ? { child_order_ids: orderIds } : {})
+        });
+        follow(broker, orderIds, logId, side, parseFloat(p.last_price) || 0);
+      }
+    }
+    console.log(`⏰ Square-off ${schedule.id}: ${result.closed.length} positions closed, ${result.errors.length} errors`);
+    return result;
+  }
+
+  // Claims the run (one-shot -> triggered, recurring -> next occurrence),
+  // then fires; `manual` runs leave a recurring schedule's timing alone
+  async function run(schedule, { ltp = null, manual = false } = {}) {
+    if (inFlight.has(schedule.id)) return { already_running: true };
+    inFlight.add(schedule.id);
+    try {
+      const now = new Date();
+      const recurring = Boolean(schedule.time);
+      const claim = { last_run_at: now.toISOString() };
+      if (!recurring && schedule.status === "active") Object.assign(claim, { status: "triggered", next_run_at: null });
+      if (recurring && !manual) claim.next_run_at = nextRunAt(schedule.time, schedule.days, now);
+
+      if (!manual && schedule.next_run_at && now - Date.parse(schedule.next_run_at) > graceMs) {
+        const lastResult = { at: claim.last_run_at, status: "missed", error: `was due at ${schedule.next_run_at}` };
+        console.log(`⏭️ Schedule ${schedule.id} missed its ${schedule.next_run_at} run`);
+        const { last_run_at, ...skip } = claim;
+        return save(schedule.id, { ...skip, ...(recurring ? {} : { status: "expired" }), last_result: lastResult });
+      }
+      await save(schedule.id, claim);
+
+      console.log(`⏰ Running schedule ${schedule.id} (${schedule.type}${ltp !== null ? ` @ ${ltp}` : ""})`);
+      try {
+        const outcome = schedule.type === "square_off" ? await squareOff(schedule) : await fire(schedule, { ltp });
+        return await save(schedule.id, { last_result: { at: claim.last_run_at, status: "ok", ...(ltp !== null ? { ltp } : {}), ...outcome } });
+      } catch (err) {
+        console.error(`❌ Schedule ${schedule.id} failed:`, errorMessage(err));
+        const failed = { last_result: { at: claim.last_run_at, status: "failed", error: errorMessage(err) } };
+        return await save(schedule.id, recurring || manual ? failed : { ...failed, status: "failed" });
+      }
+    } finally {
+      inFlight.delete(schedule.id);
+    }
+  }
+
+  function runNow(id) {
+    const schedule = find(id);
+    return schedule ? run(schedule, { manual: true }) : null;
+  }
+
+  function crossed(schedule, ltp) {
+    if (!(ltp > 0)) return false;
+    return schedule.condition === "above" ? ltp >= schedule.trigger_price : ltp <= schedule.trigger_price;
+  }
+
+  async function check() {
+    const now = new Date().toISOString();
+    const due = [];
+    const triggers = [];
+    for (const schedule of list({ status: "active" })) {
+      if (schedule.expires_at && schedule.expires_at <= now) {
+        await save(schedule.id, { status: "expired", next_run_at: null });
+        console.log(`⌛ Schedule ${schedule.id} expired`);
+      } else if (schedule.type === "price") {
+        triggers.push(schedule);
+      } else if (schedule.next_run_at && schedule.next_run_at <= now) {
+        due.push({ schedule });
+      }
+    }
+
+    if (triggers.length) {
+      const prices = await getLtp([...new Set(triggers.map(s => s.instrument_key))]);
+      for (const schedule of triggers) {
+        const ltp = parseFloat(prices[schedule.instrument_key]);
+        if (crossed(schedule, ltp)) due.push({ schedule, ltp });
+      }
+    }
+
+    for (const { schedule, ltp } of due) await run(schedule, { ltp: ltp ?? null });
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = check()
+      .catch(err => console.error("❌ Scheduler tick failed:", err.message))
+      .finally(() => {
+        ticking = null;
+      });
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, intervalMs);
+  }
+
+  // Stops checking and waits for a run already under way
+  async function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (ticking) await ticking;
+  }
+
+  return { load, start, stop, list, find, create, update, remove, runNow };
+}
+
+module.exports = { createScheduler, nextRunAt, TYPES };
@@ -1,74 +1,116 @@
 require("dotenv").config();
+const http = require("http");
 const express = require("express");
 const cors = require("cors");
-const axios = require("axios");
 const cron = require("node-cron");
-const { createClient } = require("@supabase/supabase-js");
+const { Server: SocketServer } = require("socket.io");
+const { createStorage } = require("./storage");
+const { createBroker } = require("./brokers");
+const { createOrderTracker, isTerminalStatus, ORDER_TRACK_MAX_AGE_MS } = require("./orderTracker");
+const { createBracketManager, parseBracket } = require("./bracketOrders");
+const { createMarketFeed, attachFeedGateway } = require("./marketFeed");
+const { createRiskEngine, istDayStart, RULE_TYPES } = require("./riskEngine");
+const { createKillSwitch } = require("./killSwitch");
+const { parseSizing, computeQuantity } = require("./positionSizing");
+const { placeSliced } = require("./orderSlicer");
+const { parseIntent, planOrders, needsSizing, hasTargetPosition } = require("./signalActions");
+const { createBasketManager, parseLegs, placementOrder } = require("./basketOrders");
+const { createSymbolResolver } = require("./symbolResolver");
+const { createAuth } = require("./auth");
+const { createWebhookGuard, LEGACY_STRATEGY } = require("./webhookGuard");
+const { createAccountManager, LEGACY_ACCOUNT } = require("./accounts");
+const { createSignalQueue, isRetryableError } = require("./signalQueue");
+const { createLifecycle } = require("./lifecycle");
+const { createTradeJournal } = require("./tradeJournal");
+const { createOptionChain } = require("./optionChain");
+const { createScheduler } = require("./scheduler");
+const { createPositionBook } = require("./positionBook");
+const { createNotifier, EVENTS: NOTIFICATION_EVENTS } = require("./notifications");
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for webhook HMAC signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address (IP allowlist)
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", trust === "true" ? true : /^\d+$/.test(trust) ? parseInt(trust) : trust);
+}
+const server = http.createServer(app);
+const io = new SocketServer(server, { cors: { origin: "*" } });
 
 const PORT = process.env.PORT || 5000;
 
+// Shutdown steps are registered at the bottom, once everything exists
+const lifecycle = createLifecycle();
+
 // ===============================
-// Supabase Configuration
+// Storage (Supabase, or in-memory when STORAGE=memory / no SUPABASE_URL)
 // ===============================
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const storage = createStorage();
+console.log(`🗄️ Storage backend: ${storage.name}`);
 
 // ===============================
-// Upstox Token Storage
+// Dashboard Auth (every /api and /service route, and socket.io)
 // ===============================
-let upstoxAccessToken = null;
-let upstoxRefreshToken = null;
-let tokenExpiryTime = null;
+const auth = createAuth({ store: storage.users });
+// Any user may change their own PIN, viewers included
+app.use(["/api", "/service"], auth.protect({ publicPaths: ["/api/verify-pin"], minRoles: { "/api/change-pin": "viewer" } }));
+io.use(auth.protectSocket());
 
-// Save tokens to Supabase
-async function saveTokensToDB(accessToken, refreshToken) {
-  try {
-    await supabase.from("auth_tokens").delete().neq("access_token", "dummy");
-    await supabase.from("auth_tokens").insert([
-      { access_token: accessToken, refresh_token: refreshToken, updated_at: new Date().toISOString() }
-    ]);
-    console.log("✅ Tokens saved to Supabase");
-  } catch (err) {
-    console.error("❌ Error saving tokens:", err.message);
-  }
-}
+// Live signals are refused while a user can log in with the well-known PIN,
+// and while that is unknown
+const DEFAULT_PIN_REASON = "a dashboard user still has the default PIN (or the users could not be checked)";
 
-// Load tokens from Supabase
-async function loadTokensFromDB() {
-  try {
-    const { data } = await supabase
-      .from("auth_tokens")
-      .select("*")
-      .order("updated_at", { ascending: false })
-      .limit(1);
+const webhookGuard = createWebhookGuard({ strategies: storage.strategies, idempotency: storage.idempotency });
 
-    if (data && data.length > 0) {
-      upstoxAccessToken = data[0].access_token;
-      upstoxRefreshToken = data[0].refresh_token;
-      tokenExpiryTime = Date.now() + 23 * 60 * 60 * 1000;
-      console.log("✅ Tokens loaded from Supabase");
-      return true;
-    }
-    console.log("⚠️ No tokens found");
-    return false;
-  } catch (err) {
-    console.error("❌ Error loading tokens:", err.message);
-    return false;
-  }
-}
+// ===============================
+// Notifications
+// ===============================
+// Order outcomes and system alerts out to webhook / Slack / Telegram / email
+// channels (notifications.js, managed via /api/notifications)
+const notifier = createNotifier({ store: storage.notificationChannels, track: lifecycle.track });
+
+// ===============================
+// Broker Accounts
+// ===============================
+// Each live account keeps its own tokens, refresh cycle and adapter (BROKER,
+// default: upstox); paper signals always go to the simulated broker. The
+// first single-account token found in storage becomes the "default" account.
+const accountManager = createAccountManager({
+  store: storage.accounts,
+  legacyTokens: storage.tokens,
+  onPrimaryToken: () => marketFeed.reconnect(),
+  onTokenError: (account, reason) => notifier.notify("auth.failed", { account: account.id, reason: `token refresh failed: ${reason}` })
+});
+
+// ===============================
+// Market Data Gateway
+// ===============================
+// socket.io clients subscribe by instrument_key; the feed always dials out
+// with the primary account's current token.
+const marketFeed = createMarketFeed({ getAccessToken: () => accountManager.primary()?.access_token || null });
+attachFeedGateway(io, marketFeed);
 
 // ===============================
 // Risk Management
 // ===============================
-const MAX_CAPITAL_PER_TRADE = parseFloat(process.env.MAX_CAPITAL_PER_TRADE || 10000);
-const MAX_TOTAL_POSITIONS = parseInt(process.env.MAX_TOTAL_POSITIONS || 5);
-const MAX_QUANTITY_PER_TRADE = parseInt(process.env.MAX_QUANTITY_PER_TRADE || 100);
+// Limits are rules in the `risk_rules` table (seeded from MAX_CAPITAL_PER_TRADE,
+// MAX_TOTAL_POSITIONS and MAX_QUANTITY_PER_TRADE) and editable via /api/risk-rules.
+const riskEngine = createRiskEngine({ store: storage.riskRules });
+
+// Orders placed today in the same mode on the same account, narrowed to the rule's scope
+async function countOrdersToday(rule, mode, accountId) {
+  const data = await storage.orderLogs.listPlacedSince(istDayStart(), mode);
+  return data.filter(row => {
+    if (row.leg && row.leg !== "entry") return false;
+    if ((row.account_id || null) !== accountId) return false;
+    if (rule.scope === "segment") return row.segment === rule.scope_value;
+    if (rule.scope === "symbol") return row.trading_symbol === rule.scope_value || row.instrument_key === rule.scope_value;
+    return true;
+  }).length;
+}
+
 const DUPLICATE_SIGNAL_WINDOW = 60 * 1000; // 1 min
 const recentSignals = new Map();
 
@@ -84,59 +126,102 @@ function isDuplicateSignal(symbol, action) {
   return false;
 }
 
-// ===============================
-// Ensure Access Token
-// ===============================
-async function ensureValidAccessToken() {
-  if (!upstoxAccessToken) return false;
-  if (Date.now() >= tokenExpiryTime - 60000) {
-    console.log("🔄 Refreshing token...");
-    try {
-      const res = await axios.post(
-        "https://api.upstox.com/v2/login/authorization/token",
-        new URLSearchParams({
-          grant_type: "refresh_token",
-          refresh_token: upstoxRefreshToken,
-          client_id: process.env.UPSTOX_CLIENT_ID,
-          client_secret: process.env.UPSTOX_CLIENT_SECRET
-        }),
-        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-      );
-      upstoxAccessToken = res.data.access_token;
-      upstoxRefreshToken = res.data.refresh_token;
-      tokenExpiryTime = Date.now() + 23 * 60 * 60 * 1000;
-      await saveTokensToDB(upstoxAccessToken, upstoxRefreshToken);
-      console.log("✅ Token refreshed");
-      return true;
-    } catch (err) {
-      console.error("❌ Token refresh failed:", err.response?.data || err.message);
-      return false;
-    }
+// For an alert that was claimed but never queued: lets its redelivery through
+async function releaseSignal(claim, symbol, action) {
+  if (!claim) {
+    recentSignals.delete(`${symbol}-${action}`);
+    return;
+  }
+  try {
+    await webhookGuard.releaseSignal(claim);
+  } catch (err) {
+    console.error("❌ Idempotency release failed:", err.message);
   }
-  return true;
 }
 
 // ===============================
-// Normalize symbol for DB lookup
+// Paper Trading
 // ===============================
-function normalizeSymbol(tvSymbol) {
-  return tvSymbol.trim().replace(/\s+/g, " ");
+// PAPER_TRADING=true routes every signal to the simulated broker; a single
+// alert can opt in with "paper": true. A payload can never force live mode.
+const PAPER_TRADING = process.env.PAPER_TRADING === "true";
+const paperBroker = createBroker("paper");
+
+function isPaperSignal(data) {
+  return PAPER_TRADING || data?.paper === true || data?.paper === "true";
+}
+
+// What orders a signal's queue jobs and the duplicate window: its instrument,
+// or the underlying for a multi-leg basket
+function signalKey(data) {
+  if (data.legs !== undefined) return `basket:${data.underlying || data.symbol || "legs"}`;
+  return data.instrument_token || data.symbol;
 }
 
 // ===============================
 // Get Instrument from DB
 // ===============================
-async function getInstrument(tvSymbol) {
-  const normalized = normalizeSymbol(tvSymbol);
+// Feed cache first, then the broker's LTP (the primary account when one is
+// logged in, else paper)
+async function getLtp(instrumentKeys) {
+  const prices = {};
+  const missing = [];
+  for (const key of instrumentKeys) {
+    const tick = marketFeed.getLastTick(key);
+    if (tick?.ltp) prices[key] = tick.ltp;
+    else missing.push(key);
+  }
+  if (missing.length === 0) return prices;
+
+  const primary = accountManager.primary();
+  const broker = !PAPER_TRADING && primary ? accountManager.brokerFor(primary) : paperBroker;
   try {
-    const { data } = await supabase
-      .from("instruments_upstoxmaster")
-      .select("instrument_key, lot_size, segment, instrument_type")
-      .eq("trading_symbol", normalized)
-      .single();
+    Object.assign(prices, await broker.getLtp(missing));
+  } catch (err) {
+    console.error("❌ LTP fetch error:", err.response?.data?.errors?.[0]?.message || err.message);
+  }
+  return prices;
+}
+
+// The alert's price, else the LTP (the last close outside market hours), for
+// sizing and capital checks on MARKET alerts that carry no price; null if neither
+async function referencePrice(data, instrumentKey) {
+  const price = parseFloat(data.price);
+  if (price > 0) return price;
+  const prices = await getLtp([instrumentKey]);
+  return parseFloat(prices[instrumentKey]) || null;
+}
+
+// LTP and open interest, same sources as getLtp; the broker call is batched
+// to its 500-key limit
+async function getQuotes(instrumentKeys) {
+  const quotes = {};
+  const missing = [];
+  for (const key of instrumentKeys) {
+    const tick = marketFeed.getLastTick(key);
+    if (tick?.ltp) quotes[key] = { last_price: tick.ltp, oi: tick.oi ?? null, volume: tick.volume ?? null };
+    else missing.push(key);
+  }
+
+  const primary = accountManager.primary();
+  const broker = !PAPER_TRADING && primary ? accountManager.brokerFor(primary) : paperBroker;
+  for (let i = 0; i < missing.length; i += 500) {
+    try {
+      Object.assign(quotes, await broker.getQuotes(missing.slice(i, i + 500)));
+    } catch (err) {
+      console.error("❌ Quote fetch error:", err.response?.data?.errors?.[0]?.message || err.message);
+    }
+  }
+  return quotes;
+}
 
-    if (!data) return null;
-    return data;
+const symbolResolver = createSymbolResolver({ instruments: storage.instruments, getLtp });
+const optionChain = createOptionChain({ resolver: symbolResolver, getQuotes });
+
+async function getInstrument(data) {
+  try {
+    if (data.instrument_token) return await symbolResolver.byInstrumentKey(data.instrument_token);
+    return await symbolResolver.resolve(data.symbol, { expiry: data.expiry, underlyingPrice: data.underlying_price });
   } catch (err) {
     console.error("❌ Instrument fetch error:", err.message);
     return null;
@@ -146,24 +231,24 @@ async function getInstrument(tvSymbol) {
 // ===============================
 // Get Positions & Funds
 // ===============================
-async function getPositions() {
+// Throws rather than answering [] when the broker cannot be asked: a failed
+// call must never read as "flat" and let a duplicate entry through. Keeps the
+// status/code so the signal queue still retries transient failures.
+async function getPositions(broker) {
   try {
-    const res = await axios.get("https://api.upstox.com/v2/portfolio/short-term-positions", {
-      headers: { Authorization: `Bearer ${upstoxAccessToken}` }
-    });
-    return res.data.data || [];
+    return (await broker.getPositions()) || [];
   } catch (err) {
     console.error("❌ Positions fetch error:", err.response?.data || err.message);
-    return [];
+    const failure = new Error(`positions unavailable: ${err.response?.data?.errors?.[0]?.message || err.message}`);
+    failure.code = err.code;
+    failure.response = err.response ? { status: err.response.status } : undefined;
+    throw failure;
   }
 }
 
-async function getFunds() {
+async function getFunds(broker) {
   try {
-    const res = await axios.get("https://api.upstox.com/v2/user/get-funds-and-margin", {
-      headers: { Authorization: `Bearer ${upstoxAccessToken}` }
-    });
-    return res.data.data || null;
+    return (await broker.getFunds()) || null;
   } catch (err) {
     console.error("❌ Funds fetch error:", err.response?.data || err.message);
     return null;
@@ -173,9 +258,32 @@ async function getFunds() {
 // ===============================
 // Log Webhook
 // ===============================
-async function logWebhookOrder(data, status, reason = null, orderId = null) {
+// Failures, and skips a rule made (risk rules, strategy limits, sizing, the
+// kill switch), are worth a notification; routine skips (duplicates,
+// already in position) are not
+function notifyLogged(data, status, reason, extra) {
+  if (status !== "failed" && !(status === "skipped" && extra.rule_id)) return;
+  const mode = isPaperSignal(data) ? "paper" : "live";
+  const fields = {
+    action: data.action,
+    symbol: extra.trading_symbol || data.symbol || data.instrument_token,
+    quantity: data.quantity,
+    account: data.account_id || mode,
+    mode,
+    strategy: data.strategy || null,
+    reason
+  };
+  if (status === "failed") notifier.notify("order.failed", fields);
+  else notifier.notify("risk.skipped", { ...fields, rule: extra.rule_type || extra.rule_id });
+}
+
+// Returns the new row id (or null) so the order tracker can update it later
+async function logWebhookOrder(data, status, reason = null, orderId = null, extra = {}) {
+  notifyLogged(data, status, reason, extra);
   try {
-    await supabase.from("tradingview_logs").insert([{
+    // account_id / signal_id / schedule_id get their own columns; never persist webhook secrets
+    const { token, account_id, signal_id, schedule_id, ...payload } = data;
+    return await lifecycle.track(storage.orderLogs.insert({
       symbol: data.symbol || data.instrument_token || "UNKNOWN",
       action: data.action,
       quantity: data.quantity,
@@ -184,14 +292,229 @@ async function logWebhookOrder(data, status, reason = null, orderId = null) {
       status,
       reason,
       order_id: orderId,
-      payload: data,
+      mode: isPaperSignal(data) ? "paper" : "live",
+      strategy: data.strategy || null,
+      account_id: account_id || null,
+      signal_id: signal_id || null,
+      schedule_id: schedule_id || null,
+      payload,
+      ...extra,
       created_at: new Date().toISOString()
-    }]);
+    }));
   } catch (err) {
     console.error("❌ Log error:", err.message);
+    return null;
+  }
+}
+
+// ===============================
+// Order Tracking & Bracket Exits
+// ===============================
+const orderTracker = createOrderTracker();
+
+// Maps broker terminal states onto the log's status column
+const TERMINAL_LOG_STATUS = { complete: "filled", rejected: "rejected", cancelled: "cancelled", partially_filled: "partial" };
+
+// Slippage per unit against the reference (alert) price; positive is adverse
+function computeSlippage(side, referencePrice, fillPrice) {
+  if (!(referencePrice > 0) || !(fillPrice > 0)) return { slippage: null, slippage_pct: null };
+  const slippage = (fillPrice - referencePrice) * (side === "BUY" ? 1 : -1);
+  return {
+    slippage: Number(slippage.toFixed(4)),
+    slippage_pct: Number((slippage / referencePrice * 100).toFixed(4))
+  };
+}
+
+async function updateOrderLog(logId, side, referencePrice, order) {
+  const fillPrice = parseFloat(order.average_price) || null;
+  const update = {
+    order_status: order.status,
+    filled_quantity: parseInt(order.filled_quantity) || 0,
+    fill_price: fillPrice,
+    rejection_reason: order.status === "rejected" ? order.status_message || null : null,
+    ...computeSlippage(side, referencePrice, fillPrice),
+    updated_at: new Date().toISOString()
+  };
+  if (TERMINAL_LOG_STATUS[order.status]) update.status = TERMINAL_LOG_STATUS[order.status];
+
+  try {
+    await lifecycle.track(storage.orderLogs.update(logId, update));
+  } catch (err) {
+    console.error("❌ Order log update error:", err.message);
+  }
+}
+
+// Rolls sliced child orders up into one logical order: summed fills, a
+// volume-weighted average price and a combined status
+function aggregateOrders(orders) {
+  if (orders.length === 1) return orders[0];
+  const filled = orders.reduce((sum, o) => sum + (parseInt(o.filled_quantity) || 0), 0);
+  const notional = orders.reduce((sum, o) => sum + (parseInt(o.filled_quantity) || 0) * (parseFloat(o.average_price) || 0), 0);
+
+  let status = "open";
+  if (orders.every(o => isTerminalStatus(o.status))) {
+    if (orders.every(o => o.status === "complete")) status = "complete";
+    else if (filled > 0) status = "partially_filled";
+    else status = orders.some(o => o.status === "rejected") ? "rejected" : "cancelled";
+  }
+  const rejected = orders.find(o => o.status === "rejected");
+  return {
+    status,
+    filled_quantity: filled,
+    average_price: filled > 0 ? notional / filled : 0,
+    status_message: rejected?.status_message || null
+  };
+}
+
+// Follows an order (or the sliced children of one logical order) until every
+// child is filled, rejected or cancelled, mirroring each change onto the
+// shared tradingview_logs row. `alreadyFilled` is what the row had recorded
+// (and the position book taken in) before a restart.
+function followOrder(broker, orderIds, logId, side, referencePrice, alreadyFilled = 0) {
+  if (!logId) return;
+  const ids = [].concat(orderIds);
+  const ref = parseFloat(referencePrice) || 0;
+  const latest = new Map(ids.map(id => [id, { status: "open", filled_quantity: 0, average_price: 0 }]));
+  let booked = alreadyFilled;
+  let settled = false;
+
+  for (const orderId of ids) {
+    orderTracker.track(broker, orderId, {
+      onUpdate: async order => {
+        latest.set(orderId, order);
+        const combined = aggregateOrders([...latest.values()]);
+        // New fills since the last update go into the position book
+        const filled = (parseInt(combined.filled_quantity) || 0) - booked;
+        if (filled > 0) {
+          booked += filled;
+          await positionBook.applyFill(broker, {
+            instrumentKey: order.instrument_token,
+            tradingSymbol: order.trading_symbol,
+            product: order.product,
+            side,
+            quantity: filled,
+            price: parseFloat(order.average_price) || ref
+          });
+        }
+        if (!settled && isTerminalStatus(combined.status)) {
+          settled = true;
+          notifyOrderOutcome(broker, order, side, combined);
+        }
+        return updateOrderLog(logId, side, ref, combined);
+      },
+      onTerminal: order => {
+        const fill = order.status === "complete" ? ` @ ${order.average_price}` : "";
+        console.log(`📦 Order ${orderId} ${order.status}${fill}`);
+      }
+    });
+  }
+}
+
+// Start: follows again every logged order a shutdown, crash or restart left
+// without a final status, so its log row and the position book still settle.
+// Paper orders are gone with the simulator's state, and an order on a
+// removed account cannot be polled; both are left as they are.
+async function resumeOrderTracking() {
+  let unsettled;
+  try {
+    unsettled = await storage.orderLogs.listUnsettled(new Date(Date.now() - ORDER_TRACK_MAX_AGE_MS).toISOString());
+  } catch (err) {
+    console.error("❌ Unsettled orders load error:", err.message);
+    return;
+  }
+
+  let resumed = 0;
+  for (const row of unsettled) {
+    const account = row.mode === "live" ? accountManager.find(row.account_id) : null;
+    const side = [row.order_side, row.action].find(s => s === "BUY" || s === "SELL");
+    if (!account || !side) continue;
+    const ids = row.child_order_ids?.length ? row.child_order_ids : [row.order_id];
+    followOrder(accountManager.brokerFor(account), ids, row.id, side, row.price, parseInt(row.filled_quantity) || 0);
+    resumed++;
+  }
+  if (unsettled.length > 0) console.log(`📦 Resumed tracking ${resumed} of ${unsettled.length} unsettled orders`);
+}
+
+// Fills (whole or partial) and rejections; cancellations are routine (OCO legs)
+function notifyOrderOutcome(broker, order, side, combined) {
+  const fields = {
+    side,
+    symbol: order.trading_symbol || order.instrument_token,
+    account: broker.accountId || broker.name,
+    mode: broker.name === "paper" ? "paper" : "live"
+  };
+  if (combined.filled_quantity > 0) {
+    notifier.notify("order.filled", { ...fields, quantity: combined.filled_quantity, price: Number((parseFloat(combined.average_price) || 0).toFixed(2)), status: combined.status });
+  } else if (combined.status === "rejected") {
+    notifier.notify("order.rejected", { ...fields, quantity: order.quantity, reason: combined.status_message || "rejected" });
   }
 }
 
+const bracketManager = createBracketManager({
+  store: storage.bracketGroups,
+  tracker: orderTracker,
+  log: logWebhookOrder,
+  follow: followOrder,
+  getBroker: accountId => {
+    const account = accountManager.find(accountId);
+    return account ? accountManager.brokerFor(account) : null;
+  },
+  track: lifecycle.track
+});
+const basketManager = createBasketManager({ log: logWebhookOrder, follow: followOrder });
+
+// ===============================
+// Kill Switch
+// ===============================
+// The daily loss limit is the global `daily_max_loss` risk rule, falling
+// back to DAILY_MAX_LOSS when no such rule is enabled.
+function getDailyMaxLoss() {
+  const rule = riskEngine.listRules().find(r => r.type === "daily_max_loss" && r.scope === "global" && r.enabled);
+  return Math.abs(parseFloat(rule?.params?.max_loss ?? process.env.DAILY_MAX_LOSS)) || 0;
+}
+
+// Every logged-in account plus paper: what the kill switch flattens and the
+// journal reads trade books from
+function tradingBrokers() {
+  return PAPER_TRADING ? [paperBroker] : [...accountManager.loggedInBrokers(), paperBroker];
+}
+
+const killSwitch = createKillSwitch({
+  store: storage.killSwitch,
+  getBrokers: tradingBrokers,
+  getDailyMaxLoss,
+  log: logWebhookOrder,
+  follow: followOrder,
+  onTrigger: state => notifier.notify("kill_switch.triggered", { reason: state.reason, source: state.source }),
+  onReset: (state, source) => notifier.notify("kill_switch.reset", { source })
+});
+
+// ===============================
+// Trade Journal
+// ===============================
+const tradeJournal = createTradeJournal({
+  orderLogs: storage.orderLogs,
+  getBrokers: tradingBrokers,
+  track: lifecycle.track
+});
+
+// ===============================
+// Position Book & Reconciliation
+// ===============================
+// The server's fills versus each broker's positions and holdings
+// (positionBook.js). Confirmed drift blocks entries in that instrument
+// unless RECONCILE_BLOCK_ON_DRIFT=false.
+const RECONCILE_BLOCK_ON_DRIFT = process.env.RECONCILE_BLOCK_ON_DRIFT !== "false";
+
+const positionBook = createPositionBook({
+  store: storage.positionBook,
+  getBrokers: tradingBrokers,
+  loadOpenTrades: () => tradeJournal.trades({ status: "open" }),
+  log: logWebhookOrder,
+  onDrift: item => notifier.notify("reconciliation.drift", { ...item, symbol: item.trading_symbol || item.instrument_key }),
+  track: lifecycle.track
+});
+
 // ===============================
 // Determine Product Type
 // ===============================
@@ -201,317 +524,1301 @@ function getProductType(segment) {
 }
 
 // ===============================
-// TradingView Webhook
+// Execute a Signal on One Account
 // ===============================
-app.post("/webhook/tradingview", async (req, res) => {
+// The per-account half of a signal (run by the queue worker): token,
+// positions, the close/entry plan (signalActions.js), funds and sizing
+// (scaled by the account's quantity_multiplier), strategy and risk limits,
+// then placement, close legs first. `account` is null for paper signals.
+// Every outcome is logged with the account id so fanned-out results can be
+// told apart.
+//
+// A close first cancels (full close) or shrinks (partial close) the bracket
+// exits resting on the position, and a close followed by an entry (REVERSE,
+// a target across zero) only enters once the close has filled.
+const CLOSE_FILL_TIMEOUT_MS = parseInt(process.env.CLOSE_FILL_TIMEOUT_MS || 15000);
+
+// The close's combined final state, or null if it is still open after the timeout
+async function waitForClose(broker, orderIds) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), CLOSE_FILL_TIMEOUT_MS); });
   try {
-    const data = req.body;
-    if (!data.token || data.token !== process.env.WEBHOOK_SECRET)
-      return res.status(401).json({ error: "Unauthorized" });
+    const finals = await Promise.race([Promise.all(orderIds.map(id => orderTracker.waitForTerminal(broker, id))), timeout]);
+    return finals && aggregateOrders(finals);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    // Allow either symbol or instrument_token
-    if ((!data.symbol && !data.instrument_token) || !data.action || !data.product || !data.quantity)
-      return res.status(400).json({ error: "Invalid payload" });
+async function executeSignal(signal, account, broker) {
+  const { strategy, intent, bracket, sizing, instrument, instrumentKey, lotSize, segment, tradingSymbol } = signal;
+  const data = { ...signal.data, account_id: account?.id || null };
+  const label = account ? `[${account.id}] ` : "";
+  let placed = false;
 
-    const lookupValue = data.instrument_token || data.symbol;
-    if (isDuplicateSignal(lookupValue, data.action)) {
-      await logWebhookOrder(data, "skipped", "duplicate signal");
-      return res.json({ status: "skipped", reason: "duplicate signal" });
+  try {
+    if (account && !(await accountManager.ensureToken(account))) {
+      console.error(`❌ ${label}Access token invalid`);
+      await logWebhookOrder(data, "failed", "invalid access token");
+      return;
     }
 
-    res.json({ status: "received" }); // immediate response
-    console.log("📥 Received signal for:", lookupValue);
+    const productType = getProductType(segment);
+    const positions = await getPositions(broker);
+    const existing = positions.find(p => p.instrument_token === instrumentKey) ||
+      positions.find(p => tradingSymbol && p.trading_symbol === tradingSymbol);
+    const netQuantity = parseInt(existing?.quantity) || 0;
 
-    if (!(await ensureValidAccessToken())) {
-      console.error("❌ Access token invalid");
-      await logWebhookOrder(data, "failed", "invalid access token");
+    // Whole lots only, so a fractional multiplier rounds down
+    const multiplier = parseFloat(account?.quantity_multiplier) || 1;
+    const scaleLots = lots => Math.sign(lots) * Math.floor(Math.abs(lots) * multiplier);
+
+    // What to send: close legs and/or one entry leg (sized below when the alert sizes it)
+    const plan = planOrders(intent, {
+      netQuantity,
+      entryQuantity: null,
+      targetQuantity: intent.type === "target" ? scaleLots(intent.lots) * lotSize : null,
+      lotSize
+    });
+    if (plan.skip) {
+      console.log(`⏭️ ${label}Skipping: ${plan.skip}`);
+      await logWebhookOrder(data, "skipped", plan.skip);
       return;
     }
 
-    // Lookup instrument details (lot_size, segment, etc.)
-    let instrument = null;
-    if (data.instrument_token) {
-      const { data: instData, error: instError } = await supabase
-        .from("instruments_upstoxmaster")
-        .select("instrument_key, lot_size, segment, instrument_type, trading_symbol")
-        .eq("instrument_key", data.instrument_token)
-        .maybeSingle(); // Use maybeSingle to avoid coercion error if not found
-      
-      if (instError) console.error("❌ Supabase lookup error:", instError.message);
-      instrument = instData;
-    } else {
-      instrument = await getInstrument(data.symbol);
-    }
+    let orders = plan.orders;
+    const entry = orders.find(o => o.leg === "entry");
+    let size = null;
+    if (entry) {
+      const funds = await getFunds(broker);
+      if (!funds) {
+        console.log(`❌ ${label}Funds unavailable`);
+        await logWebhookOrder(data, "failed", "funds unavailable");
+        return;
+      }
+      const price = await referencePrice(data, instrumentKey);
 
-    if (!instrument && !data.instrument_token) {
-      console.error("❌ Instrument not found for:", lookupValue);
-      await logWebhookOrder(data, "failed", "instrument not found");
-      return;
+      // Position sizing
+      if (entry.quantity === null) {
+        try {
+          size = computeQuantity({ spec: sizing, data: { ...data, price, action: entry.side }, instrument: { ...instrument, lot_size: lotSize }, funds, stopLoss: bracket?.stopLoss });
+        } catch (err) {
+          console.log(`⏭️ ${label}Sizing failed:`, err.message);
+          await logWebhookOrder(data, "skipped", err.message, null, { rule_id: "sizing" });
+          return;
+        }
+        const lots = multiplier === 1 ? size.lots : scaleLots(size.lots);
+        if (lots < 1) {
+          console.log(`⏭️ ${label}Multiplier ${multiplier} leaves less than one lot`);
+          await logWebhookOrder(data, "skipped", `quantity multiplier ${multiplier} leaves less than one lot`, null, { rule_id: "account" });
+          return;
+        }
+        entry.quantity = multiplier === 1 ? size.quantity : lots * lotSize;
+        console.log(`📐 ${label}Sizing (${size.mode}): ${lots} lots = ${entry.quantity}${size.capped ? " (capped)" : ""}${multiplier !== 1 ? ` (x${multiplier})` : ""}`);
+      }
+
+      // Strategy limits and risk rules gate the entry only; closing always goes through
+      const rejection = await checkEntry({ data, strategy, entry, price, funds, positions, existing, account, instrumentKey, segment, tradingSymbol });
+      if (rejection) {
+        console.log(`⏭️ ${label}${rejection.message}`);
+        await logWebhookOrder(data, "skipped", rejection.reason, null, rejection.extra);
+        orders = orders.filter(o => o !== entry);
+        if (orders.length === 0) return;
+      }
     }
 
-    // Use provided token or lookup token
-    const finalInstrumentToken = data.instrument_token || instrument.instrument_key;
-    const finalLotSize = instrument?.lot_size || 1;
-    const finalSegment = instrument?.segment || "NSE_EQ";
-    const finalTradingSymbol = instrument?.trading_symbol || (data.symbol?.split(":")[1] || data.symbol);
+    for (const order of orders) {
+      const isEntry = order.leg === "entry";
+      if (!isEntry) {
+        const keeps = Math.abs(netQuantity) - order.quantity;
+        if (keeps > 0) await bracketManager.resizeFor(instrumentKey, account?.id || null, keeps);
+        else await bracketManager.cancelFor(instrumentKey, account?.id || null);
+      }
+      const orderBody = {
+        quantity: order.quantity,
+        product: isEntry ? productType : existing?.product || productType,
+        validity: "DAY",
+        price: data.price || 0,
+        tag: `${jobTag(data)}-${isEntry ? "e" : "x"}`,
+        instrument_token: instrumentKey,
+        order_type: data.order_type || "MARKET",
+        transaction_type: order.side,
+        disclosed_quantity: 0,
+        trigger_price: data.trigger_price || 0,
+        is_amo: data.is_amo || false
+      };
+
+      // Orders above the freeze quantity go out as whole-lot child orders
+      console.log(`📤 ${label}Placing ${broker.name} ${order.leg} ${order.side} ${order.quantity} with token:`, instrumentKey);
+      const { orderIds, slices, error: sliceError } = await placeSliced(
+        broker,
+        { ...orderBody, trading_symbol: tradingSymbol },
+        {
+          freezeQuantity: instrument?.freeze_quantity,
+          lotSize,
+          delayMs: data.slice_delay_ms !== undefined ? parseInt(data.slice_delay_ms) || 0 : undefined
+        }
+      );
+      if (orderIds.length === 0) throw sliceError;
+      placed = true;
 
-    console.log(`🔍 Instrument: ${finalTradingSymbol}, Token: ${finalInstrumentToken}, Lot Size: ${finalLotSize}`);
+      const orderId = orderIds[0];
+      console.log(`✅ ${label}${broker.name} order placed:`, orderIds.join(", "));
+      const partialReason = sliceError
+        ? `placed ${orderIds.length}/${slices.length} slices: ${sliceError.response?.data?.errors?.[0]?.message || sliceError.message}`
+        : null;
 
-    const finalQuantity = data.quantity * finalLotSize;
-    const productType = getProductType(finalSegment);
+      const withBracket = isEntry && bracket;
+      const logId = await logWebhookOrder(data, "success", partialReason, orderId, {
+        instrument_key: instrumentKey,
+        trading_symbol: tradingSymbol,
+        segment,
+        order_side: order.side,
+        order_quantity: order.quantity,
+        ...(size && isEntry ? { sizing_mode: size.mode } : {}),
+        ...(slices.length > 1 ? { child_order_ids: orderIds } : {}),
+        ...(withBracket ? { group_id: orderId, leg: "entry" } : {}),
+        ...(isEntry ? {} : { leg: "close" })
+      });
+      followOrder(broker, orderIds, logId, order.side, data.price);
 
-    const positions = await getPositions();
-    const existing = positions.find(p => p.trading_symbol === finalTradingSymbol);
+      if (!isEntry && orders.some(o => o.leg === "entry")) {
+        const closed = await waitForClose(broker, orderIds);
+        const filled = parseInt(closed?.filled_quantity) || 0;
+        if (filled < order.quantity) {
+          const reason = closed
+            ? `close ${closed.status} with ${filled}/${order.quantity} filled, entry not placed`
+            : `close not filled within ${CLOSE_FILL_TIMEOUT_MS}ms, entry not placed`;
+          console.log(`⏭️ ${label}${reason}`);
+          await logWebhookOrder(data, "skipped", reason);
+          break;
+        }
+      }
+      if (!withBracket) continue;
 
-    // Position Checks
-    if (data.action === "BUY" && existing?.quantity > 0) {
-      console.log("⏭️ Already long, skipping");
-      await logWebhookOrder(data, "skipped", "already long");
-      return;
+      // Each child gets its own OCO pair so exit legs also stay under the freeze limit
+      for (const childId of orderIds) {
+        await bracketManager.start({
+          broker,
+          data,
+          entryOrderId: childId,
+          groupId: orderId,
+          entry: { ...orderBody, trading_symbol: tradingSymbol },
+          bracket,
+          tickSize: parseFloat(instrument?.tick_size) / 100 || parseFloat(data.tick_size) || undefined // master tick_size is in paise
+        });
+      }
     }
-    if (data.action === "SELL" && existing?.quantity < 0) {
-      console.log("⏭️ Already short, skipping");
-      await logWebhookOrder(data, "skipped", "already short");
+  } catch (err) {
+    // Nothing acknowledged yet: the queue retries, and the retry checks the
+    // broker for this job's tag first in case the failed call did place it
+    if (!placed && isRetryableError(err)) throw err;
+    console.error(`❌ ${label}Order Error:`, err.response?.data || err.message);
+    await logWebhookOrder(data, "failed", err.response?.data?.errors?.[0]?.message || err.message);
+  }
+}
+
+// Strategy limits, then risk rules (global, segment and symbol rules apply per
+// account; account rules to theirs only). Returns null to allow.
+async function checkEntry({ data, strategy, entry, price = parseFloat(data.price) || null, funds, positions, existing, account, instrumentKey, segment, tradingSymbol }) {
+  const strategyLimit = webhookGuard.checkLimits(strategy, {
+    symbol: data.symbol,
+    tradingSymbol,
+    instrumentKey,
+    quantity: entry.quantity
+  });
+  if (strategyLimit) return { message: `Strategy limit: ${strategyLimit}`, reason: strategyLimit, extra: { rule_id: "strategy" } };
+
+  const mode = account ? "live" : "paper";
+  const drift = RECONCILE_BLOCK_ON_DRIFT ? positionBook.driftFor(mode, data.account_id, instrumentKey) : null;
+  if (drift) {
+    const reason = `position drift: book ${drift.book_quantity}, broker ${drift.broker_quantity}`;
+    return { message: `Reconciliation: ${reason}`, reason, extra: { rule_id: "reconciliation" } };
+  }
+  const verdict = await riskEngine.evaluate({
+    accountId: data.account_id,
+    symbol: tradingSymbol,
+    instrumentKey,
+    segment,
+    action: entry.side,
+    quantity: entry.quantity,
+    price,
+    requiredCapital: price ? price * entry.quantity : null,
+    positions,
+    existing,
+    funds,
+    now: new Date(),
+    countOrdersToday: rule => countOrdersToday(rule, mode, data.account_id)
+  });
+  if (verdict.allowed) return null;
+  return {
+    message: `Risk rule ${verdict.rule_type} (${verdict.rule_id}) rejected: ${verdict.reason}`,
+    reason: verdict.reason,
+    extra: { rule_id: verdict.rule_id, rule_type: verdict.rule_type }
+  };
+}
+
+// ===============================
+// Execute a Basket on One Account
+// ===============================
+// Resolves every leg, sizes it (basket lots x ratio x the account's
+// quantity_multiplier), runs strategy limits and risk rules per leg and the
+// broker's margin check for the whole basket, then places it through
+// basketOrders.js. Any rejection before placement skips the whole basket.
+async function executeBasket(signal, account, broker) {
+  const { strategy } = signal;
+  const data = { ...signal.data, account_id: account?.id || null };
+  const label = account ? `[${account.id}] ` : "";
+  const groupId = data.signal_id;
+  const summary = { ...data, action: "BASKET", symbol: data.underlying || data.symbol || "BASKET" };
+  let placed = false;
+
+  try {
+    if (account && !(await accountManager.ensureToken(account))) {
+      console.error(`❌ ${label}Access token invalid`);
+      await logWebhookOrder(summary, "failed", "invalid access token", null, { group_id: groupId, leg: "basket" });
       return;
     }
 
-    // Max positions
-    const active = positions.filter(p => parseInt(p.quantity) !== 0);
-    if (active.length >= MAX_TOTAL_POSITIONS && !existing) {
-      console.log("⏭️ Max positions reached:", active.length);
-      await logWebhookOrder(data, "skipped", "max positions reached");
-      return;
+    // Legs -> instruments
+    const legs = [];
+    for (const leg of parseLegs(data)) {
+      const instrument = leg.instrument_token
+        ? await symbolResolver.byInstrumentKey(leg.instrument_token)
+        : await symbolResolver.resolve(leg.symbol, { expiry: leg.expiry, underlyingPrice: data.underlying_price });
+      if (!instrument) {
+        console.error(`❌ ${label}Basket ${leg.name}: instrument not found for`, leg.instrument_token || leg.symbol);
+        await logWebhookOrder(summary, "failed", `${leg.name}: instrument not found`, null, { group_id: groupId, leg: "basket" });
+        return;
+      }
+      legs.push({ ...leg, instrument });
     }
 
-    if (finalQuantity > MAX_QUANTITY_PER_TRADE) {
-      console.log("⏭️ Quantity exceeds max:", finalQuantity);
-      await logWebhookOrder(data, "skipped", "quantity exceeds max");
+    // Sizing and prices (the alert's leg price, else LTP)
+    const multiplier = parseFloat(account?.quantity_multiplier) || 1;
+    const basketLots = parseInt(data.quantity) || 1;
+    const prices = await getLtp(legs.filter(l => !l.price).map(l => l.instrument.instrument_key));
+    const sized = legs.map(leg => {
+      const lotSize = parseInt(leg.instrument.lot_size) || 1;
+      const lots = Math.floor(basketLots * leg.ratio * multiplier);
+      return {
+        name: leg.name,
+        side: leg.side,
+        lots,
+        quantity: lots * lotSize,
+        lotSize,
+        freezeQuantity: leg.instrument.freeze_quantity,
+        instrumentKey: leg.instrument.instrument_key,
+        tradingSymbol: leg.instrument.trading_symbol,
+        segment: leg.instrument.segment,
+        product: getProductType(leg.instrument.segment),
+        price: leg.price || parseFloat(prices[leg.instrument.instrument_key]) || null
+      };
+    });
+    if (sized.some(l => l.lots < 1)) {
+      console.log(`⏭️ ${label}Multiplier ${multiplier} leaves a leg with less than one lot`);
+      await logWebhookOrder(summary, "skipped", `quantity multiplier ${multiplier} leaves a leg with less than one lot`, null, { group_id: groupId, leg: "basket", rule_id: "account" });
+      return;
+    }
+    if (!account && sized.some(l => !l.price)) {
+      await logWebhookOrder(summary, "failed", "paper baskets need a price (or LTP) for every leg", null, { group_id: groupId, leg: "basket" });
       return;
     }
 
-    const funds = await getFunds();
+    const positions = await getPositions(broker);
+    const funds = await getFunds(broker);
     if (!funds) {
-      console.log("❌ Funds unavailable");
-      await logWebhookOrder(data, "failed", "funds unavailable");
+      console.log(`❌ ${label}Funds unavailable`);
+      await logWebhookOrder(summary, "failed", "funds unavailable", null, { group_id: groupId, leg: "basket" });
       return;
     }
 
-    const price = data.price || 0;
-    const requiredCapital = price * finalQuantity;
-    if (requiredCapital > MAX_CAPITAL_PER_TRADE || (funds.equity && requiredCapital > funds.equity.available_margin)) {
-      console.log(`⏭️ Capital/Margin check failed. Req: ${requiredCapital}, Max: ${MAX_CAPITAL_PER_TRADE}, Avail: ${funds.equity?.available_margin}`);
-      await logWebhookOrder(data, "skipped", "capital/margin exceeded");
-      return;
+    // Every leg has to pass on its own
+    for (const leg of sized) {
+      const rejection = await checkEntry({
+        data: { ...data, symbol: leg.tradingSymbol, price: leg.price || 0 },
+        strategy,
+        entry: { side: leg.side, quantity: leg.quantity },
+        funds,
+        positions,
+        existing: positions.find(p => p.instrument_token === leg.instrumentKey),
+        account,
+        instrumentKey: leg.instrumentKey,
+        segment: leg.segment,
+        tradingSymbol: leg.tradingSymbol
+      });
+      if (rejection) {
+        console.log(`⏭️ ${label}Basket ${leg.name}: ${rejection.message}`);
+        await logWebhookOrder(summary, "skipped", `${leg.name}: ${rejection.reason}`, null, { group_id: groupId, leg: "basket", ...rejection.extra });
+        return;
+      }
     }
 
-    // Place Order
-    console.log("📤 Placing Upstox order with token:", finalInstrumentToken);
-    const orderRes = await axios.post(
-      "https://api.upstox.com/v2/order/place",
-      {
-        quantity: finalQuantity,
-        product: productType,
-        validity: "DAY",
-        price: data.price || 0,
-        tag: "tv-order",
-        instrument_token: finalInstrumentToken,
-        order_type: data.order_type || "MARKET",
-        transaction_type: data.action,
-        disclosed_quantity: 0,
-        trigger_price: 0,
-        is_amo: data.is_amo || false
-      },
-      { headers: { Authorization: `Bearer ${upstoxAccessToken}` } }
-    );
+    // Margin for the basket as a whole, so hedges offset the short legs
+    const margin = await broker.getBasketMargin(sized.map(l => ({
+      instrument_key: l.instrumentKey,
+      quantity: l.quantity,
+      transaction_type: l.side,
+      product: l.product,
+      price: l.price || 0
+    })));
+    const required = parseFloat(margin?.final_margin ?? margin?.required_margin) || 0;
+    const available = parseFloat(funds.equity?.available_margin) || 0;
+    if (required > available) {
+      const reason = `basket needs margin ${required.toFixed(2)}, available ${available.toFixed(2)}`;
+      console.log(`⏭️ ${label}${reason}`);
+      await logWebhookOrder(summary, "skipped", reason, null, { group_id: groupId, leg: "basket", rule_id: "margin" });
+      return;
+    }
 
-    console.log("✅ Upstox Response:", orderRes.data);
-    await logWebhookOrder(data, "success", null, orderRes.data.data.order_id);
+    if (!account) for (const leg of sized) paperBroker.markPrice(leg.instrumentKey, leg.price);
+    const result = await basketManager.execute({ broker, data, legs: placementOrder(sized), groupId, label, tag: jobTag(data) });
+    placed = result.placedAny;
+    if (!placed && result.error && isRetryableError(result.error)) throw result.error;
+    await logWebhookOrder(summary, result.status === "filled" ? "success" : "failed", result.reason && `${result.status}: ${result.reason}`, null, {
+      group_id: groupId,
+      leg: "basket",
+      order_quantity: basketLots
+    });
   } catch (err) {
-    console.error("❌ Webhook Error:", err.response?.data || err.message);
-    await logWebhookOrder(req.body, "failed", err.response?.data?.errors?.[0]?.message || err.message);
+    // Nothing acknowledged yet: retried like a single order (see executeSignal)
+    if (!placed && isRetryableError(err)) throw err;
+    console.error(`❌ ${label}Basket error:`, err.response?.data || err.message);
+    await logWebhookOrder(summary, "failed", err.response?.data?.errors?.[0]?.message || err.message, null, { group_id: groupId, leg: "basket" });
   }
-});
+}
 
 // ===============================
-// API: Search Instruments
+// Signal Queue Worker
 // ===============================
-app.get("/api/search", async (req, res) => {
-  try {
-    const { q, segment } = req.query;
-    if (!q) return res.json([]);
+// Every order a job places carries the job's tag (plus a leg suffix), kept
+// short for the broker's tag length limit
+function jobTag(data) {
+  return `tv-${String(data.signal_id || "").replace(/-/g, "").slice(0, 12)}`;
+}
 
-    let query = supabase
-      .from("instruments_upstoxmaster")
-      .select("trading_symbol, name, instrument_key, exchange, instrument_type, expiry, lot_size, segment")
-      .ilike("trading_symbol", `%${q}%`)
-      .limit(20);
+// Before a retry places anything: an earlier attempt that failed with a
+// timeout, reset, 429 or 5xx may still have reached the broker. Orders
+// already carrying the job's tag fail the job for review instead of placing
+// a second one; a failed lookup is retried like any read.
+async function ensureNotPlaced(broker, data) {
+  const tag = jobTag(data);
+  const found = (await broker.getOrderBook()).filter(o => String(o.tag || "").startsWith(tag));
+  if (found.length === 0) return;
+  console.error(`☠️ Signal ${data.signal_id}: earlier attempt reached the broker (${found.map(o => o.order_id).join(", ")})`);
+  throw new Error(`an earlier attempt placed ${found.map(o => o.order_id).join(", ")} (tag ${tag}); check the broker before replaying`);
+}
 
-    if (segment && segment !== "ALL") {
-      query = query.eq("segment", segment);
-    }
+// Each job is one signal for one target (an account, or paper when
+// account_id is null). The payload was validated on arrival; the strategy,
+// account and kill switch are looked up again since the job may run later.
+async function processSignalJob(job) {
+  const data = { ...job.payload, account_id: job.account_id, signal_id: job.id };
+  const lookupValue = signalKey(data);
 
-    const { data, error } = await query;
-    if (error) throw error;
-    res.json(data);
-  } catch (err) {
-    console.error("❌ Search Error:", err.message);
-    res.status(500).json({ error: "Search failed" });
+  if (killSwitch.isActive()) {
+    await logWebhookOrder(data, "skipped", "kill switch active", null, { rule_id: "kill_switch" });
+    return;
   }
-});
 
-// ===============================
-// API: Get Unique Segments
-// ===============================
-app.get("/api/segments", async (req, res) => {
-  try {
-    // Hardcoded segments for performance with large dataset (162k+ rows)
-    const segments = [
-      "BSE_EQ", "BSE_FO", "MCX_FO", "NCD_FO", "NSE_COM", "NSE_EQ", "NSE_FO"
-    ];
-    res.json(segments);
-  } catch (err) {
-    console.error("❌ Segments Fetch Error:", err.message || err);
-    res.status(500).json({ error: "Failed to fetch segments", message: err.message });
+  let account = null;
+  let broker = paperBroker;
+  if (job.account_id) {
+    // Replays and jobs recovered from an earlier run pass through here too
+    if (await auth.defaultPinInUse()) {
+      await logWebhookOrder(data, "skipped", DEFAULT_PIN_REASON);
+      return;
+    }
+    account = accountManager.find(job.account_id);
+    if (!account || account.enabled === false) {
+      await logWebhookOrder(data, "failed", "account removed or disabled");
+      return;
+    }
+    broker = accountManager.brokerFor(account);
   }
-});
+  if (job.attempts > 1) await ensureNotPlaced(broker, data);
 
-// ===============================
-// API: Logs
-// ===============================
-app.get("/api/logs", async (req, res) => {
-  try {
-    const { limit = 50, startDate, endDate } = req.query;
-    let query = supabase
-      .from("tradingview_logs")
-      .select("*")
-      .order("created_at", { ascending: false })
-      .limit(parseInt(limit));
+  const strategy = (await webhookGuard.findStrategy(job.strategy)) || { name: job.strategy };
+  if (data.legs !== undefined) {
+    await executeBasket({ data, strategy }, account, broker);
+    return;
+  }
 
-    if (startDate) query = query.gte("created_at", startDate);
-    if (endDate) query = query.lte("created_at", endDate + "T23:59:59");
+  // Lookup instrument details (lot_size, segment, etc.)
+  const instrument = await getInstrument(data);
 
-    const { data, error } = await query;
-    if (error) throw error;
-    res.json(data);
-  } catch (err) {
-    console.error("❌ Fetch Logs Error:", err.message);
-    res.status(500).json({ error: "Failed to fetch logs" });
+  if (!instrument && !data.instrument_token) {
+    console.error("❌ Instrument not found for:", lookupValue);
+    await logWebhookOrder(data, "failed", "instrument not found");
+    return;
   }
-});
 
-// ===============================
-// PIN Management (Temporary hardcoded)
-// ===============================
-let currentPIN = "123456"; 
+  // Use provided token or lookup token
+  const intent = parseIntent(data);
+  const signal = {
+    data,
+    strategy,
+    intent,
+    bracket: parseBracket(data),
+    sizing: needsSizing(intent) ? parseSizing(data) : null,
+    instrument,
+    instrumentKey: data.instrument_token || instrument.instrument_key,
+    lotSize: instrument?.lot_size || 1,
+    segment: instrument?.segment || "NSE_EQ",
+    tradingSymbol: instrument?.trading_symbol || (data.symbol?.split(":")[1] || data.symbol)
+  };
+  console.log(`🔍 Instrument: ${signal.tradingSymbol}, Token: ${signal.instrumentKey}, Lot Size: ${signal.lotSize}`);
 
-app.post("/api/verify-pin", (req, res) => {
-  const { pin } = req.body;
-  if (pin === currentPIN) {
-    res.json({ success: true });
-  } else {
-    res.status(401).json({ success: false, error: "Invalid PIN" });
-  }
+  if (!account) paperBroker.markPrice(signal.instrumentKey, parseFloat(data.price) || 0);
+  await executeSignal(signal, account, broker);
+}
+
+const signalQueue = createSignalQueue({
+  store: storage.signalQueue,
+  handler: processSignalJob,
+  onDeadLetter: (job, reason) =>
+    logWebhookOrder({ ...job.payload, account_id: job.account_id, signal_id: job.id }, "failed", `dead-lettered after ${job.attempts} attempts: ${reason}`)
 });
 
-app.post("/api/change-pin", (req, res) => {
-  const { currentPin, newPin } = req.body;
-  if (currentPin === currentPIN) {
-    currentPIN = newPin;
-    res.json({ success: true });
+// Allow either symbol or instrument_token; action may be left out when the
+// alert sends a target position (market_position / position_size). quantity
+// is only required for lot sizing (see positionSizing.js). A multi-leg basket
+// names its instruments in `legs` instead. Throws on a bad payload; the queue
+// worker parses it again.
+function validateSignalPayload(data) {
+  const basket = data.legs !== undefined;
+  if (!data.product || (!basket && ((!data.symbol && !data.instrument_token) || (!data.action && !hasTargetPosition(data)))))
+    throw new Error("Invalid payload");
+
+  if (basket) {
+    parseLegs(data);
   } else {
-    res.status(401).json({ success: false, error: "Incorrect current PIN" });
+    const intent = parseIntent(data);
+    parseBracket(data);
+    if (needsSizing(intent)) parseSizing(data);
   }
-});
+}
 
-app.delete("/api/logs/:id", async (req, res) => {
-  try {
-    const { error } = await supabase.from("tradingview_logs").delete().eq("id", req.params.id);
-    if (error) throw error;
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Paper signals run once on the simulated broker; live ones fan out to every
+// enabled, logged-in account (or the ones named in account/accounts). One job
+// is persisted per target; the queue worker places the orders.
+// -> { paper, targets, jobs } (jobs is empty when the queue is unavailable)
+async function queueSignal(data, strategyName) {
+  const paper = isPaperSignal(data);
+  const targets = paper ? [null] : accountManager.targetsFor(data).map(a => a.id);
+  if (targets.length === 0) {
+    console.error("❌ No logged-in account for signal");
+    await logWebhookOrder(data, "failed", "no logged-in account");
+    return { paper, targets, jobs: [] };
   }
-});
 
-app.delete("/api/logs", async (req, res) => {
-  try {
-    const { error } = await supabase.from("tradingview_logs").delete().neq("id", "00000000-0000-0000-0000-000000000000");
-    if (error) throw error;
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  const { token, ...payload } = data;
+  const jobs = [];
+  for (const accountId of targets) {
+    try {
+      jobs.push(await signalQueue.enqueue(payload, {
+        orderingKey: `${accountId || "paper"}|${signalKey(data)}`,
+        accountId,
+        strategy: strategyName
+      }));
+    } catch (err) {
+      console.error(`❌ Signal queue insert failed${accountId ? ` for ${accountId}` : ""}:`, err.message);
+      await logWebhookOrder({ ...data, account_id: accountId }, "failed", "signal queue unavailable");
+    }
   }
-});
+  return { paper, targets, jobs };
+}
 
 // ===============================
-// API: Sync Instruments
+// TradingView Webhook
 // ===============================
-const syncInstruments = require("./syncInstruments");
-app.get("/api/sync-instruments", async (req, res) => {
+app.post("/webhook/tradingview", async (req, res) => {
   try {
-    const result = await syncInstruments();
-    res.json(result);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+    // Starting up or draining: the load balancer should send it elsewhere
+    if (!lifecycle.isReady()) {
+      res.set("Retry-After", "5");
+      return res.status(503).json({ error: `Server is ${lifecycle.status().state}, not accepting signals` });
+    }
 
-// ===============================
-// Service Control
-// ===============================
-app.post("/service/restart", (req, res) => {
-  res.json({ status: "restarting" });
-  setTimeout(() => process.exit(0), 1000);
-});
+    const data = req.body;
+    let strategy;
+    try {
+      strategy = await webhookGuard.check(req);
+    } catch (err) {
+      if (err.status !== 401) console.log(`⛔ Webhook rejected (${err.status}):`, err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
 
-app.post("/service/stop", (req, res) => {
-  res.json({ status: "stopping" });
-  setTimeout(() => process.exit(0), 1000);
-});
+    // Parsed again by the queue worker; here only to reject bad payloads early
+    try {
+      validateSignalPayload(data);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
-// ===============================
-// Upstox OAuth
-// ===============================
-app.get("/auth/login", (req, res) => {
-  const redirectUri = process.env.UPSTOX_REDIRECT_URI || `${process.env.BACKEND_URL}/auth/callback`;
+    if (killSwitch.isActive()) {
+      await logWebhookOrder(data, "skipped", "kill switch active", null, { rule_id: "kill_switch" });
+      return res.json({ status: "skipped", reason: "kill switch active" });
+    }
+    if (!isPaperSignal(data) && await auth.defaultPinInUse()) {
+      console.error(`⛔ Live signal refused: ${DEFAULT_PIN_REASON}`);
+      await logWebhookOrder(data, "skipped", DEFAULT_PIN_REASON);
+      return res.json({ status: "skipped", reason: DEFAULT_PIN_REASON });
+    }
+
+    // Persistent idempotency key when the alert carries one, else the 60s window
+    const lookupValue = signalKey(data);
+    let claim;
+    try {
+      claim = await webhookGuard.claimSignal(strategy, data);
+    } catch (err) {
+      console.error("❌ Idempotency check failed:", err.message);
+      return res.status(503).json({ error: "Idempotency store unavailable" }); // fail closed: never risk a double fire
+    }
+    const dedupeAction = data.legs !== undefined ? "BASKET" : data.action || `target:${data.market_position ?? ""}:${data.market_position_size ?? data.position_size}`;
+    if (claim ? !claim.fresh : isDuplicateSignal(lookupValue, dedupeAction)) {
+      await logWebhookOrder(data, "skipped", "duplicate signal", null, claim ? { idempotency_key: claim.key } : {});
+      return res.json({ status: "skipped", reason: "duplicate signal" });
+    }
+
+    const { paper, targets, jobs } = await queueSignal(data, strategy.name);
+    if (jobs.length === 0) {
+      await releaseSignal(claim, lookupValue, dedupeAction);
+      if (targets.length === 0) return res.json({ status: "failed", reason: "no logged-in account" });
+      return res.status(503).json({ error: "Signal queue unavailable" });
+    }
+
+    res.json({
+      status: "received",
+      mode: paper ? "paper" : "live",
+      ...(paper ? {} : { accounts: jobs.map(j => j.account_id) }),
+      signal_ids: jobs.map(j => j.id)
+    });
+    console.log(`📥 Queued ${paper ? "paper " : ""}signal for:`, lookupValue);
+  } catch (err) {
+    console.error("❌ Webhook Error:", err.response?.data || err.message);
+    await logWebhookOrder(req.body, "failed", err.response?.data?.errors?.[0]?.message || err.message);
+  }
+});
+
+// ===============================
+// Scheduled & Conditional Orders
+// ===============================
+// Time-based entries, price triggers and the intraday square-off
+// (scheduler.js). A fired schedule's alert is queued like a webhook one,
+// under the strategy it names ("default" when it names none).
+async function validateSchedulePayload(payload) {
+  validateSignalPayload(payload);
+  if (payload.strategy && !(await webhookGuard.findStrategy(String(payload.strategy))))
+    throw new Error(`Unknown strategy: ${payload.strategy}`);
+}
+
+async function fireSchedule(schedule, { ltp }) {
+  const data = { ...schedule.payload, source: "scheduler", schedule_id: schedule.id };
+  if (ltp !== null && !data.price) data.price = ltp; // the trigger's LTP is the reference price
+
+  if (killSwitch.isActive()) {
+    await logWebhookOrder(data, "skipped", "kill switch active", null, { rule_id: "kill_switch" });
+    return { skipped: "kill switch active" };
+  }
+  if (!isPaperSignal(data) && await auth.defaultPinInUse()) {
+    await logWebhookOrder(data, "skipped", DEFAULT_PIN_REASON);
+    return { skipped: DEFAULT_PIN_REASON };
+  }
+  const strategy = await webhookGuard.findStrategy(data.strategy ? String(data.strategy) : LEGACY_STRATEGY);
+  if (!strategy || strategy.enabled === false) {
+    await logWebhookOrder(data, "skipped", "strategy removed or disabled");
+    return { skipped: "strategy removed or disabled" };
+  }
+
+  const { targets, jobs } = await queueSignal(data, strategy.name);
+  if (targets.length === 0) throw new Error("no logged-in account");
+  if (jobs.length === 0) throw new Error("signal queue unavailable");
+  return { signal_ids: jobs.map(j => j.id) };
+}
+
+const scheduler = createScheduler({
+  store: storage.schedules,
+  getLtp,
+  getBrokers: tradingBrokers,
+  findInstrument: getInstrument,
+  validatePayload: validateSchedulePayload,
+  fire: fireSchedule,
+  log: logWebhookOrder,
+  follow: followOrder,
+  watch: keys => marketFeed.subscribe(keys),
+  unwatch: keys => marketFeed.unsubscribe(keys)
+});
+
+app.get("/api/schedules", (req, res) => {
+  res.json(scheduler.list({ status: req.query.status, type: req.query.type }));
+});
+
+app.get("/api/schedules/:id", (req, res) => {
+  const schedule = scheduler.find(req.params.id);
+  if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+  res.json(schedule);
+});
+
+app.post("/api/schedules", async (req, res) => {
+  try {
+    res.json(await scheduler.create(req.body || {}, req.user.username));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/schedules/:id", async (req, res) => {
+  try {
+    const schedule = await scheduler.update(req.params.id, req.body || {});
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    res.json(schedule);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Fires a schedule now, whatever its status; a recurring one keeps its next run
+app.post("/api/schedules/:id/run", async (req, res) => {
+  try {
+    const schedule = await scheduler.runNow(req.params.id);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    res.json(schedule);
+  } catch (err) {
+    console.error("❌ Schedule run error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/schedules/:id", async (req, res) => {
+  try {
+    if (!scheduler.find(req.params.id)) return res.status(404).json({ error: "Schedule not found" });
+    await scheduler.remove(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Search Instruments
+// ===============================
+app.get("/api/search", async (req, res) => {
+  try {
+    const { q, segment } = req.query;
+    if (!q) return res.json([]);
+
+    res.json(await storage.instruments.search(q, segment && segment !== "ALL" ? segment : null, 20));
+  } catch (err) {
+    console.error("❌ Search Error:", err.message);
+    res.status(500).json({ error: "Search failed" });
+  }
+});
+
+// ===============================
+// API: Option Chain
+// ===============================
+// ?underlying=NIFTY (or NSE:NIFTY, MCX:CRUDEOIL) &expiry=CW|NW|CM|NM|YYYY-MM-DD
+// &strikes=N (either side of ATM) &underlying_price= (override) &delta=0.3
+app.get("/api/option-chain", async (req, res) => {
+  const { underlying, expiry, strikes, underlying_price, delta } = req.query;
+  if (!underlying) return res.status(400).json({ error: "underlying is required" });
+  try {
+    const chain = await optionChain.build({ underlying, expiry: expiry || "CW", strikes, underlyingPrice: underlying_price, delta });
+    if (!chain) return res.status(404).json({ error: `No options found for ${underlying} (${expiry || "CW"})` });
+    res.json(chain);
+  } catch (err) {
+    if (err.message.startsWith("Unknown expiry")) return res.status(400).json({ error: err.message });
+    console.error("❌ Option chain error:", err.message);
+    res.status(500).json({ error: "Failed to build option chain", message: err.message });
+  }
+});
+
+// ===============================
+// API: Get Unique Segments
+// ===============================
+app.get("/api/segments", async (req, res) => {
+  try {
+    // Hardcoded segments for performance with large dataset (162k+ rows)
+    const segments = [
+      "BSE_EQ", "BSE_FO", "MCX_FO", "NCD_FO", "NSE_COM", "NSE_EQ", "NSE_FO"
+    ];
+    res.json(segments);
+  } catch (err) {
+    console.error("❌ Segments Fetch Error:", err.message || err);
+    res.status(500).json({ error: "Failed to fetch segments", message: err.message });
+  }
+});
+
+// ===============================
+// API: Logs
+// ===============================
+app.get("/api/logs", async (req, res) => {
+  try {
+    const { limit = 50, startDate, endDate, status, order_status, order_id, group_id } = req.query;
+    res.json(await storage.orderLogs.list({ limit, startDate, endDate, status, order_status, order_id, group_id }));
+  } catch (err) {
+    console.error("❌ Fetch Logs Error:", err.message);
+    res.status(500).json({ error: "Failed to fetch logs" });
+  }
+});
+
+// ===============================
+// API: Analytics
+// ===============================
+// Round-trip trades rebuilt from the logs (archived rows included). Filters:
+// from / to (YYYY-MM-DD, on the close date; open trades on the open date),
+// strategy, symbol, account_id, mode and, for trades, status.
+function journalFilters(query) {
+  const { from, to, strategy, symbol, account_id, mode, status } = query;
+  return {
+    from: from || undefined,
+    to: to ? to + "T23:59:59" : undefined,
+    strategy, symbol, account_id, mode, status
+  };
+}
+
+app.get("/api/analytics/trades", async (req, res) => {
+  try {
+    const trades = await tradeJournal.trades(journalFilters(req.query));
+    res.json(trades.reverse().slice(0, parseInt(req.query.limit) || 200));
+  } catch (err) {
+    console.error("❌ Trade journal error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/analytics/summary", async (req, res) => {
+  try {
+    res.json(await tradeJournal.summary(journalFilters(req.query)));
+  } catch (err) {
+    console.error("❌ Trade journal error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/analytics/strategies", async (req, res) => {
+  try {
+    res.json(await tradeJournal.breakdown("strategy", journalFilters(req.query)));
+  } catch (err) {
+    console.error("❌ Trade journal error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/analytics/symbols", async (req, res) => {
+  try {
+    res.json(await tradeJournal.breakdown("symbol", journalFilters(req.query)));
+  } catch (err) {
+    console.error("❌ Trade journal error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/analytics/equity-curve", async (req, res) => {
+  try {
+    res.json(await tradeJournal.equityCurve(journalFilters(req.query)));
+  } catch (err) {
+    console.error("❌ Trade journal error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pulls today's fill prices from every broker's trade book into the logs
+app.post("/api/analytics/sync-fills", async (req, res) => {
+  try {
+    res.json(await tradeJournal.syncFills({ since: istDayStart() }));
+  } catch (err) {
+    console.error("❌ Fill sync error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Risk Rules
+// ===============================
+app.get("/api/risk-rules", (req, res) => {
+  res.json({ types: RULE_TYPES, rules: riskEngine.listRules() });
+});
+
+app.post("/api/risk-rules", auth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await riskEngine.createRule(req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/risk-rules/:id", auth.requireRole("admin"), async (req, res) => {
+  try {
+    const rule = await riskEngine.updateRule(req.params.id, req.body);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+    res.json(rule);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/risk-rules/:id", auth.requireRole("admin"), async (req, res) => {
+  try {
+    await riskEngine.deleteRule(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Position Reconciliation
+// ===============================
+app.get("/api/reconciliation", (req, res) => {
+  res.json({ report: positionBook.report(), book: positionBook.list({ open: req.query.open === "true" }) });
+});
+
+app.post("/api/reconciliation/run", async (req, res) => {
+  try {
+    res.json(await positionBook.reconcile());
+  } catch (err) {
+    console.error("❌ Reconciliation error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Accepts the broker's quantity for confirmed drift (optionally one
+// `account`, "paper" for the simulator, and/or one `instrument_key`)
+app.post("/api/reconciliation/adopt", auth.requireRole("admin"), async (req, res) => {
+  try {
+    const adopted = await positionBook.adopt({ account: req.body?.account, instrument_key: req.body?.instrument_key });
+    res.json({ adopted });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Notifications (admin)
+// ===============================
+app.get("/api/notifications", auth.requireRole("admin"), (req, res) => {
+  res.json({ events: Object.keys(NOTIFICATION_EVENTS), channels: notifier.listChannels() });
+});
+
+app.post("/api/notifications", auth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await notifier.createChannel(req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/notifications/:id", auth.requireRole("admin"), async (req, res) => {
+  try {
+    const channel = await notifier.updateChannel(req.params.id, req.body || {});
+    if (!channel) return res.status(404).json({ error: "Channel not found" });
+    res.json(channel);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post("/api/notifications/:id/test", auth.requireRole("admin"), async (req, res) => {
+  const result = await notifier.testChannel(req.params.id);
+  if (!result) return res.status(404).json({ error: "Channel not found" });
+  res.status(result.sent ? 200 : 502).json(result);
+});
+
+app.delete("/api/notifications/:id", auth.requireRole("admin"), async (req, res) => {
+  try {
+    await notifier.deleteChannel(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Kill Switch
+// ===============================
+app.get("/api/kill-switch", (req, res) => {
+  res.json({ ...killSwitch.status(), daily_max_loss: getDailyMaxLoss() });
+});
+
+app.post("/api/kill-switch", async (req, res) => {
+  try {
+    if (!PAPER_TRADING) await accountManager.refreshAll();
+    const result = await killSwitch.trigger(req.body?.reason || "manual trigger", `api:${req.user.username}`);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Kill switch error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/kill-switch/reset", auth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await killSwitch.reset(`api:${req.user.username}`));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Market Feed Status
+// ===============================
+app.get("/api/feed/status", (req, res) => {
+  res.json(marketFeed.status());
+});
+
+// ===============================
+// API: Tracked Orders
+// ===============================
+app.get("/api/orders/tracked", (req, res) => {
+  res.json(orderTracker.list());
+});
+
+// ===============================
+// API: Bracket Groups
+// ===============================
+app.get("/api/brackets", (req, res) => {
+  res.json(bracketManager.list());
+});
+
+// ===============================
+// API: Paper Trading
+// ===============================
+app.get("/api/paper", (req, res) => {
+  res.json({
+    enabled: PAPER_TRADING,
+    positions: paperBroker.getPositions(),
+    funds: paperBroker.getFunds(),
+    orders: paperBroker.getOrders()
+  });
+});
+
+// Simulated market tick: fills resting paper orders and drives trailing stops
+app.post("/api/paper/price", (req, res) => {
+  const { instrument_token, price } = req.body;
+  if (!instrument_token || !(parseFloat(price) > 0))
+    return res.status(400).json({ error: "instrument_token and price are required" });
+  paperBroker.markPrice(instrument_token, parseFloat(price));
+  res.json({ success: true });
+});
+
+app.post("/api/paper/reset", (req, res) => {
+  paperBroker.reset();
+  positionBook.resetPaper();
+  res.json({ success: true });
+});
+
+// ===============================
+// Auth: Login, PIN & Users
+// ===============================
+// Returns a session token for `Authorization: Bearer <token>`
+app.post("/api/verify-pin", async (req, res) => {
+  try {
+    const { pin, username } = req.body;
+    res.json({ success: true, ...(await auth.login({ pin, username }, req.ip)) });
+  } catch (err) {
+    if (err.retry_after) res.set("Retry-After", String(err.retry_after));
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/api/change-pin", async (req, res) => {
+  try {
+    const { currentPin, newPin } = req.body;
+    // Every other session of the user ends; this one continues with the new token
+    res.json({ success: true, ...(await auth.changePin(req.user.username, currentPin, newPin)) });
+  } catch (err) {
+    res.status(err.status || 400).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/users", auth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await auth.listUsers());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/users", auth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await auth.createUser(req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/users/:username", auth.requireRole("admin"), async (req, res) => {
+  try {
+    const user = await auth.updateUser(req.params.username, req.body);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/users/:username", auth.requireRole("admin"), async (req, res) => {
+  try {
+    if (req.params.username === req.user.username) return res.status(400).json({ error: "Cannot delete yourself" });
+    await auth.deleteUser(req.params.username);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Webhook Strategies (admin)
+// ===============================
+// Each TradingView strategy posts `strategy` + `token`; the secret is only
+// returned on create and rotate.
+app.get("/api/strategies", auth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await webhookGuard.listStrategies());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/strategies", auth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await webhookGuard.createStrategy(req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/strategies/:name", auth.requireRole("admin"), async (req, res) => {
+  try {
+    const strategy = await webhookGuard.updateStrategy(req.params.name, req.body);
+    if (!strategy) return res.status(404).json({ error: "Strategy not found" });
+    res.json(strategy);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post("/api/strategies/:name/rotate", auth.requireRole("admin"), async (req, res) => {
+  try {
+    const strategy = await webhookGuard.rotateSecret(req.params.name);
+    if (!strategy) return res.status(404).json({ error: "Strategy not found" });
+    res.json(strategy);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/strategies/:name", auth.requireRole("admin"), async (req, res) => {
+  try {
+    await webhookGuard.deleteStrategy(req.params.name);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Signal Queue
+// ===============================
+// ?status=pending|processing|done|dead; dead-lettered signals can be replayed
+app.get("/api/signals", async (req, res) => {
+  try {
+    const { status, account_id, limit = 50 } = req.query;
+    res.json({ ...signalQueue.status(), signals: await signalQueue.list({ status, account_id, limit }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/signals/dead-letter", async (req, res) => {
+  try {
+    res.json(await signalQueue.list({ status: "dead", limit: req.query.limit || 50 }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/signals/:id", async (req, res) => {
+  try {
+    const job = await signalQueue.find(req.params.id);
+    if (!job) return res.status(404).json({ error: "Signal not found" });
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bypasses the idempotency check on purpose; the kill switch still applies
+app.post("/api/signals/:id/replay", async (req, res) => {
+  try {
+    const job = await signalQueue.replay(req.params.id);
+    if (!job) return res.status(404).json({ error: "Signal not found" });
+    res.json(job);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Broker Accounts
+// ===============================
+// Log an account in with /auth/login?account=<id>; tokens are never returned.
+// Per-account limits are risk rules with scope "account".
+app.get("/api/accounts", (req, res) => {
+  res.json(accountManager.listAccounts());
+});
+
+app.post("/api/accounts", auth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await accountManager.createAccount(req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/accounts/:id", auth.requireRole("admin"), async (req, res) => {
+  try {
+    const account = await accountManager.updateAccount(req.params.id, req.body);
+    if (!account) return res.status(404).json({ error: "Account not found" });
+    res.json(account);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/accounts/:id", auth.requireRole("admin"), async (req, res) => {
+  try {
+    await accountManager.deleteAccount(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/logs/:id", auth.requireRole("admin"), async (req, res) => {
+  try {
+    await storage.orderLogs.remove(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/logs", auth.requireRole("admin"), async (req, res) => {
+  try {
+    await storage.orderLogs.removeAll();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// API: Sync Instruments
+// ===============================
+const { createInstrumentSync } = require("./syncInstruments");
+const instrumentSync = createInstrumentSync({
+  store: storage.instruments,
+  onFailure: report => notifier.notify("instrument_sync.failed", { trigger: report.trigger, reason: report.error })
+});
+
+// Runs in the background; poll /api/sync-instruments/status for the result
+app.get("/api/sync-instruments", auth.requireRole("admin"), (req, res) => {
+  const { job, already_running } = instrumentSync.startJob("api");
+  res.status(already_running ? 409 : 202).json({ ...job, already_running });
+});
+
+app.get("/api/sync-instruments/status", (req, res) => {
+  res.json(instrumentSync.getJob() || { status: "idle" });
+});
+
+app.get("/api/sync-instruments/reports", async (req, res) => {
+  try {
+    res.json(await instrumentSync.listReports(parseInt(req.query.limit) || 20));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===============================
+// Service Control
+// ===============================
+// Both drain first (see lifecycle.js); watch /health for the state
+app.post("/service/restart", auth.requireRole("admin"), (req, res) => {
+  const { supervised } = lifecycle.status();
+  res.json({ status: "restarting", supervised });
+  res.on("finish", () => lifecycle.shutdown(`restart by ${req.user.username}`, { restart: true }));
+});
+
+app.post("/service/stop", auth.requireRole("admin"), (req, res) => {
+  res.json({ status: "stopping" });
+  res.on("finish", () => lifecycle.shutdown(`stop by ${req.user.username}`));
+});
+
+// ===============================
+// Upstox OAuth
+// ===============================
+// `account` picks which account the login is for (default: "default"); it
+// travels through Upstox in `state` together with the return URL.
+function encodeOAuthState(account, returnUrl) {
+  return Buffer.from(JSON.stringify({ account, return_url: returnUrl })).toString("base64url");
+}
+
+function decodeOAuthState(state) {
+  try {
+    const decoded = JSON.parse(Buffer.from(state, "base64url").toString());
+    if (decoded?.account) return decoded;
+  } catch (err) {
+    // a bare return URL from a login started before accounts existed
+  }
+  return { account: LEGACY_ACCOUNT, return_url: state };
+}
+
+app.get("/auth/login", (req, res) => {
+  const redirectUri = process.env.UPSTOX_REDIRECT_URI || `${process.env.BACKEND_URL}/auth/callback`;
   const returnUrl = req.query.return_url || "http://localhost:3000";
-  const authUrl = `https://api.upstox.com/v2/login/authorization/dialog?response_type=code&client_id=${process.env.UPSTOX_CLIENT_ID}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${encodeURIComponent(returnUrl)}`;
-  res.redirect(authUrl);
+  const accountId = req.query.account || LEGACY_ACCOUNT;
+  if (accountId !== LEGACY_ACCOUNT && !accountManager.find(accountId)) return res.status(404).send(`Unknown account: ${accountId}`);
+  const broker = accountManager.brokerFor({ id: accountId });
+  res.redirect(broker.getLoginUrl(redirectUri, encodeOAuthState(accountId, returnUrl)));
 });
 
 app.get("/auth/callback", async (req, res) => {
+  let accountId = null;
   try {
     const code = req.query.code;
-    const returnUrl = req.query.state || "http://localhost:3000";
+    const { account, return_url } = decodeOAuthState(req.query.state || "");
+    accountId = account;
+    const returnUrl = return_url || "http://localhost:3000";
     if (!code) return res.status(400).send("No auth code received");
 
+    // The default account is created on its first login, like the old single token
+    if (!accountManager.find(accountId)) {
+      if (accountId !== LEGACY_ACCOUNT) return res.status(404).send(`Unknown account: ${accountId}`);
+      await accountManager.createAccount({ id: LEGACY_ACCOUNT, name: "Default", primary: true });
+    }
+
     const redirectUri = process.env.UPSTOX_REDIRECT_URI || `${process.env.BACKEND_URL}/auth/callback`;
-    const tokenRes = await axios.post(
-      "https://api.upstox.com/v2/login/authorization/token",
-      new URLSearchParams({
-        grant_type: "authorization_code",
-        code,
-        client_id: process.env.UPSTOX_CLIENT_ID,
-        client_secret: process.env.UPSTOX_CLIENT_SECRET,
-        redirect_uri: redirectUri
-      }),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
-
-    upstoxAccessToken = tokenRes.data.access_token;
-    upstoxRefreshToken = tokenRes.data.refresh_token;
-    tokenExpiryTime = Date.now() + 23 * 60 * 60 * 1000;
-    await saveTokensToDB(upstoxAccessToken, upstoxRefreshToken);
-    res.redirect(`${returnUrl}?token=${encodeURIComponent(upstoxAccessToken)}`);
+    const tokens = await accountManager.brokerFor({ id: accountId }).exchangeAuthCode(code, redirectUri);
+    await accountManager.saveTokens(accountId, tokens);
+    res.redirect(`${returnUrl}?account=${encodeURIComponent(accountId)}&token=${encodeURIComponent(tokens.access_token)}`);
   } catch (err) {
     console.error("❌ Auth callback error:", err.response?.data || err.message);
+    notifier.notify("auth.failed", { account: accountId || "unknown", reason: `login failed: ${err.response?.data?.errors?.[0]?.message || err.message}` });
     res.status(500).send("Auth Failed");
   }
 });
 
+// 200 only when ready; 503 while starting or draining so load balancers back off
 app.get("/health", (req, res) => {
-  res.status(200).json({
-    status: "ok",
+  const { state, reason } = lifecycle.status();
+  res.status(state === "ready" ? 200 : 503).json({
+    status: state === "ready" ? "ok" : state,
+    state,
+    ...(reason ? { reason } : {}),
+    signal_queue: signalQueue.status(),
     time: new Date().toISOString()
   });
 });
@@ -520,31 +1827,99 @@ app.get("/health", (req, res) => {
 // Cron Jobs
 // ===============================
 function scheduleCronJobs() {
-  // Token refresh every 20 hours
-  cron.schedule("0 */20 * * *", async () => {
-    if (upstoxRefreshToken) await ensureValidAccessToken();
-  });
+  // Token refresh every 20 hours, per account
+  cron.schedule("0 */20 * * *", () => accountManager.refreshAll());
 
-  // Clean logs older than 30 days
+  // Instrument master refresh before market open
+  cron.schedule(process.env.INSTRUMENT_SYNC_CRON || "30 8 * * 1-5", () => {
+    const { already_running } = instrumentSync.startJob("cron");
+    if (already_running) console.log("⏭️ Scheduled instrument sync skipped, one is already running");
+  }, { timezone: "Asia/Kolkata" });
+
+  // Move old logs to the archive (the trade journal still reads them)
   cron.schedule("0 0 * * *", async () => {
     try {
       const expiry = new Date();
-      expiry.setDate(expiry.getDate() - 30);
-      await supabase.from("tradingview_logs").delete().lt("created_at", expiry.toISOString());
-      console.log("🧹 Old logs cleaned");
+      expiry.setDate(expiry.getDate() - parseInt(process.env.LOG_ARCHIVE_AFTER_DAYS || 30));
+      const moved = await storage.orderLogs.archiveOlderThan(expiry.toISOString());
+      console.log(`🗄️ Archived ${moved} old log rows`);
+    } catch (err) {
+      console.error("❌ Log archiving failed:", err.message);
+    }
+  });
+
+  // Broker trade-book fill prices into the journal after the close
+  cron.schedule(process.env.FILL_SYNC_CRON || "45 15 * * 1-5", async () => {
+    try {
+      const result = await tradeJournal.syncFills({ since: istDayStart() });
+      console.log(`📒 Fills synced from ${result.brokers} trade books: ${result.updated} rows updated`);
+      for (const error of result.errors) console.error("❌ Trade book unavailable:", error);
     } catch (err) {
-      console.error("❌ Log cleanup failed:", err.message);
+      console.error("❌ Fill sync failed:", err.message);
+    }
+  }, { timezone: "Asia/Kolkata" });
+
+  // Drop finished queue jobs (dead-lettered ones stay for inspection)
+  cron.schedule("30 0 * * *", async () => {
+    try {
+      const days = parseInt(process.env.SIGNAL_QUEUE_RETENTION_DAYS || 7);
+      await signalQueue.purgeFinished(new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+      console.log("🧹 Finished signal jobs purged");
+    } catch (err) {
+      console.error("❌ Signal queue purge failed:", err.message);
+    }
+  });
+
+  // Drop expired webhook idempotency keys
+  cron.schedule("15 0 * * *", async () => {
+    try {
+      await webhookGuard.purgeExpiredKeys();
+      console.log("🧹 Expired idempotency keys purged");
+    } catch (err) {
+      console.error("❌ Idempotency key purge failed:", err.message);
     }
   });
 }
 
 
 
+// ===============================
+// Lifecycle
+// ===============================
+// Stop new work, let in-flight work finish, then close connections; /health
+// keeps answering (503) until the very last step.
+lifecycle.onShutdown("cron jobs stopped", () => Promise.all([...cron.getTasks().values()].map(task => task.stop())));
+lifecycle.onShutdown("kill switch monitor stopped", () => killSwitch.stopMonitor());
+lifecycle.onShutdown("scheduler stopped", () => scheduler.stop());
+lifecycle.onShutdown("reconciliation stopped", () => positionBook.stop());
+lifecycle.onShutdown("signal queue drained", () => signalQueue.drain());
+lifecycle.onShutdown("order tracking stopped", async () => {
+  await bracketManager.stop();
+  orderTracker.stop();
+});
+lifecycle.onShutdown("market feed closed", () => marketFeed.stop());
+lifecycle.onShutdown("HTTP and socket.io closed", () => io.close());
+lifecycle.handleSignals();
+
 // ===============================
 // Start Server
 // ===============================
-app.listen(PORT, async () => {
+server.listen(PORT, async () => {
   console.log(`🚀 Server running on port ${PORT}`);
-  await loadTokensFromDB();
+  await auth.bootstrap();
+  await notifier.load();
+  await accountManager.load();
+  await riskEngine.load();
+  await killSwitch.load();
+  await bracketManager.load();
+  await resumeOrderTracking();
+  await signalQueue.recover();
+  await scheduler.load();
+  await positionBook.load();
+  killSwitch.startMonitor();
+  scheduler.start();
+  positionBook.start();
   scheduleCronJobs();
+  lifecycle.markReady();
+  console.log("✅ Ready for signals");
 });
\ No newline at end of file
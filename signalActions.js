@@ -0,0 +1,102 @@
+// ===============================
+// Signal Actions
+// ===============================
+// Turns an alert into an intent, then into the orders that get the account
+// from its current net position to where the alert wants it:
+//
+//   BUY / SELL     open (skipped when already on that side; an opposite
+//                  signal sends the plain order, as it always has)
+//   EXIT / CLOSE   square off the whole net position
+//   EXIT_PARTIAL   close `percent` % of it, rounded down to whole lots
+//   REVERSE        close, then open the opposite side with the sized quantity
+//
+// Alerts that send TradingView's `market_position` ("long" / "short" /
+// "flat") with `market_position_size`, or a signed `position_size`, are
+// reconciled to that target instead, whatever `action` says. Target sizes
+// are in lots, like `quantity`.
+
+const ACTIONS = ["BUY", "SELL", "EXIT", "CLOSE", "REVERSE", "EXIT_PARTIAL"];
+const MARKET_POSITIONS = { long: 1, short: -1, flat: 0 };
+
+function hasTargetPosition(data) {
+  return data.market_position !== undefined || data.position_size !== undefined;
+}
+
+// Validates up front so bad payloads get a 400
+function parseIntent(data) {
+  if (hasTargetPosition(data)) {
+    const position = data.market_position !== undefined ? String(data.market_position).toLowerCase() : null;
+    if (position !== null && MARKET_POSITIONS[position] === undefined)
+      throw new Error(`Invalid market_position: ${data.market_position} (expected long, short or flat)`);
+    const size = parseFloat(data.market_position_size ?? data.position_size);
+    if (position !== "flat" && isNaN(size)) throw new Error("market_position_size or position_size is required");
+
+    const sign = position !== null ? MARKET_POSITIONS[position] : Math.sign(size);
+    return { type: "target", lots: sign * Math.abs(size || 0) };
+  }
+
+  const action = String(data.action || "").toUpperCase();
+  if (!ACTIONS.includes(action)) throw new Error(`Invalid action: ${data.action} (expected ${ACTIONS.join(", ")})`);
+  if (action === "BUY" || action === "SELL") return { type: "open", side: action };
+  if (action === "EXIT" || action === "CLOSE") return { type: "exit" };
+  if (action === "REVERSE") return { type: "reverse" };
+
+  const percent = parseFloat(data.percent ?? data.exit_percent);
+  if (!(percent > 0 && percent <= 100)) throw new Error("EXIT_PARTIAL needs percent between 0 and 100");
+  return { type: "exit_partial", percent };
+}
+
+// Only opening an alert-sized position needs sizing (and its fields)
+function needsSizing(intent) {
+  return intent.type === "open" || intent.type === "reverse";
+}
+
+function closingSide(netQuantity) {
+  return netQuantity > 0 ? "SELL" : "BUY";
+}
+
+// -> { orders: [{ side, quantity, leg: "close" | "entry" }] } or { skip: reason }
+// Close legs come first; a reversal therefore exits before it re-enters.
+function planOrders(intent, { netQuantity, entryQuantity, targetQuantity, lotSize }) {
+  const net = parseInt(netQuantity) || 0;
+  const close = quantity => ({ side: closingSide(net), quantity, leg: "close" });
+
+  switch (intent.type) {
+    case "open":
+      if (intent.side === "BUY" && net > 0) return { skip: "already long" };
+      if (intent.side === "SELL" && net < 0) return { skip: "already short" };
+      return { orders: [{ side: intent.side, quantity: entryQuantity, leg: "entry" }] };
+
+    case "exit":
+      if (net === 0) return { skip: "no open position" };
+      return { orders: [close(Math.abs(net))] };
+
+    case "exit_partial": {
+      if (net === 0) return { skip: "no open position" };
+      const quantity = Math.floor(Math.abs(net) * intent.percent / 100 / lotSize) * lotSize;
+      if (quantity <= 0) return { skip: `${intent.percent}% of ${Math.abs(net)} is less than one lot` };
+      return { orders: [close(quantity)] };
+    }
+
+    case "reverse":
+      if (net === 0) return { skip: "no open position to reverse" };
+      return { orders: [close(Math.abs(net)), { side: net > 0 ? "SELL" : "BUY", quantity: entryQuantity, leg: "entry" }] };
+
+    case "target": {
+      const target = targetQuantity;
+      if (target === net) return { skip: "already at target position" };
+      // Crossing zero: flatten, then open the other side
+      if (net !== 0 && target !== 0 && Math.sign(target) !== Math.sign(net)) {
+        return { orders: [close(Math.abs(net)), { side: target > 0 ? "BUY" : "SELL", quantity: Math.abs(target), leg: "entry" }] };
+      }
+      const delta = target - net;
+      if (net !== 0 && Math.abs(target) < Math.abs(net)) return { orders: [close(Math.abs(delta))] };
+      return { orders: [{ side: delta > 0 ? "BUY" : "SELL", quantity: Math.abs(delta), leg: "entry" }] };
+    }
+
+    default:
+      throw new Error(`Unknown intent: ${intent.type}`);
+  }
+}
+
+module.exports = { parseIntent, planOrders, needsSizing, hasTargetPosition, ACTIONS };
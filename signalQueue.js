@@ -0,0 +1,202 @@
+// ===============================
+// Signal Queue
+// ===============================
+// The webhook persists one job per signal and target account (the
+// `signalQueue` store) before it answers; this worker does the rest. Jobs
+// that share an ordering key (account + instrument) run one at a time in
+// arrival order, different keys run side by side. A retryable failure
+// (network error, HTTP 429 or 5xx) is retried with exponential backoff; after
+// SIGNAL_MAX_ATTEMPTS, or on any other error, the job is dead-lettered and can
+// be replayed. Jobs found mid-flight after a restart are dead-lettered too,
+// since the broker may already have the order.
+//
+// Only a refused connection or a failed DNS lookup proves a request never
+// left the process; a timeout, reset, 429 or 5xx on order/place may still
+// have placed the order. The handler therefore tags every order with the
+// job and, on any attempt after the first, looks the tag up in the broker's
+// order book before placing anything, failing the job (non-retryable, so it
+// is dead-lettered) when a match exists.
+
+const SIGNAL_MAX_ATTEMPTS = parseInt(process.env.SIGNAL_MAX_ATTEMPTS || 5);
+const SIGNAL_RETRY_BASE_MS = parseInt(process.env.SIGNAL_RETRY_BASE_MS || 2000);
+const SIGNAL_RETRY_MAX_MS = 60 * 1000;
+const RETRYABLE_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "EPIPE"];
+
+function isRetryableError(err) {
+  const status = err?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(err?.code);
+}
+
+function errorMessage(err) {
+  return err?.response?.data?.errors?.[0]?.message || err?.message || String(err);
+}
+
+function createSignalQueue({ store, handler, onDeadLetter = () => {} }) {
+  const queues = new Map(); // ordering key -> open jobs in arrival order
+  const busy = new Set();   // ordering keys with a job in flight
+  const tracked = new Set(); // ids of open jobs this process already holds
+  let timer = null;
+  let draining = null; // { resolve } once drain() is called
+
+  function push(job) {
+    tracked.add(job.id);
+    if (!queues.has(job.ordering_key)) queues.set(job.ordering_key, []);
+    queues.get(job.ordering_key).push(job);
+  }
+
+  // Mirrors a state change into the store; the worker keeps going if that fails
+  async function save(job, fields) {
+    Object.assign(job, fields, { updated_at: new Date().toISOString() });
+    try {
+      await store.update(job.id, { ...fields, updated_at: job.updated_at });
+    } catch (err) {
+      console.error(`❌ Signal ${job.id} state save failed:`, err.message);
+    }
+  }
+
+  async function attempt(job) {
+    await save(job, { status: "processing", attempts: job.attempts + 1 });
+    try {
+      await handler(job);
+      await save(job, { status: "done", last_error: null, finished_at: new Date().toISOString() });
+    } catch (err) {
+      const reason = errorMessage(err);
+      if (isRetryableError(err) && job.attempts < SIGNAL_MAX_ATTEMPTS) {
+        const delay = Math.min(SIGNAL_RETRY_BASE_MS * 2 ** (job.attempts - 1), SIGNAL_RETRY_MAX_MS);
+        console.log(`🔁 Signal ${job.id} attempt ${job.attempts} failed (${reason}), retrying in ${delay}ms`);
+        await save(job, { status: "pending", last_error: reason, next_attempt_at: new Date(Date.now() + delay).toISOString() });
+        return;
+      }
+      console.error(`☠️ Signal ${job.id} dead-lettered after ${job.attempts} attempts: ${reason}`);
+      await save(job, { status: "dead", last_error: reason, finished_at: new Date().toISOString() });
+      try {
+        await onDeadLetter(job, reason);
+      } catch (hookErr) {
+        console.error("❌ Dead-letter hook error:", hookErr.message);
+      }
+    }
+  }
+
+  async function run(key) {
+    busy.add(key);
+    const jobs = queues.get(key);
+    try {
+      await attempt(jobs[0]);
+    } finally {
+      if (jobs[0].status !== "pending") tracked.delete(jobs.shift().id);
+      if (jobs.length === 0) queues.delete(key);
+      busy.delete(key);
+      if (draining && busy.size === 0) draining.resolve();
+      pump();
+    }
+  }
+
+  // Starts every due head-of-line job and sleeps until the next one is due
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    if (draining) return;
+    let nextDue = Infinity;
+    for (const [key, jobs] of queues) {
+      if (busy.has(key)) continue;
+      const due = Date.parse(jobs[0].next_attempt_at) || 0;
+      if (due <= Date.now()) run(key);
+      else nextDue = Math.min(nextDue, due);
+    }
+    if (nextDue < Infinity) timer = setTimeout(pump, nextDue - Date.now());
+  }
+
+  // Throws when the job cannot be persisted; the caller must not treat the signal as accepted
+  async function enqueue(payload, { orderingKey, accountId = null, strategy = null }) {
+    const now = new Date().toISOString();
+    const job = await store.insert({
+      status: "pending",
+      ordering_key: orderingKey,
+      account_id: accountId,
+      strategy,
+      payload,
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now
+    });
+    push(job);
+    pump();
+    return job;
+  }
+
+  // On start: resume pending jobs, dead-letter the ones a restart interrupted
+  async function recover() {
+    try {
+      const open = await store.listOpen();
+      let resumed = 0;
+      let interrupted = 0;
+      for (const job of open.filter(j => !tracked.has(j.id))) {
+        if (job.status === "processing") {
+          await save(job, {
+            status: "dead",
+            last_error: "interrupted while processing, check the broker before replaying",
+            finished_at: new Date().toISOString()
+          });
+          await onDeadLetter(job, job.last_error);
+          interrupted++;
+          continue;
+        }
+        push(job);
+        resumed++;
+      }
+      if (resumed + interrupted > 0) console.log(`📬 Signal queue: resumed ${resumed}, dead-lettered ${interrupted} interrupted`);
+      pump();
+    } catch (err) {
+      console.error("❌ Signal queue recovery error:", err.message);
+    }
+  }
+
+  async function replay(id) {
+    const job = await store.find(id);
+    if (!job) return null;
+    if (job.status !== "dead") {
+      const err = new Error(`Only dead-lettered signals can be replayed (this one is ${job.status})`);
+      err.status = 409;
+      throw err;
+    }
+    const fields = { status: "pending", attempts: 0, last_error: null, finished_at: null, next_attempt_at: new Date().toISOString() };
+    const replayed = await store.update(id, { ...fields, updated_at: new Date().toISOString() });
+    console.log(`📬 Replaying signal ${id}`);
+    push({ ...replayed });
+    pump();
+    return replayed;
+  }
+
+  // Shutdown: start nothing new, resolve once in-flight jobs finish. Pending
+  // jobs stay in the store for the next start.
+  function drain() {
+    if (!draining) {
+      let resolve;
+      const done = new Promise(r => { resolve = r; });
+      draining = { resolve, done };
+      console.log(`📬 Draining signal queue (${busy.size} in flight)`);
+      if (busy.size === 0) resolve();
+    }
+    return draining.done;
+  }
+
+  function status() {
+    let open = 0;
+    for (const jobs of queues.values()) open += jobs.length;
+    return { open, in_flight: busy.size, ordering_keys: queues.size, draining: Boolean(draining) };
+  }
+
+  return {
+    enqueue,
+    recover,
+    replay,
+    drain,
+    status,
+    list: options => store.list(options),
+    find: id => store.find(id),
+    purgeFinished: iso => store.removeFinishedBefore(iso)
+  };
+}
+
+module.exports = { createSignalQueue, isRetryableError };
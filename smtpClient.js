@@ -0,0 +1,157 @@
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+
+// ===============================
+// Minimal SMTP Client
+// ===============================
+// Just enough SMTP to send a plain-text notification: implicit TLS
+// (`secure`, usually port 465) or STARTTLS when the server offers it (port
+// 587), AUTH PLAIN / LOGIN, one message to one or more recipients. Headers
+// with non-ASCII text are RFC 2047 encoded and the body goes out as base64,
+// so emoji survive servers without 8BITMIME.
+
+const SMTP_TIMEOUT_MS = 15000;
+
+function encodeHeader(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{1,76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body
+  ].join("\r\n");
+}
+
+// Reads whole replies ("250-..." continuation lines up to "250 ...") off a socket
+function createReader() {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+
+  function push(reply) {
+    const waiter = waiters.shift();
+    if (waiter) waiter.resolve(reply);
+    else replies.push(reply);
+  }
+
+  return {
+    feed(chunk) {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, index).replace(/\r$/, "");
+        buffer = buffer.slice(index + 1);
+        lines.push(line);
+        if (/^\d{3}(?: |$)/.test(line)) {
+          push({ code: parseInt(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+          lines = [];
+        }
+      }
+    },
+    fail(err) {
+      while (waiters.length) waiters.shift().reject(err);
+    },
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    }
+  };
+}
+
+// -> { accepted: [recipients] }; throws with the server's reply on failure
+async function sendMail({ host, port, secure = false, starttls = true, username, password, from, to, subject, text, timeoutMs = SMTP_TIMEOUT_MS }) {
+  const recipients = [].concat(to).filter(Boolean);
+  if (!host || !from || recipients.length === 0) throw new Error("SMTP needs host, from and at least one recipient");
+  const smtpPort = parseInt(port) || (secure ? 465 : 587);
+
+  let socket;
+  let reader = createReader();
+  // Armed before the connection is up, so a host that never answers fails
+  // after timeoutMs rather than the OS TCP timeout
+  const guard = s => {
+    s.setTimeout(timeoutMs, () => s.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+    return s;
+  };
+  const attach = s => {
+    s.on("data", chunk => reader.feed(chunk));
+    s.on("error", err => reader.fail(err));
+    s.on("close", () => reader.fail(new Error("SMTP connection closed")));
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const s = secure
+      ? tls.connect({ host, port: smtpPort, servername: host }, () => resolve(s))
+      : net.connect({ host, port: smtpPort }, () => resolve(s));
+    guard(s);
+    s.once("error", reject);
+  });
+
+  async function command(line, expected) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const shown = line && line.startsWith("AUTH") ? "AUTH" : line;
+      throw new Error(`SMTP ${shown || "greeting"} failed: ${reply.code} ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  }
+
+  socket = await connect();
+  attach(socket);
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!secure && starttls && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+      await command("STARTTLS", [220]);
+      const plain = socket;
+      plain.removeAllListeners("data");
+      reader = createReader();
+      socket = await new Promise((resolve, reject) => {
+        const s = tls.connect({ socket: plain, servername: host }, () => resolve(s));
+        guard(s);
+        s.once("error", reject);
+      });
+      attach(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (username) {
+      const auth = ehlo.lines.find(l => /^AUTH\b/i.test(l)) || "";
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${username}\0${password || ""}`).toString("base64")}`, [235]);
+      } else {
+        await command("AUTH LOGIN", [334]);
+        await command(Buffer.from(username).toString("base64"), [334]);
+        await command(Buffer.from(password || "").toString("base64"), [235]);
+      }
+    }
+
+    const address = value => String(value).match(/<([^>]+)>/)?.[1] || String(value).trim();
+    await command(`MAIL FROM:<${address(from)}>`, [250]);
+    for (const recipient of recipients) await command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+    await command("DATA", [354]);
+    const message = buildMessage({ from, to: recipients, subject, text }).replace(/^\./gm, "..");
+    await command(`${message}\r\n.`, [250]);
+    await command("QUIT", [221]).catch(() => {});
+    return { accepted: recipients };
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
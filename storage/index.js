@@ -0,0 +1,56 @@
+const { createSupabaseStorage } = require("./supabase");
+const { createMemoryStorage } = require("./memory");
+
+// ===============================
+// Storage Backends
+// ===============================
+// Every backend returns the same set of stores. All methods are async and
+// throw on failure; callers decide whether to log and carry on.
+//
+//   tokens       load() -> { access_token, refresh_token, updated_at } | null
+//                save({ access_token, refresh_token })   (single-account legacy)
+//   accounts     list(), find(id), insert(account) -> account,
+//                update(id, fields) -> account, remove(id)
+//   instruments  findByKey(key), findBySymbol(symbol, segments),
+//                findDerivatives({ underlying, segments, instrumentType, expiry,
+//                  minExpiry, maxExpiry, afterExpiry, order, limit }),
+//                search(q, segment, limit)
+//                sync: clearStaging(), insertStaging(rows), listKeys(offset, limit),
+//                  swapStaging() -> live count, saveSyncReport(report), listSyncReports(limit)
+//   orderLogs    insert(row) -> id, update(id, fields), list({ limit, startDate,
+//                  endDate, status, order_status, order_id, group_id }),
+//                listPlacedSince(since, mode), listUnsettled(since) -> rows with an
+//                  order_id and no final order_status, remove(id), removeAll(),
+//                listOrders({ since, until }) -> rows with an order_id, live and
+//                  archived, oldest first, archiveOlderThan(iso) -> rows moved
+//   riskRules    list(), insert(rules) -> rows, update(id, fields) -> row, remove(id)
+//   killSwitch   load() -> state | null, save(state)
+//   users        list(), find(username), insert(user) -> user,
+//                update(username, fields) -> user, remove(username)
+//   strategies   list(), find(name), insert(strategy) -> strategy,
+//                update(name, fields) -> strategy, remove(name)
+//   idempotency  claim(key, { strategy, expires_at }) -> true if new (or expired),
+//                release(key), purgeExpired(iso)
+//   signalQueue  insert(job) -> job, update(id, fields) -> job, find(id),
+//                list({ status, account_id, limit }), listOpen() -> pending and
+//                processing jobs in arrival order, removeFinishedBefore(iso)
+//   schedules    list(), insert(schedule) -> schedule, update(id, fields) -> schedule,
+//                remove(id)
+//   bracketGroups  listOpen() -> groups without finished_at, save(group)   (upsert on `id`)
+//   positionBook list(), save(row)   (upsert on `key` = mode|account|instrument)
+//   notificationChannels  list(), insert(channel) -> channel,
+//                update(id, fields) -> channel, remove(id)
+
+const BACKENDS = {
+  supabase: createSupabaseStorage,
+  memory: createMemoryStorage
+};
+
+// STORAGE picks the backend; without it, Supabase when configured, else memory
+function createStorage(name = process.env.STORAGE || (process.env.SUPABASE_URL ? "supabase" : "memory"), options = {}) {
+  const factory = BACKENDS[name];
+  if (!factory) throw new Error(`Unknown storage backend: ${name}`);
+  return { name, ...factory(options) };
+}
+
+module.exports = { createStorage };
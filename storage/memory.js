@@ -0,0 +1,429 @@
+const crypto = require("crypto");
+
+// ===============================
+// In-Memory Storage
+// ===============================
+// Same stores as storage/supabase.js, held in process memory. Lets the server
+// run standalone (no Supabase project, no network) and gives tests a clean
+// database per instance. Everything is lost on restart.
+
+const INSTRUMENT_FIELDS = ["instrument_key", "lot_size", "segment", "instrument_type", "trading_symbol", "freeze_quantity", "tick_size", "expiry", "strike_price"];
+const SEARCH_FIELDS = ["trading_symbol", "name", "instrument_key", "exchange", "instrument_type", "expiry", "lot_size", "segment"];
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.map(f => [f, row[f] ?? null]));
+}
+
+function byField(field, ascending = true) {
+  return (a, b) => {
+    const x = a[field] ?? "";
+    const y = b[field] ?? "";
+    if (x === y) return 0;
+    return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+  };
+}
+
+function createMemoryStorage() {
+  let tokenRow = null;
+  let accountRows = [];
+  let master = [];
+  let staging = [];
+  const syncReports = [];
+  let logs = [];
+  const archive = []; // rows moved out by archiveOlderThan()
+  let rules = [];
+  let ruleSeq = 0;
+  let killSwitchState = null;
+  let userRows = [];
+  let strategyRows = [];
+  const idempotencyKeys = new Map(); // key -> expires_at
+  let jobs = [];
+  let scheduleRows = [];
+  const bracketRows = new Map(); // entry order id -> bracket group
+  const bookRows = new Map(); // key -> position book row
+  let channelRows = [];
+
+  const tokens = {
+    async load() {
+      return tokenRow ? { ...tokenRow } : null;
+    },
+
+    async save({ access_token, refresh_token }) {
+      tokenRow = { access_token, refresh_token, updated_at: new Date().toISOString() };
+    }
+  };
+
+  const accounts = {
+    async list() {
+      return accountRows.map(a => ({ ...a }));
+    },
+
+    async find(id) {
+      const account = accountRows.find(a => a.id === id);
+      return account ? { ...account } : null;
+    },
+
+    async insert(account) {
+      if (accountRows.some(a => a.id === account.id)) throw new Error(`Account ${account.id} already exists`);
+      const row = { ...account, created_at: new Date().toISOString() };
+      accountRows.push(row);
+      return { ...row };
+    },
+
+    async update(id, fields) {
+      const account = accountRows.find(a => a.id === id);
+      if (!account) throw new Error(`Account ${id} not found`);
+      Object.assign(account, fields);
+      return { ...account };
+    },
+
+    async remove(id) {
+      accountRows = accountRows.filter(a => a.id !== id);
+    }
+  };
+
+  const instruments = {
+    async findByKey(instrumentKey) {
+      const row = master.find(r => r.instrument_key === instrumentKey);
+      return row ? pick(row, INSTRUMENT_FIELDS) : null;
+    },
+
+    async findBySymbol(symbol, segments) {
+      return master
+        .filter(r => r.trading_symbol === symbol && segments.includes(r.segment))
+        .slice(0, 10)
+        .map(r => pick(r, INSTRUMENT_FIELDS));
+    },
+
+    async findDerivatives({ underlying, segments, instrumentType, expiry, minExpiry, maxExpiry, afterExpiry, order = "asc", limit = 1000 }) {
+      const prefix = `${underlying} `.toUpperCase();
+      return master
+        .filter(r =>
+          r.trading_symbol?.toUpperCase().startsWith(prefix) &&
+          segments.includes(r.segment) &&
+          r.instrument_type === instrumentType &&
+          (!expiry || r.expiry === expiry) &&
+          (!minExpiry || (r.expiry && r.expiry >= minExpiry)) &&
+          (!maxExpiry || (r.expiry && r.expiry <= maxExpiry)) &&
+          (!afterExpiry || (r.expiry && r.expiry > afterExpiry))
+        )
+        .sort(byField("expiry", order === "asc"))
+        .slice(0, limit)
+        .map(r => pick(r, INSTRUMENT_FIELDS));
+    },
+
+    async search(q, segment, limit = 20) {
+      const needle = q.toUpperCase();
+      return master
+        .filter(r => r.trading_symbol?.toUpperCase().includes(needle) && (!segment || r.segment === segment))
+        .slice(0, limit)
+        .map(r => pick(r, SEARCH_FIELDS));
+    },
+
+    async clearStaging() {
+      staging = [];
+    },
+
+    async insertStaging(batch) {
+      staging.push(...batch.map(r => ({ ...r })));
+    },
+
+    async listKeys(offset, limit) {
+      return [...master]
+        .sort(byField("instrument_key"))
+        .slice(offset, offset + limit)
+        .map(r => pick(r, ["instrument_key", "trading_symbol", "lot_size", "expiry"]));
+    },
+
+    async swapStaging() {
+      if (staging.length === 0) throw new Error("staging table is empty, refusing to swap");
+      master = staging.map(r => ({ ...r }));
+      return master.length;
+    },
+
+    async saveSyncReport(report) {
+      syncReports.push({ id: syncReports.length + 1, ...report });
+    },
+
+    async listSyncReports(limit = 20) {
+      return [...syncReports].sort(byField("started_at", false)).slice(0, limit);
+    }
+  };
+
+  const orderLogs = {
+    async insert(row) {
+      const id = crypto.randomUUID();
+      logs.push({ ...row, id, created_at: row.created_at || new Date().toISOString() });
+      return id;
+    },
+
+    async update(id, fields) {
+      const row = logs.find(r => r.id === id);
+      if (row) Object.assign(row, fields);
+    },
+
+    async list({ limit = 50, startDate, endDate, status, order_status, order_id, group_id } = {}) {
+      return logs
+        .filter(r =>
+          (!startDate || r.created_at >= startDate) &&
+          (!endDate || r.created_at <= endDate + "T23:59:59") &&
+          (!status || r.status === status) &&
+          (!order_status || r.order_status === order_status) &&
+          (!order_id || r.order_id === order_id) &&
+          (!group_id || r.group_id === group_id)
+        )
+        .sort(byField("created_at", false))
+        .slice(0, parseInt(limit))
+        .map(r => ({ ...r }));
+    },
+
+    async listPlacedSince(since, mode) {
+      return logs
+        .filter(r => r.created_at >= since && r.mode === mode && r.order_id)
+        .map(r => pick(r, ["leg", "segment", "trading_symbol", "instrument_key", "account_id"]));
+    },
+
+    async listUnsettled(since) {
+      return logs
+        .filter(r => r.order_id && r.created_at >= since && !["complete", "rejected", "cancelled", "partially_filled"].includes(r.order_status))
+        .map(r => ({ ...r }));
+    },
+
+    async remove(id) {
+      logs = logs.filter(r => r.id !== id);
+    },
+
+    async removeAll() {
+      logs = [];
+    },
+
+    async listOrders({ since, until } = {}) {
+      return [...archive, ...logs]
+        .filter(r => r.order_id && (!since || r.created_at >= since) && (!until || r.created_at <= until))
+        .sort(byField("created_at"))
+        .map(r => ({ ...r }));
+    },
+
+    async archiveOlderThan(iso) {
+      const old = logs.filter(r => r.created_at < iso);
+      archive.push(...old);
+      logs = logs.filter(r => r.created_at >= iso);
+      return old.length;
+    }
+  };
+
+  const riskRules = {
+    async list() {
+      return [...rules].sort(byField("created_at")).map(r => ({ ...r }));
+    },
+
+    async insert(newRules) {
+      const now = new Date().toISOString();
+      const inserted = newRules.map(r => ({ ...r, id: ++ruleSeq, created_at: now }));
+      rules.push(...inserted);
+      return inserted.map(r => ({ ...r }));
+    },
+
+    async update(id, fields) {
+      const rule = rules.find(r => String(r.id) === String(id));
+      if (!rule) throw new Error(`Rule ${id} not found`);
+      Object.assign(rule, fields);
+      return { ...rule };
+    },
+
+    async remove(id) {
+      rules = rules.filter(r => String(r.id) !== String(id));
+    }
+  };
+
+  const killSwitch = {
+    async load() {
+      return killSwitchState ? { ...killSwitchState } : null;
+    },
+
+    async save(state) {
+      killSwitchState = { id: 1, ...state, updated_at: new Date().toISOString() };
+    }
+  };
+
+  const users = {
+    async list() {
+      return userRows.map(u => ({ ...u }));
+    },
+
+    async find(username) {
+      const user = userRows.find(u => u.username === username);
+      return user ? { ...user } : null;
+    },
+
+    async insert(user) {
+      if (userRows.some(u => u.username === user.username)) throw new Error(`User ${user.username} already exists`);
+      const row = { ...user, created_at: new Date().toISOString() };
+      userRows.push(row);
+      return { ...row };
+    },
+
+    async update(username, fields) {
+      const user = userRows.find(u => u.username === username);
+      if (!user) throw new Error(`User ${username} not found`);
+      Object.assign(user, fields);
+      return { ...user };
+    },
+
+    async remove(username) {
+      userRows = userRows.filter(u => u.username !== username);
+    }
+  };
+
+  const strategies = {
+    async list() {
+      return strategyRows.map(s => ({ ...s }));
+    },
+
+    async find(name) {
+      const strategy = strategyRows.find(s => s.name === name);
+      return strategy ? { ...strategy } : null;
+    },
+
+    async insert(strategy) {
+      if (strategyRows.some(s => s.name === strategy.name)) throw new Error(`Strategy ${strategy.name} already exists`);
+      const row = { ...strategy, created_at: new Date().toISOString() };
+      strategyRows.push(row);
+      return { ...row };
+    },
+
+    async update(name, fields) {
+      const strategy = strategyRows.find(s => s.name === name);
+      if (!strategy) throw new Error(`Strategy ${name} not found`);
+      Object.assign(strategy, fields);
+      return { ...strategy };
+    },
+
+    async remove(name) {
+      strategyRows = strategyRows.filter(s => s.name !== name);
+    }
+  };
+
+  const idempotency = {
+    async claim(key, { expires_at }) {
+      const existing = idempotencyKeys.get(key);
+      if (existing && existing > new Date().toISOString()) return false;
+      idempotencyKeys.set(key, expires_at);
+      return true;
+    },
+
+    async release(key) {
+      idempotencyKeys.delete(key);
+    },
+
+    async purgeExpired(iso) {
+      for (const [key, expiresAt] of idempotencyKeys) if (expiresAt < iso) idempotencyKeys.delete(key);
+    }
+  };
+
+  const signalQueue = {
+    async insert(job) {
+      const row = { ...job, id: crypto.randomUUID() };
+      jobs.push(row);
+      return { ...row };
+    },
+
+    async update(id, fields) {
+      const job = jobs.find(j => j.id === id);
+      if (!job) throw new Error(`Signal ${id} not found`);
+      Object.assign(job, fields);
+      return { ...job };
+    },
+
+    async find(id) {
+      const job = jobs.find(j => j.id === id);
+      return job ? { ...job } : null;
+    },
+
+    async list({ status, account_id, limit = 50 } = {}) {
+      return jobs
+        .filter(j => (!status || j.status === status) && (!account_id || j.account_id === account_id))
+        .reverse()
+        .slice(0, parseInt(limit))
+        .map(j => ({ ...j }));
+    },
+
+    async listOpen() {
+      return jobs.filter(j => j.status === "pending" || j.status === "processing").map(j => ({ ...j }));
+    },
+
+    async removeFinishedBefore(iso) {
+      jobs = jobs.filter(j => j.status !== "done" || j.finished_at >= iso);
+    }
+  };
+
+  const schedules = {
+    async list() {
+      return scheduleRows.map(s => ({ ...s }));
+    },
+
+    async insert(schedule) {
+      const row = { ...schedule, id: crypto.randomUUID() };
+      scheduleRows.push(row);
+      return { ...row };
+    },
+
+    async update(id, fields) {
+      const schedule = scheduleRows.find(s => s.id === id);
+      if (!schedule) throw new Error(`Schedule ${id} not found`);
+      Object.assign(schedule, fields);
+      return { ...schedule };
+    },
+
+    async remove(id) {
+      scheduleRows = scheduleRows.filter(s => s.id !== id);
+    }
+  };
+
+  const bracketGroups = {
+    async listOpen() {
+      return [...bracketRows.values()].filter(g => !g.finished_at).map(g => ({ ...g }));
+    },
+
+    async save(row) {
+      bracketRows.set(row.id, { ...row });
+    }
+  };
+
+  const positionBook = {
+    async list() {
+      return [...bookRows.values()].map(r => ({ ...r }));
+    },
+
+    async save(row) {
+      bookRows.set(row.key, { ...row });
+    }
+  };
+
+  const notificationChannels = {
+    async list() {
+      return channelRows.map(c => ({ ...c }));
+    },
+
+    async insert(channel) {
+      const row = { ...channel, id: crypto.randomUUID() };
+      channelRows.push(row);
+      return { ...row };
+    },
+
+    async update(id, fields) {
+      const channel = channelRows.find(c => c.id === id);
+      if (!channel) throw new Error(`Channel ${id} not found`);
+      Object.assign(channel, fields);
+      return { ...channel };
+    },
+
+    async remove(id) {
+      channelRows = channelRows.filter(c => c.id !== id);
+    }
+  };
+
+  return { tokens, accounts, instruments, orderLogs, riskRules, killSwitch, users, strategies, idempotency, signalQueue, schedules, bracketGroups, positionBook, notificationChannels };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,408 @@
+const { createClient } = require("@supabase/supabase-js");
+
+// ===============================
+// Supabase Storage
+// ===============================
+// Tables: auth_tokens, broker_accounts, instruments_upstoxmaster (+ _staging,
+// instrument_sync_reports, see supabase/instrument_sync.sql),
+// tradingview_logs (+ tradingview_logs_archive), risk_rules, kill_switch, dashboard_users,
+// webhook_strategies, webhook_idempotency, signal_queue, order_schedules,
+// bracket_groups, position_book, notification_channels. Everything beyond the
+// original auth_tokens, instruments_upstoxmaster and tradingview_logs is
+// defined (or, for tradingview_logs, extended) in supabase/*.sql.
+
+const INSTRUMENT_TABLE = "instruments_upstoxmaster";
+const STAGING_TABLE = "instruments_upstoxmaster_staging";
+const SYNC_REPORT_TABLE = "instrument_sync_reports";
+const LOG_TABLE = "tradingview_logs";
+const LOG_ARCHIVE_TABLE = "tradingview_logs_archive";
+const INSTRUMENT_COLUMNS = "instrument_key, lot_size, segment, instrument_type, trading_symbol, freeze_quantity, tick_size, expiry, strike_price";
+
+async function rows(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+// PostgREST caps each response, so read long results a page at a time
+async function pages(buildQuery, size = 1000) {
+  const all = [];
+  for (let from = 0; ; from += size) {
+    const page = await rows(buildQuery().range(from, from + size - 1));
+    all.push(...page);
+    if (page.length < size) return all;
+  }
+}
+
+function createSupabaseStorage({ url = process.env.SUPABASE_URL, key = process.env.SUPABASE_KEY } = {}) {
+  if (!url || !key) throw new Error("SUPABASE_URL or SUPABASE_KEY is missing");
+  const supabase = createClient(url, key);
+
+  const tokens = {
+    async load() {
+      const data = await rows(supabase.from("auth_tokens").select("*").order("updated_at", { ascending: false }).limit(1));
+      return data[0] || null;
+    },
+
+    async save({ access_token, refresh_token }) {
+      await rows(supabase.from("auth_tokens").delete().neq("access_token", "dummy"));
+      await rows(supabase.from("auth_tokens").insert([
+        { access_token, refresh_token, updated_at: new Date().toISOString() }
+      ]));
+    }
+  };
+
+  const accounts = {
+    list() {
+      return rows(supabase.from("broker_accounts").select("*").order("created_at", { ascending: true }));
+    },
+
+    find(id) {
+      return rows(supabase.from("broker_accounts").select("*").eq("id", id).maybeSingle());
+    },
+
+    insert(account) {
+      return rows(supabase.from("broker_accounts").insert([account]).select("*").single());
+    },
+
+    update(id, fields) {
+      return rows(supabase.from("broker_accounts").update(fields).eq("id", id).select("*").single());
+    },
+
+    async remove(id) {
+      await rows(supabase.from("broker_accounts").delete().eq("id", id));
+    }
+  };
+
+  const instruments = {
+    async findByKey(instrumentKey) {
+      const data = await rows(supabase.from(INSTRUMENT_TABLE).select(INSTRUMENT_COLUMNS).eq("instrument_key", instrumentKey).limit(1));
+      return data[0] || null;
+    },
+
+    findBySymbol(symbol, segments) {
+      return rows(supabase.from(INSTRUMENT_TABLE).select(INSTRUMENT_COLUMNS).eq("trading_symbol", symbol).in("segment", segments).limit(10));
+    },
+
+    // Derivatives whose trading_symbol starts with "<underlying> "
+    findDerivatives({ underlying, segments, instrumentType, expiry, minExpiry, maxExpiry, afterExpiry, order = "asc", limit = 1000 }) {
+      let query = supabase
+        .from(INSTRUMENT_TABLE)
+        .select(INSTRUMENT_COLUMNS)
+        .ilike("trading_symbol", `${underlying} %`)
+        .in("segment", segments)
+        .eq("instrument_type", instrumentType);
+      if (expiry) query = query.eq("expiry", expiry);
+      if (minExpiry) query = query.gte("expiry", minExpiry);
+      if (maxExpiry) query = query.lte("expiry", maxExpiry);
+      if (afterExpiry) query = query.gt("expiry", afterExpiry);
+      return rows(query.order("expiry", { ascending: order === "asc" }).limit(limit));
+    },
+
+    search(q, segment, limit = 20) {
+      let query = supabase
+        .from(INSTRUMENT_TABLE)
+        .select("trading_symbol, name, instrument_key, exchange, instrument_type, expiry, lot_size, segment")
+        .ilike("trading_symbol", `%${q}%`)
+        .limit(limit);
+      if (segment) query = query.eq("segment", segment);
+      return rows(query);
+    },
+
+    async clearStaging() {
+      await rows(supabase.from(STAGING_TABLE).delete().not("instrument_key", "is", null));
+    },
+
+    async insertStaging(batch) {
+      await rows(supabase.from(STAGING_TABLE).insert(batch));
+    },
+
+    listKeys(offset, limit) {
+      return rows(supabase
+        .from(INSTRUMENT_TABLE)
+        .select("instrument_key, trading_symbol, lot_size, expiry")
+        .order("instrument_key", { ascending: true })
+        .range(offset, offset + limit - 1));
+    },
+
+    // One transaction in Postgres, see supabase/instrument_sync.sql
+    swapStaging() {
+      return rows(supabase.rpc("swap_instruments_staging"));
+    },
+
+    async saveSyncReport(report) {
+      await rows(supabase.from(SYNC_REPORT_TABLE).insert([report]));
+    },
+
+    listSyncReports(limit = 20) {
+      return rows(supabase.from(SYNC_REPORT_TABLE).select("*").order("started_at", { ascending: false }).limit(limit));
+    }
+  };
+
+  const orderLogs = {
+    async insert(row) {
+      const data = await rows(supabase.from(LOG_TABLE).insert([row]).select("id").single());
+      return data.id;
+    },
+
+    async update(id, fields) {
+      await rows(supabase.from(LOG_TABLE).update(fields).eq("id", id));
+    },
+
+    list({ limit = 50, startDate, endDate, status, order_status, order_id, group_id } = {}) {
+      let query = supabase
+        .from(LOG_TABLE)
+        .select("*")
+        .order("created_at", { ascending: false })
+        .limit(parseInt(limit));
+
+      if (startDate) query = query.gte("created_at", startDate);
+      if (endDate) query = query.lte("created_at", endDate + "T23:59:59");
+      if (status) query = query.eq("status", status);
+      if (order_status) query = query.eq("order_status", order_status);
+      if (order_id) query = query.eq("order_id", order_id);
+      if (group_id) query = query.eq("group_id", group_id);
+      return rows(query);
+    },
+
+    // Rows with an order_id placed since `since` whose order has no final status
+    listUnsettled(since) {
+      return rows(supabase
+        .from(LOG_TABLE)
+        .select("*")
+        .gte("created_at", since)
+        .not("order_id", "is", null)
+        .or("order_status.is.null,order_status.not.in.(complete,rejected,cancelled,partially_filled)")
+        .order("created_at", { ascending: true }));
+    },
+
+    // Rows that placed an order since `since` in the given mode
+    listPlacedSince(since, mode) {
+      return rows(supabase
+        .from(LOG_TABLE)
+        .select("leg, segment, trading_symbol, instrument_key, account_id")
+        .gte("created_at", since)
+        .eq("mode", mode)
+        .not("order_id", "is", null));
+    },
+
+    async remove(id) {
+      await rows(supabase.from(LOG_TABLE).delete().eq("id", id));
+    },
+
+    async removeAll() {
+      await rows(supabase.from(LOG_TABLE).delete().neq("id", "00000000-0000-0000-0000-000000000000"));
+    },
+
+    // Rows that placed an order, live and archived, oldest first
+    async listOrders({ since, until } = {}) {
+      const live = await pages(() => {
+        let query = supabase.from(LOG_TABLE).select("*").not("order_id", "is", null).order("created_at", { ascending: true });
+        if (since) query = query.gte("created_at", since);
+        if (until) query = query.lte("created_at", until);
+        return query;
+      });
+      const archived = await pages(() => {
+        let query = supabase.from(LOG_ARCHIVE_TABLE).select("row").not("order_id", "is", null).order("created_at", { ascending: true });
+        if (since) query = query.gte("created_at", since);
+        if (until) query = query.lte("created_at", until);
+        return query;
+      });
+      return [...archived.map(a => a.row), ...live];
+    },
+
+    // See archive_tradingview_logs() in supabase/trade_journal.sql
+    archiveOlderThan(iso) {
+      return rows(supabase.rpc("archive_tradingview_logs", { cutoff: iso }));
+    }
+  };
+
+  const riskRules = {
+    list() {
+      return rows(supabase.from("risk_rules").select("*").order("created_at", { ascending: true }));
+    },
+
+    insert(rules) {
+      return rows(supabase.from("risk_rules").insert(rules).select("*"));
+    },
+
+    update(id, fields) {
+      return rows(supabase.from("risk_rules").update(fields).eq("id", id).select("*").single());
+    },
+
+    async remove(id) {
+      await rows(supabase.from("risk_rules").delete().eq("id", id));
+    }
+  };
+
+  const killSwitch = {
+    load() {
+      return rows(supabase.from("kill_switch").select("*").eq("id", 1).maybeSingle());
+    },
+
+    async save(state) {
+      await rows(supabase.from("kill_switch").upsert([{ id: 1, ...state, updated_at: new Date().toISOString() }]));
+    }
+  };
+
+  const users = {
+    list() {
+      return rows(supabase.from("dashboard_users").select("*").order("created_at", { ascending: true }));
+    },
+
+    find(username) {
+      return rows(supabase.from("dashboard_users").select("*").eq("username", username).maybeSingle());
+    },
+
+    insert(user) {
+      return rows(supabase.from("dashboard_users").insert([user]).select("*").single());
+    },
+
+    update(username, fields) {
+      return rows(supabase.from("dashboard_users").update(fields).eq("username", username).select("*").single());
+    },
+
+    async remove(username) {
+      await rows(supabase.from("dashboard_users").delete().eq("username", username));
+    }
+  };
+
+  const strategies = {
+    list() {
+      return rows(supabase.from("webhook_strategies").select("*").order("created_at", { ascending: true }));
+    },
+
+    find(name) {
+      return rows(supabase.from("webhook_strategies").select("*").eq("name", name).maybeSingle());
+    },
+
+    insert(strategy) {
+      return rows(supabase.from("webhook_strategies").insert([strategy]).select("*").single());
+    },
+
+    update(name, fields) {
+      return rows(supabase.from("webhook_strategies").update(fields).eq("name", name).select("*").single());
+    },
+
+    async remove(name) {
+      await rows(supabase.from("webhook_strategies").delete().eq("name", name));
+    }
+  };
+
+  const idempotency = {
+    // The primary key on `key` makes the insert the claim
+    async claim(key, { strategy, expires_at }) {
+      const now = new Date().toISOString();
+      const { error } = await supabase.from("webhook_idempotency").insert([{ key, strategy, created_at: now, expires_at }]);
+      if (!error) return true;
+      if (error.code !== "23505") throw error;
+
+      // Taken: reclaim only if the old claim has expired
+      const reclaimed = await rows(supabase
+        .from("webhook_idempotency")
+        .update({ strategy, created_at: now, expires_at })
+        .eq("key", key)
+        .lt("expires_at", now)
+        .select("key"));
+      return reclaimed.length > 0;
+    },
+
+    async release(key) {
+      await rows(supabase.from("webhook_idempotency").delete().eq("key", key));
+    },
+
+    async purgeExpired(iso) {
+      await rows(supabase.from("webhook_idempotency").delete().lt("expires_at", iso));
+    }
+  };
+
+  // `seq` (an identity column) keeps arrival order, see supabase/signal_queue.sql
+  const signalQueue = {
+    insert(job) {
+      return rows(supabase.from("signal_queue").insert([job]).select("*").single());
+    },
+
+    update(id, fields) {
+      return rows(supabase.from("signal_queue").update(fields).eq("id", id).select("*").single());
+    },
+
+    find(id) {
+      return rows(supabase.from("signal_queue").select("*").eq("id", id).maybeSingle());
+    },
+
+    list({ status, account_id, limit = 50 } = {}) {
+      let query = supabase.from("signal_queue").select("*").order("seq", { ascending: false }).limit(parseInt(limit));
+      if (status) query = query.eq("status", status);
+      if (account_id) query = query.eq("account_id", account_id);
+      return rows(query);
+    },
+
+    listOpen() {
+      return rows(supabase.from("signal_queue").select("*").in("status", ["pending", "processing"]).order("seq", { ascending: true }));
+    },
+
+    async removeFinishedBefore(iso) {
+      await rows(supabase.from("signal_queue").delete().eq("status", "done").lt("finished_at", iso));
+    }
+  };
+
+  const schedules = {
+    list() {
+      return rows(supabase.from("order_schedules").select("*").order("created_at", { ascending: true }));
+    },
+
+    insert(schedule) {
+      return rows(supabase.from("order_schedules").insert([schedule]).select("*").single());
+    },
+
+    update(id, fields) {
+      return rows(supabase.from("order_schedules").update(fields).eq("id", id).select("*").single());
+    },
+
+    async remove(id) {
+      await rows(supabase.from("order_schedules").delete().eq("id", id));
+    }
+  };
+
+  const bracketGroups = {
+    listOpen() {
+      return rows(supabase.from("bracket_groups").select("*").is("finished_at", null).order("created_at", { ascending: true }));
+    },
+
+    async save(row) {
+      await rows(supabase.from("bracket_groups").upsert([row], { onConflict: "id" }));
+    }
+  };
+
+  const positionBook = {
+    list() {
+      return rows(supabase.from("position_book").select("*"));
+    },
+
+    async save(row) {
+      await rows(supabase.from("position_book").upsert([row], { onConflict: "key" }));
+    }
+  };
+
+  const notificationChannels = {
+    list() {
+      return rows(supabase.from("notification_channels").select("*").order("created_at", { ascending: true }));
+    },
+
+    insert(channel) {
+      return rows(supabase.from("notification_channels").insert([channel]).select("*").single());
+    },
+
+    update(id, fields) {
+      return rows(supabase.from("notification_channels").update(fields).eq("id", id).select("*").single());
+    },
+
+    async remove(id) {
+      await rows(supabase.from("notification_channels").delete().eq("id", id));
+    }
+  };
+
+  return { tokens, accounts, instruments, orderLogs, riskRules, killSwitch, users, strategies, idempotency, signalQueue, schedules, bracketGroups, positionBook, notificationChannels };
+}
+
+module.exports = { createSupabaseStorage };
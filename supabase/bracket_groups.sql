@@ -0,0 +1,28 @@
+-- ===============================
+-- Bracket groups (bracketOrders.js)
+-- ===============================
+-- One row per bracketed entry order: the SL / target legs that cancel each
+-- other, with their order ids, fills and the trailing state. Saved on every
+-- change so the pairing survives a restart; rows with no `finished_at` are
+-- picked up again on start.
+
+create table if not exists bracket_groups (
+  id text primary key,
+  group_id text,
+  mode text not null check (mode in ('live', 'paper')),
+  account_id text,
+  status text not null,
+  data jsonb,
+  entry jsonb not null,
+  bracket jsonb not null,
+  tick_size numeric,
+  quantity integer,
+  entry_price numeric,
+  extreme_price numeric,
+  legs jsonb not null default '{}',
+  created_at timestamptz not null default now(),
+  finished_at timestamptz,
+  updated_at timestamptz
+);
+
+create index if not exists bracket_groups_open_idx on bracket_groups (created_at) where finished_at is null;
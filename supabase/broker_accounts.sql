@@ -0,0 +1,23 @@
+-- ===============================
+-- Broker accounts (accounts.js)
+-- ===============================
+-- One row per Upstox login. On first start with an empty table the newest
+-- auth_tokens row is copied in as account "default".
+
+create table if not exists broker_accounts (
+  id text primary key,
+  name text,
+  enabled boolean not null default true,
+  "primary" boolean not null default false,
+  quantity_multiplier numeric not null default 1,
+  access_token text,
+  refresh_token text,
+  token_expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table tradingview_logs
+  add column if not exists account_id text;
+
+create index if not exists tradingview_logs_account_id_idx on tradingview_logs (account_id, created_at);
@@ -0,0 +1,13 @@
+-- ===============================
+-- Dashboard users (auth.js)
+-- ===============================
+-- Only a scrypt hash of each PIN is stored. Roles are ordered
+-- viewer < trader < admin.
+
+create table if not exists dashboard_users (
+  username text primary key,
+  role text not null default 'viewer' check (role in ('viewer', 'trader', 'admin')),
+  pin_hash text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
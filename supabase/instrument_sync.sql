@@ -0,0 +1,72 @@
+-- ===============================
+-- Instrument master sync (syncInstruments.js)
+-- ===============================
+-- The sync loads a full snapshot into the staging table, then calls
+-- swap_instruments_staging() to replace the master in a single transaction,
+-- so lookups never see an empty or half-loaded table.
+
+-- Full common instrument schema (instrumentFiles.js normalizeInstrument)
+alter table instruments_upstoxmaster
+  add column if not exists freeze_quantity integer,
+  add column if not exists tick_size numeric,
+  add column if not exists isin text,
+  add column if not exists exchange_token text,
+  add column if not exists last_trading_date date,
+  add column if not exists weekly boolean,
+  add column if not exists minimum_lot integer,
+  add column if not exists qty_multiplier numeric,
+  add column if not exists asset_symbol text,
+  add column if not exists asset_key text,
+  add column if not exists asset_type text,
+  add column if not exists underlying_symbol text,
+  add column if not exists underlying_key text,
+  add column if not exists underlying_type text,
+  add column if not exists price_quote_unit text;
+
+create table if not exists instruments_upstoxmaster_staging
+  (like instruments_upstoxmaster including defaults including constraints including indexes);
+
+create table if not exists instrument_sync_reports (
+  id bigserial primary key,
+  trigger text not null,
+  status text not null,
+  segments text[],
+  segment_counts jsonb,
+  total integer default 0,
+  added_count integer,
+  removed_count integer,
+  expired_count integer,
+  lot_size_changed_count integer,
+  diff jsonb,
+  error text,
+  started_at timestamptz not null,
+  finished_at timestamptz
+);
+
+create or replace function swap_instruments_staging()
+returns integer
+language plpgsql
+as $$
+declare
+  staged integer;
+begin
+  select count(*) into staged from instruments_upstoxmaster_staging;
+  if staged = 0 then
+    raise exception 'staging table is empty, refusing to swap';
+  end if;
+
+  delete from instruments_upstoxmaster where true; -- pg_safeupdate rejects bare deletes
+  insert into instruments_upstoxmaster
+    (trading_symbol, name, instrument_key, exchange, segment, instrument_type, isin,
+     exchange_token, expiry, last_trading_date, weekly, strike_price, lot_size,
+     minimum_lot, freeze_quantity, qty_multiplier, tick_size, asset_symbol, asset_key,
+     asset_type, underlying_symbol, underlying_key, underlying_type, price_quote_unit)
+  select trading_symbol, name, instrument_key, exchange, segment, instrument_type, isin,
+         exchange_token, expiry, last_trading_date, weekly, strike_price, lot_size,
+         minimum_lot, freeze_quantity, qty_multiplier, tick_size, asset_symbol, asset_key,
+         asset_type, underlying_symbol, underlying_key, underlying_type, price_quote_unit
+  from instruments_upstoxmaster_staging;
+
+  return staged;
+end;
+$$;
@@ -0,0 +1,15 @@
+-- ===============================
+-- Kill switch (killSwitch.js)
+-- ===============================
+-- A single row (id = 1), upserted on every trip and reset so an active
+-- kill switch survives a restart.
+
+create table if not exists kill_switch (
+  id integer primary key default 1 check (id = 1),
+  active boolean not null default false,
+  reason text,
+  source text,
+  triggered_at timestamptz,
+  reset_at timestamptz,
+  updated_at timestamptz
+);
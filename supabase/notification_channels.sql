@@ -0,0 +1,19 @@
+-- ===============================
+-- Notification channels (notifications.js)
+-- ===============================
+-- One row per outbound channel (webhook, slack, telegram, email). `config`
+-- holds the endpoint and credentials (SMTP password, bot token), so keep
+-- this table behind the service role.
+
+create table if not exists notification_channels (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  type text not null check (type in ('webhook', 'slack', 'telegram', 'email')),
+  enabled boolean not null default true,
+  events text[] not null default '{*}',
+  modes text[],
+  templates jsonb,
+  config jsonb not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
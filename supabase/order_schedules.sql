@@ -0,0 +1,34 @@
+-- ===============================
+-- Scheduled & conditional orders (scheduler.js)
+-- ===============================
+-- Time-based entries, GTT-style price triggers and the intraday square-off.
+-- `next_run_at` is advanced (or the row marked triggered) before a schedule
+-- fires, so a restart never fires the same run twice.
+
+create table if not exists order_schedules (
+  id uuid primary key default gen_random_uuid(),
+  name text,
+  type text not null check (type in ('time', 'price', 'square_off')),
+  status text not null default 'active' check (status in ('active', 'paused', 'triggered', 'expired', 'failed')),
+  payload jsonb,
+  at timestamptz,
+  time text,
+  days integer[],
+  instrument_key text,
+  condition text check (condition in ('above', 'below')),
+  trigger_price numeric,
+  segments text[],
+  accounts text[],
+  expires_at timestamptz,
+  next_run_at timestamptz,
+  last_run_at timestamptz,
+  last_result jsonb,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists order_schedules_status_idx on order_schedules (status);
+
+alter table tradingview_logs
+  add column if not exists schedule_id uuid;
@@ -0,0 +1,19 @@
+-- ===============================
+-- Position book (positionBook.js)
+-- ===============================
+-- Net quantity per mode, account and instrument as the server's own fills
+-- left it; reconciled against broker positions and holdings. `key` is
+-- mode|account_id|instrument_key. Only live rows are stored; the paper book
+-- lives in memory with the simulated broker.
+
+create table if not exists position_book (
+  key text primary key,
+  mode text not null,
+  account_id text,
+  instrument_key text not null,
+  trading_symbol text,
+  product text,
+  quantity integer not null default 0,
+  average_price numeric not null default 0,
+  updated_at timestamptz not null default now()
+);
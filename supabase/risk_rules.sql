@@ -0,0 +1,19 @@
+-- ===============================
+-- Risk rules (riskEngine.js)
+-- ===============================
+-- On first start with an empty table the MAX_* env limits are inserted as
+-- global rules. `params` holds the type's settings (e.g. {"max": 10000});
+-- scope_value is null for global rules and the segment, symbol or account
+-- id otherwise. Log rows reference a rejecting rule by id (rule_id).
+
+create table if not exists risk_rules (
+  id bigint generated always as identity primary key,
+  type text not null,
+  scope text not null default 'global' check (scope in ('global', 'segment', 'symbol', 'account')),
+  scope_value text,
+  params jsonb not null default '{}',
+  enabled boolean not null default true,
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
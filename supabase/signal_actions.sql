@@ -0,0 +1,8 @@
+-- ===============================
+-- Exit, reverse and target-position signals (signalActions.js)
+-- ===============================
+-- `action` keeps what the alert sent (EXIT, REVERSE, ...); `order_side` is the
+-- side actually sent for that row. Close legs are logged with leg = 'close'.
+
+alter table tradingview_logs
+  add column if not exists order_side text;
@@ -0,0 +1,28 @@
+-- ===============================
+-- Signal queue (signalQueue.js)
+-- ===============================
+-- One row per webhook signal and target account. `seq` preserves arrival
+-- order for the worker; done rows are purged after SIGNAL_QUEUE_RETENTION_DAYS,
+-- dead ones stay until replayed or deleted by hand.
+
+create table if not exists signal_queue (
+  id uuid primary key default gen_random_uuid(),
+  seq bigint generated always as identity,
+  status text not null default 'pending' check (status in ('pending', 'processing', 'done', 'dead')),
+  ordering_key text not null,
+  account_id text,
+  strategy text,
+  payload jsonb not null,
+  attempts integer not null default 0,
+  last_error text,
+  next_attempt_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists signal_queue_open_idx on signal_queue (seq) where status in ('pending', 'processing');
+create index if not exists signal_queue_status_idx on signal_queue (status, seq);
+
+alter table tradingview_logs
+  add column if not exists signal_id uuid;
@@ -0,0 +1,41 @@
+-- ===============================
+-- Trade journal (tradeJournal.js)
+-- ===============================
+-- Log rows older than LOG_ARCHIVE_AFTER_DAYS move here instead of being
+-- deleted, so the journal keeps every fill. The full row is kept as jsonb,
+-- which keeps the archive working as tradingview_logs gains columns.
+
+create table if not exists tradingview_logs_archive (
+  id uuid primary key,
+  created_at timestamptz not null,
+  order_id text,
+  row jsonb not null,
+  archived_at timestamptz not null default now()
+);
+
+create index if not exists tradingview_logs_archive_created_idx on tradingview_logs_archive (created_at);
+
+-- 'trade_book' once syncFills() corrected the row from the broker's trade
+-- book; null while the price is the order tracker's
+alter table tradingview_logs
+  add column if not exists fill_source text;
+
+-- Moves rows created before `cutoff` in one transaction; returns how many
+create or replace function archive_tradingview_logs(cutoff timestamptz)
+returns integer
+language plpgsql
+as $$
+declare
+  moved integer;
+begin
+  insert into tradingview_logs_archive (id, created_at, order_id, row)
+  select l.id, l.created_at, l.order_id, to_jsonb(l)
+  from tradingview_logs l
+  where l.created_at < cutoff
+  on conflict (id) do nothing;
+
+  delete from tradingview_logs where created_at < cutoff;
+  get diagnostics moved = row_count;
+  return moved;
+end;
+$$;
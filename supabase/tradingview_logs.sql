@@ -0,0 +1,39 @@
+-- ===============================
+-- Order log columns (server.js logWebhookOrder / updateOrderLog)
+-- ===============================
+-- Columns the order log gained on top of the original symbol/action/quantity/
+-- product/price/status/reason/order_id/payload. Feature-specific columns
+-- (account_id, schedule_id, order_side, signal_id, fill_source, strategy,
+-- idempotency_key) live with their feature's file.
+
+alter table tradingview_logs
+  -- 'paper' or 'live'; the daily trade counts and P&L are per mode
+  add column if not exists mode text,
+  -- Resolved instrument and the exchange quantity actually sent (lots x lot size)
+  add column if not exists instrument_key text,
+  add column if not exists trading_symbol text,
+  add column if not exists segment text,
+  add column if not exists order_quantity integer,
+  -- 'lots' | 'capital' | 'percent_equity' | 'risk' when the strategy sized the entry
+  add column if not exists sizing_mode text,
+  -- Every child order id when a quantity above the freeze limit was sliced
+  add column if not exists child_order_ids text[],
+  -- group_id ties a bracket entry to its exits (or a basket's legs together);
+  -- leg is 'entry' | 'close' | 'stop_loss' | 'target' | 'basket' or a basket leg's name
+  add column if not exists group_id text,
+  add column if not exists leg text,
+  -- Written by the order tracker as the broker reports the order
+  add column if not exists order_status text,
+  add column if not exists filled_quantity integer,
+  add column if not exists fill_price numeric,
+  add column if not exists rejection_reason text,
+  add column if not exists slippage numeric,
+  add column if not exists slippage_pct numeric,
+  add column if not exists updated_at timestamptz,
+  -- Rule that skipped the signal: a risk_rules id or 'kill_switch'
+  add column if not exists rule_id text,
+  add column if not exists rule_type text;
+
+create index if not exists tradingview_logs_order_id_idx on tradingview_logs (order_id);
+create index if not exists tradingview_logs_group_id_idx on tradingview_logs (group_id) where group_id is not null;
+create index if not exists tradingview_logs_mode_created_idx on tradingview_logs (mode, created_at);
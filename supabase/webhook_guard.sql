@@ -0,0 +1,31 @@
+-- ===============================
+-- Webhook strategies & idempotency (webhookGuard.js)
+-- ===============================
+-- The primary key on webhook_idempotency.key is what makes a claim atomic:
+-- a second insert of the same alert fails with 23505 and is skipped.
+
+create table if not exists webhook_strategies (
+  name text primary key,
+  secret text not null,
+  enabled boolean not null default true,
+  require_signature boolean not null default false,
+  rate_limit_per_minute integer,
+  max_quantity integer,
+  allowed_symbols text[],
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create table if not exists webhook_idempotency (
+  key text primary key,
+  strategy text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists webhook_idempotency_expires_at_idx on webhook_idempotency (expires_at);
+
+alter table tradingview_logs
+  add column if not exists strategy text,
+  add column if not exists idempotency_key text;
@@ -0,0 +1,240 @@
+// ===============================
+// Symbol Resolution
+// ===============================
+// Maps what a TradingView alert sends onto an instrument master row:
+//
+//   RELIANCE, NSE:RELIANCE                 exact trading_symbol (exchange prefix narrows segment)
+//   NIFTY1!, NSE:BANKNIFTY2!               continuous futures: 1 = nearest, 2 = next expiry
+//   BANKNIFTY 48000 CE                     option, nearest expiry
+//   NIFTY ATM CE NW, NIFTY OTM2 PE CM      ATM / ATM±n / OTMn / ITMn strikes from the underlying LTP
+//   NIFTY 22000 PE 27 MAR 26               explicit expiry (also 2026-03-27)
+//   NIFTY260327C22000                      TradingView option ticker (YYMMDD, C/P, strike)
+//
+// Expiry keywords: CW (current week, default), NW (next week), CM (current
+// month), NM (next month).
+
+// Segment preference per TradingView exchange prefix (first wins on ties)
+const EXCHANGE_SEGMENTS = {
+  NSE: ["NSE_EQ", "NSE_INDEX", "NSE_FO"],
+  BSE: ["BSE_EQ", "BSE_INDEX", "BSE_FO"],
+  NFO: ["NSE_FO"],
+  BFO: ["BSE_FO"],
+  MCX: ["MCX_FO"],
+  CDS: ["NCD_FO"],
+  NCD: ["NCD_FO"]
+};
+const DEFAULT_SEGMENTS = ["NSE_EQ", "NSE_INDEX", "NSE_FO", "BSE_EQ", "BSE_INDEX", "BSE_FO", "MCX_FO", "NCD_FO", "NSE_COM"];
+const DERIVATIVE_SEGMENTS = { NSE: ["NSE_FO"], BSE: ["BSE_FO"], NFO: ["NSE_FO"], BFO: ["BSE_FO"], MCX: ["MCX_FO"], CDS: ["NCD_FO"], NCD: ["NCD_FO"] };
+const DEFAULT_DERIVATIVE_SEGMENTS = ["NSE_FO", "BSE_FO", "MCX_FO", "NCD_FO"];
+const SPOT_SEGMENTS = { NSE: ["NSE_INDEX", "NSE_EQ"], BSE: ["BSE_INDEX", "BSE_EQ"] };
+const DEFAULT_SPOT_SEGMENTS = ["NSE_INDEX", "NSE_EQ", "BSE_INDEX", "BSE_EQ"];
+
+const EXPIRY_KEYWORDS = {
+  CW: "CW", W: "CW", "CURRENT WEEK": "CW", WEEK: "CW",
+  NW: "NW", "NEXT WEEK": "NW",
+  CM: "CM", M: "CM", "CURRENT MONTH": "CM", MONTH: "CM",
+  NM: "NM", "NEXT MONTH": "NM"
+};
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+const OPTION_PATTERN = /^(\S+) (ATM(?:[+-]\d+)?|OTM\d+|ITM\d+|\d+(?:\.\d+)?) (CE|PE)(?: (.+))?$/;
+const TV_OPTION_PATTERN = /^([A-Z&-]+?)(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/;
+const CONTINUOUS_PATTERN = /^(\S+?)([12])!$/;
+
+function normalizeSymbol(tvSymbol) {
+  return tvSymbol.trim().replace(/\s+/g, " ");
+}
+
+// "NSE:NIFTY1!" -> { exchange: "NSE", symbol: "NIFTY1!" }
+function splitExchange(raw) {
+  const match = raw.match(/^([A-Za-z_]+):(.+)$/);
+  if (!match) return { exchange: null, symbol: raw };
+  return { exchange: match[1].toUpperCase(), symbol: match[2].trim() };
+}
+
+function istToday() {
+  return new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function monthRange(isoDate, offset = 0) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + offset, 1));
+  const end = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + offset + 1, 0));
+  return [start.toISOString().slice(0, 10), end.toISOString().slice(0, 10)];
+}
+
+// "27 MAR 26" / "27MAR2026" / "2026-03-27" -> "2026-03-27"; null if not a date
+function parseExplicitExpiry(text) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const match = text.replace(/\s+/g, "").match(/^(\d{1,2})([A-Z]{3})(\d{2}|\d{4})$/);
+  if (!match || !MONTHS.includes(match[2])) return null;
+  const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+  const month = String(MONTHS.indexOf(match[2]) + 1).padStart(2, "0");
+  return `${year}-${month}-${match[1].padStart(2, "0")}`;
+}
+
+// Offset from the ATM strike in the strike ladder (positive = higher strike)
+function strikeOffset(spec, optionType) {
+  if (spec.startsWith("ATM")) return parseInt(spec.slice(3) || "0");
+  const n = parseInt(spec.slice(3));
+  const towardsOtm = optionType === "CE" ? 1 : -1;
+  return spec.startsWith("OTM") ? n * towardsOtm : -n * towardsOtm;
+}
+
+function pickBySegment(rows, segments) {
+  for (const segment of segments) {
+    const row = rows.find(r => r.segment === segment);
+    if (row) return row;
+  }
+  return rows[0] || null;
+}
+
+function createSymbolResolver({ instruments, getLtp }) {
+  // Unexpired contracts of `underlying` (trading symbols start "<underlying> ")
+  function derivatives(underlying, segments, instrumentType, filter = {}) {
+    const today = istToday();
+    const minExpiry = filter.minExpiry && filter.minExpiry > today ? filter.minExpiry : today;
+    return instruments.findDerivatives({ underlying, segments, instrumentType, ...filter, minExpiry });
+  }
+
+  function byInstrumentKey(instrumentKey) {
+    return instruments.findByKey(instrumentKey);
+  }
+
+  async function exact(symbol, exchange) {
+    const segments = exchange ? EXCHANGE_SEGMENTS[exchange] || DEFAULT_SEGMENTS : DEFAULT_SEGMENTS;
+    return pickBySegment(await instruments.findBySymbol(symbol, segments), segments);
+  }
+
+  async function continuousFuture(underlying, n, exchange) {
+    const segments = DERIVATIVE_SEGMENTS[exchange] || DEFAULT_DERIVATIVE_SEGMENTS;
+    const rows = await derivatives(underlying, segments, "FUT", { limit: 10 });
+    const expiries = [...new Set(rows.map(r => r.expiry))];
+    const expiry = expiries[n - 1];
+    return expiry ? pickBySegment(rows.filter(r => r.expiry === expiry), segments) : null;
+  }
+
+  async function resolveExpiry(underlying, optionType, segments, spec) {
+    const explicit = spec ? parseExplicitExpiry(spec) : null;
+    if (explicit) return explicit;
+
+    const keyword = spec ? EXPIRY_KEYWORDS[spec] : "CW";
+    if (!keyword) throw new Error(`Unknown expiry: ${spec}`);
+
+    const nearest = (await derivatives(underlying, segments, optionType, { limit: 1 }))[0]?.expiry;
+    if (!nearest || keyword === "CW") return nearest || null;
+
+    if (keyword === "NW") {
+      const rows = await derivatives(underlying, segments, optionType, { afterExpiry: nearest, limit: 1 });
+      return rows[0]?.expiry || null;
+    }
+
+    // Monthly expiry = last expiry in the month of the nearest one (or the next month)
+    const [start, end] = monthRange(nearest, keyword === "NM" ? 1 : 0);
+    const rows = await derivatives(underlying, segments, optionType, { minExpiry: start, maxExpiry: end, order: "desc", limit: 1 });
+    return rows[0]?.expiry || null;
+  }
+
+  // Spot LTP for the underlying (index or equity), else the nearest future's.
+  // -> { instrument, ltp, kind: "spot" | "future" } or null
+  async function underlyingQuote(underlying, exchange) {
+    const spotSegments = SPOT_SEGMENTS[exchange] || DEFAULT_SPOT_SEGMENTS;
+    const spotRows = await instruments.findBySymbol(underlying, spotSegments);
+    const candidates = [
+      { instrument: pickBySegment(spotRows, spotSegments), kind: "spot" },
+      { instrument: await continuousFuture(underlying, 1, exchange), kind: "future" }
+    ].filter(c => c.instrument);
+
+    for (const { instrument, kind } of candidates) {
+      const prices = await getLtp([instrument.instrument_key]);
+      const ltp = parseFloat(prices?.[instrument.instrument_key]);
+      if (ltp > 0) return { instrument, ltp, kind };
+    }
+    return null;
+  }
+
+  async function underlyingPrice(underlying, exchange) {
+    return (await underlyingQuote(underlying, exchange))?.ltp ?? null;
+  }
+
+  async function option({ underlying, strikeSpec, optionType, expirySpec, exchange, hints }) {
+    const segments = DERIVATIVE_SEGMENTS[exchange] || DEFAULT_DERIVATIVE_SEGMENTS;
+    const expiry = await resolveExpiry(underlying, optionType, segments, expirySpec);
+    if (!expiry) return null;
+
+    const ladder = (await derivatives(underlying, segments, optionType, { expiry }))
+      .sort((a, b) => a.strike_price - b.strike_price);
+    if (ladder.length === 0) return null;
+
+    if (/^\d/.test(strikeSpec)) {
+      const strike = parseFloat(strikeSpec);
+      return ladder.find(r => Math.abs(r.strike_price - strike) < 1e-6) || null;
+    }
+
+    const ltp = parseFloat(hints.underlyingPrice) || await underlyingPrice(underlying, exchange);
+    if (!(ltp > 0)) throw new Error(`no LTP for ${underlying} to pick the ${strikeSpec} strike`);
+
+    let atm = 0;
+    for (let i = 1; i < ladder.length; i++) {
+      if (Math.abs(ladder[i].strike_price - ltp) < Math.abs(ladder[atm].strike_price - ltp)) atm = i;
+    }
+    return ladder[atm + strikeOffset(strikeSpec, optionType)] || null;
+  }
+
+  // hints: { expiry, underlyingPrice } from the alert payload
+  async function resolve(tvSymbol, hints = {}) {
+    const { exchange, symbol: rawSymbol } = splitExchange(normalizeSymbol(tvSymbol));
+    const symbol = rawSymbol.toUpperCase();
+
+    const direct = await exact(rawSymbol, exchange);
+    if (direct) return direct;
+
+    const continuous = symbol.match(CONTINUOUS_PATTERN);
+    if (continuous) return continuousFuture(continuous[1], parseInt(continuous[2]), exchange);
+
+    const tvOption = symbol.match(TV_OPTION_PATTERN);
+    if (tvOption) {
+      const [, underlying, yy, mm, dd, cp, strike] = tvOption;
+      return option({
+        underlying, strikeSpec: strike, optionType: cp === "C" ? "CE" : "PE",
+        expirySpec: `20${yy}-${mm}-${dd}`, exchange, hints
+      });
+    }
+
+    const opt = symbol.match(OPTION_PATTERN);
+    if (opt) {
+      const [, underlying, strikeSpec, optionType, expiryText] = opt;
+      const expirySpec = (expiryText || hints.expiry || "CW").toString().toUpperCase();
+      return option({ underlying, strikeSpec, optionType, expirySpec, exchange, hints });
+    }
+    return null;
+  }
+
+  // Every CE and PE contract of one expiry (CW / NW / CM / NM or a date, as
+  // in alerts) plus the upcoming expiries to choose from. `tvUnderlying` may
+  // carry an exchange prefix ("NSE:NIFTY", "MCX:CRUDEOIL").
+  async function optionContracts(tvUnderlying, expirySpec = "CW") {
+    const { exchange, symbol } = splitExchange(normalizeSymbol(tvUnderlying));
+    const underlying = symbol.toUpperCase();
+    const segments = DERIVATIVE_SEGMENTS[exchange] || DEFAULT_DERIVATIVE_SEGMENTS;
+    const expiry = await resolveExpiry(underlying, "CE", segments, String(expirySpec).toUpperCase());
+    if (!expiry) return null;
+
+    const [calls, puts, upcoming] = await Promise.all([
+      derivatives(underlying, segments, "CE", { expiry }),
+      derivatives(underlying, segments, "PE", { expiry }),
+      derivatives(underlying, segments, "CE", { limit: 1000 })
+    ]);
+    return {
+      underlying,
+      exchange,
+      expiry,
+      expiries: [...new Set(upcoming.map(r => r.expiry))],
+      contracts: [...calls, ...puts]
+    };
+  }
+
+  return { resolve, byInstrumentKey, optionContracts, underlyingQuote };
+}
+
+module.exports = { createSymbolResolver, normalizeSymbol };
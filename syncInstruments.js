@@ -1,162 +1,227 @@
 const axios = require("axios");
 const zlib = require("zlib");
-const { createClient } = require("@supabase/supabase-js");
+const path = require("path");
+const { createStorage } = require("./storage");
+const {
+  readInstrumentFile, expandInstrumentPaths, normalizeInstrument, isRelevantInstrument, unwrapJson
+} = require("./instrumentFiles");
 require("dotenv").config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+const SEGMENTS = ["NSE", "BSE", "MCX", "NSE_FO"];
+// Comma-separated local files/directories to import instead of downloading
+const INSTRUMENT_SYNC_FILES = (process.env.INSTRUMENT_SYNC_FILES || "").split(",").map(f => f.trim()).filter(Boolean);
+const BATCH_SIZE = 1000;
+const DIFF_SAMPLE_LIMIT = 500; // per list in the stored report
+
+// ===============================
+// Sources: download a segment or read a local file
+// ===============================
+function filterAndMap(instruments, label) {
+  console.log(`📊 Processing ${instruments.length} instruments for ${label}...`);
+  const filteredInstruments = instruments.filter(isRelevantInstrument);
+  console.log(`🧹 Filtered down to ${filteredInstruments.length} relevant instruments for ${label}.`);
+  if (filteredInstruments.length === 0) throw new Error(`${label} returned no instruments`);
+  return filteredInstruments.map(normalizeInstrument);
+}
+
+// Throws on any failure: a partial download must never become the master
+async function fetchSegment(segment) {
+  const url = `https://assets.upstox.com/market-quote/instruments/exchange/${segment}.json.gz`;
+  console.log(`🌐 Fetching ${segment} instruments...`);
+
+  const response = await axios({
+    method: "get",
+    url: url,
+    responseType: "stream",
+    headers: {
+      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
+      "Accept": "*/*",
+      "Accept-Encoding": "gzip, deflate, br",
+      "Referer": "https://upstox.com/",
+      "Origin": "https://upstox.com"
+    }
+  });
+
+  const gunzip = zlib.createGunzip();
+  let chunks = [];
+
+  response.data.pipe(gunzip);
+
+  await new Promise((resolve, reject) => {
+    response.data.on("error", (err) => reject(err));
+    gunzip.on("data", (chunk) => { chunks.push(chunk); });
+    gunzip.on("end", () => resolve());
+    gunzip.on("error", (err) => reject(err));
+  });
+
+  return filterAndMap(unwrapJson(Buffer.concat(chunks).toString(), `${segment} response`), segment);
+}
 
-if (!supabaseUrl || !supabaseKey) {
-  console.error("❌ ERROR: SUPABASE_URL or SUPABASE_KEY is missing!");
-  process.exit(1);
+async function loadFile(filePath) {
+  console.log(`📂 Reading ${filePath}...`);
+  return filterAndMap(await readInstrumentFile(filePath), path.basename(filePath));
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+function resolveSources(files) {
+  if (files.length > 0) {
+    return expandInstrumentPaths(files).map(f => ({ label: path.basename(f), load: () => loadFile(f) }));
+  }
+  return SEGMENTS.map(segment => ({
+    label: segment,
+    load: async () => {
+      // Delay to avoid rate limiting
+      await new Promise(r => setTimeout(r, 1000));
+      return fetchSegment(segment);
+    }
+  }));
+}
 
-async function syncInstruments() {
-  const segments = ["NSE", "BSE", "MCX", "NSE_FO"];
-  console.log("📥 Starting instrument sync to Supabase for:", segments.join(", "));
+// ===============================
+// Snapshot diff
+// ===============================
+async function loadCurrentMaster(store) {
+  const current = new Map();
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const data = await store.listKeys(offset, BATCH_SIZE);
+    for (const row of data) current.set(row.instrument_key, row);
+    if (data.length < BATCH_SIZE) return current;
+  }
+}
 
-  try {
-    // 1. Clear existing data
-    console.log("🧹 Clearing existing instruments from Supabase...");
-    const { error: deleteError } = await supabase
-      .from("instruments_upstoxmaster")
-      .delete()
-      .neq("id", 0); // Delete all
+function istToday() {
+  return new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 10);
+}
 
-    if (deleteError) {
-      console.error("❌ Error clearing instruments:", deleteError.message);
-      return { success: false, error: deleteError.message };
+// added / removed / lot size changes / expired contracts (removed because they rolled off)
+function diffSnapshots(current, next) {
+  const today = istToday();
+  const diff = { added: [], removed: [], expired: [], lot_size_changed: [] };
+
+  for (const [key, row] of next) {
+    const old = current.get(key);
+    if (!old) {
+      diff.added.push({ instrument_key: key, trading_symbol: row.trading_symbol });
+    } else if ((old.lot_size ?? null) !== (row.lot_size ?? null)) {
+      diff.lot_size_changed.push({ instrument_key: key, trading_symbol: row.trading_symbol, from: old.lot_size, to: row.lot_size });
     }
+  }
+  for (const [key, old] of current) {
+    if (next.has(key)) continue;
+    const entry = { instrument_key: key, trading_symbol: old.trading_symbol, expiry: old.expiry };
+    if (old.expiry && old.expiry < today) diff.expired.push(entry);
+    else diff.removed.push(entry);
+  }
+  return diff;
+}
+
+function reportRow(report) {
+  const row = { ...report };
+  if (row.diff) {
+    row.diff = Object.fromEntries(Object.entries(row.diff).map(([k, list]) => [k, list.slice(0, DIFF_SAMPLE_LIMIT)]));
+  }
+  return row;
+}
 
-    let totalInserted = 0;
-
-    for (const segment of segments) {
-      try {
-        // Delay to avoid rate limiting
-        await new Promise(r => setTimeout(r, 1000));
-
-        const url = `https://assets.upstox.com/market-quote/instruments/exchange/${segment}.json.gz`;
-        console.log(`🌐 Fetching ${segment} instruments...`);
-
-        const response = await axios({
-          method: "get",
-          url: url,
-          responseType: "stream",
-          headers: {
-            "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
-            "Accept": "*/*",
-            "Accept-Encoding": "gzip, deflate, br",
-            "Referer": "https://upstox.com/",
-            "Origin": "https://upstox.com"
-          }
-        });
-
-        const gunzip = zlib.createGunzip();
-        let chunks = [];
-
-        response.data.pipe(gunzip);
-
-        await new Promise((resolve, reject) => {
-          gunzip.on("data", (chunk) => { chunks.push(chunk); });
-          gunzip.on("end", () => resolve());
-          gunzip.on("error", (err) => reject(err));
-        });
-
-        const rawData = Buffer.concat(chunks).toString();
-        let instruments = JSON.parse(rawData);
-        
-        // Handle cases where the response might be { data: [...] } instead of directly [...]
-        if (!Array.isArray(instruments) && instruments.data && Array.isArray(instruments.data)) {
-          instruments = instruments.data;
-        }
-
-        if (!Array.isArray(instruments)) {
-          console.error(`❌ ${segment} response is not an array. Keys:`, Object.keys(instruments));
-          continue;
-        }
-
-        console.log(`📊 Processing ${instruments.length} instruments for ${segment}...`);
-
-        // Pre-filter like the old code did
-        const filteredInstruments = instruments.filter(inst => {
-          if (!inst.instrument_key || !inst.trading_symbol) return false;
-          
-          const type = inst.instrument_type?.toUpperCase() || "";
-          const segmentName = inst.segment?.toUpperCase() || "";
-          
-          // Only EQ, FUT, OPT, INDEX, CE, PE, FO
-          return (
-            type.startsWith('EQ') || 
-            type === 'INDEX' || 
-            type.includes('FUT') || 
-            type.includes('OPT') || 
-            type === 'CE' || 
-            type === 'PE' || 
-            segmentName.includes('FO')
-          );
-        });
-
-        console.log(`🧹 Filtered down to ${filteredInstruments.length} relevant instruments for ${segment}.`);
-
-        // Batch insert in chunks of 1000
-        const batchSize = 1000;
-        for (let i = 0; i < filteredInstruments.length; i += batchSize) {
-          const chunk = filteredInstruments.slice(i, i + batchSize).map(inst => {
-            // Handle expiry (could be timestamp number or string)
-            let expiryDate = null;
-            if (inst.expiry && inst.expiry !== "" && inst.expiry !== "0") {
-              try {
-                const d = new Date(inst.expiry);
-                if (!isNaN(d.getTime())) {
-                  expiryDate = d.toISOString().split('T')[0];
-                }
-              } catch (e) {
-                expiryDate = null;
-              }
-            }
-
-            return {
-              trading_symbol: inst.trading_symbol,
-              name: inst.name,
-              instrument_key: inst.instrument_key,
-              exchange: inst.exchange,
-              instrument_type: inst.instrument_type,
-              expiry: expiryDate,
-              lot_size: (inst.lot_size && !isNaN(inst.lot_size)) ? parseInt(inst.lot_size) : null,
-              strike_price: (inst.strike_price && !isNaN(inst.strike_price)) ? parseFloat(inst.strike_price) : null,
-              segment: inst.segment
-            };
-          });
-
-          const { error: insertError } = await supabase
-            .from("instruments_upstoxmaster")
-            .upsert(chunk, { onConflict: "instrument_key" });
-
-          if (insertError) {
-            console.error(`❌ Error inserting batch for ${segment}:`, insertError.message);
-          } else {
-            totalInserted += chunk.length;
-          }
-        }
-        console.log(`✅ ${segment} completed.`);
-      } catch (segmentError) {
-        console.error(`❌ Error processing segment ${segment}:`, segmentError.message);
+// ===============================
+// Sync: load -> staging -> diff -> atomic swap
+// ===============================
+// The master is only replaced by `store.swapStaging()` (on Supabase the
+// `swap_instruments_staging()` function in supabase/instrument_sync.sql),
+// which copies the staging table in one transaction. Any failure before that
+// leaves the live master untouched.
+function createInstrumentSync({ store, onFailure = () => {} }) {
+  let currentJob = null;
+  let jobSeq = 0;
+
+  // `files` (or INSTRUMENT_SYNC_FILES) switches the source from the Upstox
+  // download to local .json/.json.gz/.csv files, e.g. for offline seeding.
+  async function run(trigger = "manual", { files = INSTRUMENT_SYNC_FILES } = {}) {
+    const startedAt = new Date().toISOString();
+    const report = { trigger, segments: [], started_at: startedAt, status: "failed", total: 0 };
+    try {
+      const sources = resolveSources(files);
+      report.segments = sources.map(s => s.label);
+      console.log("📥 Starting instrument sync for:", report.segments.join(", "));
+
+      const next = new Map();
+      const segmentCounts = {};
+      for (const source of sources) {
+        const rows = await source.load();
+        segmentCounts[source.label] = rows.length;
+        for (const row of rows) next.set(row.instrument_key, row);
+        console.log(`✅ ${source.label} loaded.`);
       }
+      report.segment_counts = segmentCounts;
+      report.total = next.size;
+
+      console.log("🧹 Clearing staging table...");
+      await store.clearStaging().catch(err => { throw new Error(`staging clear failed: ${err.message}`); });
+
+      const rows = [...next.values()];
+      for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+        await store.insertStaging(rows.slice(i, i + BATCH_SIZE))
+          .catch(err => { throw new Error(`staging insert failed at row ${i}: ${err.message}`); });
+      }
+      console.log(`📦 Staged ${rows.length} instruments.`);
+
+      const diff = diffSnapshots(await loadCurrentMaster(store), next);
+      report.diff = diff;
+      report.added_count = diff.added.length;
+      report.removed_count = diff.removed.length;
+      report.expired_count = diff.expired.length;
+      report.lot_size_changed_count = diff.lot_size_changed.length;
+
+      const swapped = await store.swapStaging().catch(err => { throw new Error(`swap failed: ${err.message}`); });
+
+      report.status = "success";
+      console.log(`✨ Sync completed! ${swapped ?? rows.length} instruments live (+${diff.added.length} / -${diff.removed.length} / expired ${diff.expired.length} / lot size changes ${diff.lot_size_changed.length})`);
+    } catch (error) {
+      report.error = error.message;
+      console.error("❌ Sync failed, master table left unchanged:", error.message);
+      onFailure(report);
+    }
+
+    report.finished_at = new Date().toISOString();
+    try {
+      await store.saveSyncReport(reportRow(report));
+    } catch (err) {
+      console.error("❌ Sync report save error:", err.message);
     }
 
-    console.log(`✨ Sync completed! Total instruments inserted: ${totalInserted}`);
-    return { success: true, total: totalInserted };
-  } catch (error) {
-    console.error("❌ Sync failed:", error.message);
-    return { success: false, error: error.message };
+    const { diff, ...summary } = report; // counts only; the lists live in the stored report
+    return { success: report.status === "success", ...summary };
+  }
+
+  // ---- Background job (one at a time) ----
+  function startJob(trigger = "manual") {
+    if (currentJob?.status === "running") return { job: currentJob, already_running: true };
+
+    const job = { id: ++jobSeq, trigger, status: "running", started_at: new Date().toISOString(), finished_at: null, result: null };
+    currentJob = job;
+    run(trigger)
+      .then(result => { job.result = result; job.status = result.success ? "success" : "failed"; })
+      .catch(err => { job.result = { success: false, error: err.message }; job.status = "failed"; })
+      .finally(() => { job.finished_at = new Date().toISOString(); });
+    return { job, already_running: false };
+  }
+
+  function getJob() {
+    return currentJob;
+  }
+
+  function listReports(limit = 20) {
+    return store.listSyncReports(limit);
   }
+
+  return { run, startJob, getJob, listReports };
 }
 
 // Allow it to be run directly or imported
 if (require.main === module) {
-  syncInstruments().then(() => process.exit(0));
+  // node syncInstruments.js [file-or-dir ...]
+  const files = process.argv.slice(2);
+  const sync = createInstrumentSync({ store: createStorage().instruments });
+  sync.run("cli", files.length > 0 ? { files } : {}).then(result => process.exit(result.success ? 0 : 1));
 }
 
-module.exports = syncInstruments;
+module.exports = { createInstrumentSync };
@@ -0,0 +1,97 @@
+const axios = require('axios');
+const http = require('http');
+const net = require('net');
+
+// Checks POST /api/notifications/:id/test against local stand-ins: an SMTP
+// server (net) for an email channel and an HTTP listener for a webhook
+// channel. Run against a server started on this machine (admin PIN in PIN).
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5000';
+
+// Just enough SMTP to accept one message: no STARTTLS, no AUTH
+function startSmtp(received) {
+  const server = net.createServer(socket => {
+    let data = null;
+    let buffer = '';
+    socket.write('220 stand-in ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (data !== null) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        received.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        data = null;
+        socket.write('250 queued\r\n');
+      }
+      let index;
+      while (data === null && (index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') socket.write('250 stand-in\r\n');
+        else if (verb === 'MAIL' || verb === 'RCPT') socket.write('250 ok\r\n');
+        else if (verb === 'DATA') {
+          data = '';
+          socket.write('354 end with <CRLF>.<CRLF>\r\n');
+        } else if (verb === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('502 not implemented\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function startHttp(received) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body || '{}'));
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testNotifications() {
+  const mails = [];
+  const posts = [];
+  const smtp = await startSmtp(mails);
+  const hook = await startHttp(posts);
+  const created = [];
+  let headers;
+  let failed = false;
+
+  try {
+    const login = await axios.post(`${BASE_URL}/api/verify-pin`, { pin: process.env.PIN || '123456' });
+    headers = { Authorization: `Bearer ${login.data.token}` };
+
+    const channels = [
+      { name: `test-email-${Date.now()}`, type: 'email', config: { host: '127.0.0.1', port: smtp.address().port, from: 'bot@localhost', to: 'desk@localhost' } },
+      { name: `test-webhook-${Date.now()}`, type: 'webhook', config: { url: `http://127.0.0.1:${hook.address().port}/hook` } }
+    ];
+    for (const channel of channels) {
+      const { data } = await axios.post(`${BASE_URL}/api/notifications`, channel, { headers });
+      created.push(data.id);
+      const result = await axios.post(`${BASE_URL}/api/notifications/${data.id}/test`, {}, { headers, validateStatus: () => true });
+      console.log(`${channel.type} test Status (expected 200):`, result.status, result.data);
+      if (result.status !== 200) failed = true;
+    }
+
+    const mail = mails[0] || '';
+    console.log('SMTP stand-in received a message:', mails.length === 1 && /Subject: /.test(mail));
+    console.log('HTTP stand-in received a test event:', posts.length === 1 && posts[0].event === 'test');
+    if (mails.length !== 1 || posts.length !== 1 || posts[0].event !== 'test') failed = true;
+  } catch (err) {
+    console.error('Fetch Error:', err.response?.data || err.message);
+    failed = true;
+  } finally {
+    for (const id of created) await axios.delete(`${BASE_URL}/api/notifications/${id}`, { headers }).catch(() => {});
+    smtp.close();
+    hook.close();
+  }
+  console.log(failed ? 'FAILED' : 'OK');
+  process.exitCode = failed ? 1 : 0;
+}
+
+testNotifications();
@@ -1,15 +1,28 @@
 
 const axios = require('axios');
 
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5000';
+
 async function testPin() {
-  console.log('Testing http://localhost:3000/api/verify-pin...');
+  console.log(`Testing ${BASE_URL}/api/verify-pin...`);
   try {
-    const response = await axios.post('http://localhost:3000/api/verify-pin', { pin: '123456' });
+    const response = await axios.post(`${BASE_URL}/api/verify-pin`, { pin: process.env.PIN || '123456' });
     console.log('Valid PIN Status:', response.status);
     console.log('Valid PIN Data:', response.data);
 
+    const logs = await axios.get(`${BASE_URL}/api/logs?limit=1`, {
+      headers: { Authorization: `Bearer ${response.data.token}` }
+    });
+    console.log('Authenticated /api/logs Status:', logs.status);
+
+    try {
+        await axios.get(`${BASE_URL}/api/logs?limit=1`);
+    } catch (err) {
+        console.log('Unauthenticated /api/logs Status (expected 401):', err.response?.status);
+    }
+
     try {
-        await axios.post('http://localhost:3000/api/verify-pin', { pin: 'wrong' });
+        await axios.post(`${BASE_URL}/api/verify-pin`, { pin: 'wrong' });
     } catch (err) {
         console.log('Invalid PIN Status (expected 401):', err.response?.status);
         console.log('Invalid PIN Data:', err.response?.data);
@@ -0,0 +1,263 @@
+// ===============================
+// Trade Journal
+// ===============================
+// Rebuilds round-trip trades from the order log: every filled row is a fill,
+// and fills are matched first-in first-out per mode, account and instrument.
+// An entry opens a trade; opposite fills close it (partly or fully) and a fill
+// larger than what is open flips into a new trade. A trade belongs to the
+// strategy that opened it, so bracket legs, EXIT signals and kill-switch
+// square-offs all count toward it. Fill prices come from the order tracker
+// and are corrected from the broker trade book by syncFills(). P&L is gross
+// of brokerage and taxes.
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+function istDate(iso) {
+  return new Date(Date.parse(iso) + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// BUY / SELL actually sent; older rows only carry the alert's action
+function fillSide(row) {
+  const side = String(row.order_side || row.action || "").toUpperCase();
+  return side === "BUY" || side === "SELL" ? side : null;
+}
+
+function toFill(row) {
+  const quantity = parseInt(row.filled_quantity) || 0;
+  const price = parseFloat(row.fill_price) || 0;
+  const side = fillSide(row);
+  if (!(quantity > 0) || !(price > 0) || !side) return null;
+  const instrumentKey = row.instrument_key || row.payload?.instrument_token || row.symbol;
+  return {
+    log_id: row.id,
+    side,
+    quantity,
+    price,
+    at: row.created_at,
+    mode: row.mode || "live",
+    account_id: row.account_id || null,
+    strategy: row.strategy || row.payload?.strategy || null,
+    instrument_key: instrumentKey,
+    symbol: row.trading_symbol || row.symbol || instrumentKey
+  };
+}
+
+function finishTrade(trade) {
+  const sign = trade.direction === "long" ? 1 : -1;
+  const exited = trade.exits.reduce((sum, e) => sum + e.quantity, 0);
+  const exitValue = trade.exits.reduce((sum, e) => sum + e.quantity * e.price, 0);
+  const pnl = (exitValue - exited * trade.entry_price) * sign;
+  const closed = exited === trade.quantity;
+  const last = trade.exits[trade.exits.length - 1];
+  return {
+    ...trade,
+    status: closed ? "closed" : "open",
+    exited_quantity: exited,
+    exit_price: exited > 0 ? round(exitValue / exited, 4) : null,
+    closed_at: closed ? last.at : null,
+    holding_minutes: closed ? round((Date.parse(last.at) - Date.parse(trade.opened_at)) / 60000, 1) : null,
+    pnl: round(pnl),
+    return_pct: round(pnl / (trade.entry_price * trade.quantity) * 100)
+  };
+}
+
+// Log rows (any order, oldest first preferred) -> round-trip trades
+function buildTrades(rows) {
+  const fills = rows.map(toFill).filter(Boolean).sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+  const books = new Map(); // mode|account|instrument -> open lots, oldest first
+  const trades = [];
+
+  for (const fill of fills) {
+    const key = `${fill.mode}|${fill.account_id || ""}|${fill.instrument_key}`;
+    if (!books.has(key)) books.set(key, []);
+    const lots = books.get(key);
+    const direction = fill.side === "BUY" ? "long" : "short";
+    let remaining = fill.quantity;
+
+    while (remaining > 0 && lots.length > 0 && lots[0].trade.direction !== direction) {
+      const lot = lots[0];
+      const quantity = Math.min(remaining, lot.open);
+      lot.trade.exits.push({ log_id: fill.log_id, quantity, price: fill.price, at: fill.at });
+      lot.open -= quantity;
+      remaining -= quantity;
+      if (lot.open === 0) lots.shift();
+    }
+
+    if (remaining > 0) {
+      const trade = {
+        id: fill.log_id,
+        mode: fill.mode,
+        account_id: fill.account_id,
+        strategy: fill.strategy,
+        symbol: fill.symbol,
+        instrument_key: fill.instrument_key,
+        direction,
+        quantity: remaining,
+        entry_price: fill.price,
+        opened_at: fill.at,
+        exits: []
+      };
+      trades.push(trade);
+      lots.push({ trade, open: remaining });
+    }
+  }
+  return trades.map(finishTrade);
+}
+
+// Win rate, expectancy, profit factor and drawdown over closed trades
+function computeStats(trades) {
+  const closed = trades
+    .filter(t => t.status === "closed")
+    .sort((a, b) => (a.closed_at < b.closed_at ? -1 : a.closed_at > b.closed_at ? 1 : 0));
+  const wins = closed.filter(t => t.pnl > 0);
+  const losses = closed.filter(t => t.pnl < 0);
+  const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+  const grossLoss = losses.reduce((sum, t) => sum + t.pnl, 0);
+  const net = grossProfit + grossLoss;
+
+  // Peak-to-trough of cumulative realised P&L, in trade close order
+  let cumulative = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  for (const t of closed) {
+    cumulative += t.pnl;
+    peak = Math.max(peak, cumulative);
+    maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+  }
+
+  const avgWin = wins.length ? grossProfit / wins.length : 0;
+  const avgLoss = losses.length ? grossLoss / losses.length : 0;
+  return {
+    trades: closed.length,
+    open_trades: trades.length - closed.length,
+    wins: wins.length,
+    losses: losses.length,
+    win_rate: closed.length ? round(wins.length / closed.length * 100) : null,
+    net_pnl: round(net),
+    gross_profit: round(grossProfit),
+    gross_loss: round(grossLoss),
+    avg_win: round(avgWin),
+    avg_loss: round(avgLoss),
+    largest_win: wins.length ? round(Math.max(...wins.map(t => t.pnl))) : 0,
+    largest_loss: losses.length ? round(Math.min(...losses.map(t => t.pnl))) : 0,
+    expectancy: closed.length ? round(net / closed.length) : null,
+    profit_factor: grossLoss < 0 ? round(grossProfit / -grossLoss) : null,
+    max_drawdown: round(maxDrawdown)
+  };
+}
+
+// Sums trade-book fills per order id -> { quantity, price }
+function fillsByOrder(tradeBook) {
+  const orders = new Map();
+  for (const t of tradeBook) {
+    const entry = orders.get(t.order_id) || { quantity: 0, value: 0 };
+    const quantity = parseInt(t.quantity) || 0;
+    entry.quantity += quantity;
+    entry.value += quantity * (parseFloat(t.average_price) || 0);
+    orders.set(t.order_id, entry);
+  }
+  return orders;
+}
+
+function createTradeJournal({ orderLogs, getBrokers, track = promise => promise }) {
+  async function loadTrades({ to } = {}) {
+    // Entries before `from` are needed to pair exits inside it, so load from the start
+    return buildTrades(await orderLogs.listOrders({ until: to }));
+  }
+
+  function matches(trade, { from, to, strategy, symbol, account_id, mode, status }) {
+    const at = trade.closed_at || trade.opened_at;
+    return (
+      (!from || at >= from) &&
+      (!to || at <= to) &&
+      (!strategy || (trade.strategy || "unassigned") === strategy) &&
+      (!symbol || trade.symbol === symbol || trade.instrument_key === symbol) &&
+      (!account_id || trade.account_id === account_id) &&
+      (!mode || trade.mode === mode) &&
+      (!status || trade.status === status)
+    );
+  }
+
+  async function trades(filters = {}) {
+    return (await loadTrades(filters)).filter(t => matches(t, filters));
+  }
+
+  async function summary(filters = {}) {
+    return computeStats(await trades(filters));
+  }
+
+  // Stats per group ("unassigned" for trades no strategy opened), best first
+  async function breakdown(field, filters = {}) {
+    const groups = new Map();
+    for (const trade of await trades(filters)) {
+      const name = trade[field] || "unassigned";
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(trade);
+    }
+    return [...groups]
+      .map(([name, list]) => ({ [field]: name, ...computeStats(list) }))
+      .sort((a, b) => b.net_pnl - a.net_pnl);
+  }
+
+  // Realised P&L per IST trading day with the running total and drawdown
+  async function equityCurve(filters = {}) {
+    const days = new Map();
+    for (const trade of await trades({ ...filters, status: "closed" })) {
+      const day = istDate(trade.closed_at);
+      days.set(day, (days.get(day) || 0) + trade.pnl);
+    }
+    let cumulative = 0;
+    let peak = 0;
+    return [...days.keys()].sort().map(date => {
+      cumulative += days.get(date);
+      peak = Math.max(peak, cumulative);
+      return { date, pnl: round(days.get(date)), cumulative: round(cumulative), drawdown: round(peak - cumulative) };
+    });
+  }
+
+  // Overwrites today's logged fills with the broker's trade book (sliced
+  // orders sum their child orders). The trade book only covers today.
+  async function syncFills({ since }) {
+    const result = { brokers: 0, updated: 0, errors: [] };
+    const rows = await orderLogs.listOrders({ since });
+
+    for (const broker of getBrokers()) {
+      const label = broker.accountId ? `${broker.name}:${broker.accountId}` : broker.name;
+      let fills;
+      try {
+        fills = fillsByOrder(await broker.getTradeBook());
+      } catch (err) {
+        result.errors.push(`${label}: ${err.response?.data?.errors?.[0]?.message || err.message}`);
+        continue;
+      }
+      result.brokers++;
+
+      const mode = broker.name === "paper" ? "paper" : "live";
+      for (const row of rows.filter(r => r.mode === mode && (r.account_id || null) === (broker.accountId || null))) {
+        const ids = [row.order_id, ...(row.child_order_ids || []).filter(id => id !== row.order_id)];
+        const matched = ids.map(id => fills.get(id)).filter(Boolean);
+        const quantity = matched.reduce((sum, f) => sum + f.quantity, 0);
+        if (quantity === 0) continue;
+        const price = round(matched.reduce((sum, f) => sum + f.value, 0) / quantity, 4);
+        if (row.fill_source === "trade_book" && parseInt(row.filled_quantity) === quantity && parseFloat(row.fill_price) === price) continue;
+
+        await track(orderLogs.update(row.id, {
+          filled_quantity: quantity,
+          fill_price: price,
+          fill_source: "trade_book",
+          updated_at: new Date().toISOString()
+        }));
+        result.updated++;
+      }
+    }
+    return result;
+  }
+
+  return { trades, summary, breakdown, equityCurve, syncFills };
+}
+
+module.exports = { createTradeJournal, buildTrades, computeStats };
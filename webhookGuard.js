@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+
+// ===============================
+// Webhook Guard
+// ===============================
+// Front door for /webhook/tradingview, checked in this order:
+//   1. source IP against WEBHOOK_IP_ALLOWLIST (optional; the word
+//      `tradingview` expands to TradingView's published alert IPs)
+//   2. credentials: `strategy` + `token` against that strategy's own secret,
+//      or the legacy WEBHOOK_SECRET for alerts that name no strategy
+//   3. `X-Signature` (hex HMAC-SHA256 of the raw body with the secret), when
+//      sent or when the strategy sets `require_signature`
+//   4. freshness of an optional `timestamp` (WEBHOOK_MAX_AGE_SECONDS)
+//   5. the strategy's per-minute rate limit
+// Idempotency keys are claimed later (claimSignal), once the payload is valid,
+// and persist so a restart or a redelivery never fires the same alert twice.
+// A claim whose alert could not be queued is released (releaseSignal) so the
+// redelivery is not mistaken for a duplicate.
+
+const TRADINGVIEW_IPS = ["52.89.214.238", "34.212.75.30", "54.218.53.128", "52.32.178.7"];
+const WEBHOOK_IP_ALLOWLIST = (process.env.WEBHOOK_IP_ALLOWLIST || "")
+  .split(",").map(ip => ip.trim()).filter(Boolean)
+  .flatMap(ip => ip.toLowerCase() === "tradingview" ? TRADINGVIEW_IPS : [ip]);
+const WEBHOOK_MAX_AGE_MS = parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS || 300) * 1000;
+const WEBHOOK_RATE_LIMIT_PER_MINUTE = parseInt(process.env.WEBHOOK_RATE_LIMIT_PER_MINUTE || 30);
+const WEBHOOK_IDEMPOTENCY_TTL_MS = parseFloat(process.env.WEBHOOK_IDEMPOTENCY_TTL_HOURS || 72) * 60 * 60 * 1000;
+const LEGACY_STRATEGY = "default";
+
+function guardError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function safeEqual(a, b) {
+  const x = crypto.createHash("sha256").update(String(a)).digest();
+  const y = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+function clientIp(req) {
+  return (req.ip || "").replace(/^::ffff:/, "");
+}
+
+function validateStrategy(input, { partial = false } = {}) {
+  const fields = {};
+  if (!partial || input.name !== undefined) {
+    if (!/^[\w.-]+$/.test(input.name || "")) throw new Error("name is required (letters, digits, _ . -)");
+    if (input.name === LEGACY_STRATEGY) throw new Error(`"${LEGACY_STRATEGY}" is reserved for WEBHOOK_SECRET alerts`);
+    fields.name = input.name;
+  }
+  if (input.secret !== undefined) {
+    if (String(input.secret).length < 16) throw new Error("secret must be at least 16 characters");
+    fields.secret = String(input.secret);
+  }
+  if (input.enabled !== undefined) fields.enabled = input.enabled !== false;
+  if (input.require_signature !== undefined) fields.require_signature = input.require_signature === true;
+  for (const key of ["rate_limit_per_minute", "max_quantity"]) {
+    if (input[key] === undefined) continue;
+    if (input[key] !== null && !(parseInt(input[key]) > 0)) throw new Error(`${key} must be a positive integer or null`);
+    fields[key] = input[key] === null ? null : parseInt(input[key]);
+  }
+  if (input.allowed_symbols !== undefined) {
+    if (input.allowed_symbols !== null && !Array.isArray(input.allowed_symbols)) throw new Error("allowed_symbols must be an array or null");
+    fields.allowed_symbols = input.allowed_symbols;
+  }
+  if (input.description !== undefined) fields.description = input.description;
+  return fields;
+}
+
+// Never hand the secret back except on create/rotate
+function publicStrategy(strategy) {
+  const { secret, ...rest } = strategy;
+  return { ...rest, secret_hint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+function createWebhookGuard({ strategies, idempotency }) {
+  const recent = new Map(); // strategy name -> timestamps in the last minute
+
+  async function resolveStrategy(data) {
+    if (!data.strategy) {
+      if (!process.env.WEBHOOK_SECRET || !data.token || !safeEqual(data.token, process.env.WEBHOOK_SECRET)) return null;
+      return { name: LEGACY_STRATEGY, secret: process.env.WEBHOOK_SECRET, enabled: true };
+    }
+    const strategy = await strategies.find(String(data.strategy));
+    if (!strategy || !data.token || !safeEqual(data.token, strategy.secret)) return null;
+    return strategy;
+  }
+
+  function verifySignature(req, strategy) {
+    const signature = req.get("x-signature");
+    if (!signature) {
+      if (strategy.require_signature) throw guardError(401, "Signature required");
+      return;
+    }
+    const expected = crypto.createHmac("sha256", strategy.secret).update(req.rawBody || "").digest("hex");
+    if (!safeEqual(signature.replace(/^sha256=/, ""), expected)) throw guardError(401, "Invalid signature");
+  }
+
+  function checkFreshness(data) {
+    if (data.timestamp === undefined) return;
+    const sent = /^\d+$/.test(String(data.timestamp)) ? Number(data.timestamp) : Date.parse(data.timestamp);
+    // Accept seconds or millis since the epoch, or an ISO string
+    const sentMs = sent < 1e12 ? sent * 1000 : sent;
+    if (isNaN(sentMs) || Math.abs(Date.now() - sentMs) > WEBHOOK_MAX_AGE_MS) throw guardError(401, "Stale or invalid timestamp");
+  }
+
+  function checkRateLimit(strategy) {
+    const limit = strategy.rate_limit_per_minute || WEBHOOK_RATE_LIMIT_PER_MINUTE;
+    const now = Date.now();
+    const hits = (recent.get(strategy.name) || []).filter(t => now - t < 60 * 1000);
+    if (hits.length >= limit) {
+      recent.set(strategy.name, hits);
+      throw guardError(429, `Rate limit of ${limit} signals/minute exceeded for ${strategy.name}`);
+    }
+    hits.push(now);
+    recent.set(strategy.name, hits);
+  }
+
+  // Resolves with the strategy, or throws an error carrying the HTTP status
+  async function check(req) {
+    const ip = clientIp(req);
+    if (WEBHOOK_IP_ALLOWLIST.length > 0 && !WEBHOOK_IP_ALLOWLIST.includes(ip)) {
+      throw guardError(403, `IP ${ip} not allowed`);
+    }
+
+    const data = req.body || {};
+    const strategy = await resolveStrategy(data);
+    if (!strategy) throw guardError(401, "Unauthorized");
+    if (strategy.enabled === false) throw guardError(403, `Strategy ${strategy.name} is disabled`);
+
+    verifySignature(req, strategy);
+    checkFreshness(data);
+    checkRateLimit(strategy);
+    return strategy;
+  }
+
+  // Per-strategy limits that need the resolved instrument and sized quantity
+  function checkLimits(strategy, { symbol, tradingSymbol, instrumentKey, quantity }) {
+    if (Array.isArray(strategy.allowed_symbols) && strategy.allowed_symbols.length > 0 &&
+        ![symbol, tradingSymbol, instrumentKey].some(s => strategy.allowed_symbols.includes(s))) {
+      return `${tradingSymbol || symbol} is not allowed for strategy ${strategy.name}`;
+    }
+    if (strategy.max_quantity && quantity > strategy.max_quantity) {
+      return `quantity ${quantity} exceeds strategy ${strategy.name} max ${strategy.max_quantity}`;
+    }
+    return null;
+  }
+
+  // alert_id / idempotency_key / nonce, else the bar time ({{time}}) per symbol and side
+  function idempotencyKey(strategy, data) {
+    const id = data.alert_id || data.idempotency_key || data.nonce;
+    if (id) return `${strategy.name}|id|${id}`;
+    const bar = data.bar_time || data.time;
+    if (bar) return `${strategy.name}|bar|${data.instrument_token || data.symbol}|${data.action}|${bar}`;
+    return null;
+  }
+
+  // { key, fresh } — fresh is false for a replay; null when the alert carries no key
+  async function claimSignal(strategy, data) {
+    const key = idempotencyKey(strategy, data);
+    if (!key) return null;
+    const fresh = await idempotency.claim(key, {
+      strategy: strategy.name,
+      expires_at: new Date(Date.now() + WEBHOOK_IDEMPOTENCY_TTL_MS).toISOString()
+    });
+    return { key, fresh };
+  }
+
+  async function releaseSignal(claim) {
+    if (claim) await idempotency.release(claim.key);
+  }
+
+  // The strategy a queued signal was accepted under; null if deleted since
+  async function findStrategy(name) {
+    if (name === LEGACY_STRATEGY) return { name: LEGACY_STRATEGY, enabled: true };
+    return strategies.find(name);
+  }
+
+  function purgeExpiredKeys() {
+    return idempotency.purgeExpired(new Date().toISOString());
+  }
+
+  // ---- Strategy management ----
+  async function listStrategies() {
+    return (await strategies.list()).map(publicStrategy);
+  }
+
+  async function createStrategy(input) {
+    const fields = validateStrategy({ secret: crypto.randomBytes(24).toString("hex"), ...input });
+    const created = await strategies.insert({ enabled: true, require_signature: false, ...fields, updated_at: new Date().toISOString() });
+    return { ...publicStrategy(created), secret: created.secret };
+  }
+
+  async function updateStrategy(name, input) {
+    if (!(await strategies.find(name))) return null;
+    const { name: _ignored, secret: _secret, ...rest } = input;
+    const fields = validateStrategy(rest, { partial: true });
+    return publicStrategy(await strategies.update(name, { ...fields, updated_at: new Date().toISOString() }));
+  }
+
+  async function rotateSecret(name) {
+    if (!(await strategies.find(name))) return null;
+    const secret = crypto.randomBytes(24).toString("hex");
+    const updated = await strategies.update(name, { secret, updated_at: new Date().toISOString() });
+    return { ...publicStrategy(updated), secret };
+  }
+
+  function deleteStrategy(name) {
+    return strategies.remove(name);
+  }
+
+  return {
+    check, checkLimits, claimSignal, releaseSignal, findStrategy, purgeExpiredKeys,
+    listStrategies, createStrategy, updateStrategy, rotateSecret, deleteStrategy
+  };
+}
+
+module.exports = { createWebhookGuard, LEGACY_STRATEGY };